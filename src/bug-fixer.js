@@ -11,45 +11,93 @@
  * Now integrates with centralized agent-configuration package
  */
 
-import { execSync } from 'node:child_process';
 import { existsSync } from 'node:fs';
 import { readFile, writeFile } from 'node:fs/promises';
-import { openai } from '@ai-sdk/openai';
-import { estimateCost, isWithinLimits } from '@jordanbmowry/agent-configuration/cost-monitor';
+import { resolve } from 'node:path';
+import { isWithinLimits } from '@jordanbmowry/agent-configuration/cost-monitor';
 import { createGitHubCostTracker } from '@jordanbmowry/agent-configuration/github-cost-tracker';
 import { createLogger } from '@jordanbmowry/agent-configuration/logger';
 import { generateText } from 'ai';
 
 // Create logger for bug fixer
 const logger = createLogger({ agentName: 'bug-fixer' });
+import { createCassette } from './cassette.js';
+import { validateExportSurface, validateSyntax } from './code-validation.js';
 import {
   buildBugFixPrompt,
+  buildPatchFixPrompt,
   getConfig,
+  getPreset,
   isBugFixerEnabled,
   shouldSkipBugFix,
 } from './config-adapter.js';
-import { validateBugFixResult } from './validation-schemas.js';
+import { checkFixGuards, resolveFixGuards } from './fix-guards.js';
+import { stripCodeFence } from './languages.js';
+import { applyPatch, colorizeDiff, createUnifiedDiff, extractPatch } from './patch.js';
+import { calculateProviderCost, createLanguageModel, estimateProviderCost } from './providers.js';
+import { compareOutcomes, describeRegression, recordTestOutcomes } from './regression-baseline.js';
+import { runTests } from './test-runner.js';
+import { planTargetedTests, readTestSources } from './test-selection.js';
+import { CLIArgsSchema, validateBugFixResult } from './validation-schemas.js';
+import { resolveWorkspacePath, withScratchWorkspace } from './workspace.js';
 
 // ============================================================================
 // PURE FUNCTIONS - Configuration & Prompts
 // ============================================================================
 
+/**
+ * Resolve the test-run settings of a fix configuration
+ * @param {Object} options - Configuration options
+ * @param {Object} config - File and preset configuration
+ * @returns {Object} Test command, selection and runner settings
+ */
+const createTestSettings = (options, config) => {
+  return {
+    testCommand: options.testCommand || config.testCommand,
+    relatedTestCommand: options.relatedTestCommand || config.relatedTestCommand,
+    confirmWithFullSuite: options.confirmWithFullSuite ?? config.confirmWithFullSuite ?? true,
+    testTimeout: options.testTimeout || config.testTimeout,
+    maxTestOutput: options.maxTestOutput || config.maxTestOutput,
+    streamTestOutput: options.streamTestOutput ?? config.streamTestOutput ?? false,
+    // Per-test outcomes before the fix ({ outcomes, targetTests }). When the full suite writes a
+    // structured report to reportFile, the fix is judged against them instead of the exit code
+    baseline: options.baseline,
+    reportFile: options.reportFile || config.reportFile,
+  };
+};
+
 /**
  * Create bug fix configuration from options
+ *
+ * Explicit options take precedence over the preset selected by
+ * options.configType, which takes precedence over .agent-config.json.
  * @param {Object} options - Configuration options
  * @returns {Object} Frozen configuration object
  */
 export const createFixConfig = (options = {}) => {
   const configPath = options.configPath || '.agent-config.json';
-  const config = getConfig(configPath);
+  const fileConfig = getConfig(configPath);
+  const config = options.configType
+    ? { ...fileConfig, ...getPreset(options.configType) }
+    : fileConfig;
 
   return Object.freeze({
+    ...config,
+    provider: options.provider || config.provider || 'openai',
+    baseURL: options.baseURL || config.baseURL,
     model: options.model || config.model,
     maxTokens: options.maxTokens || config.maxTokens,
     temperature: options.temperature ?? config.temperature,
     maxRetries: options.maxRetries || config.maxRetries,
-    testCommand: options.testCommand || config.testCommand,
-    ...config,
+    outputMode: options.outputMode || config.outputMode || 'file',
+    dryRun: options.dryRun ?? false,
+    validateInScratch: options.validateInScratch ?? false,
+    ...createTestSettings(options, config),
+    cassettePath: options.cassettePath || config.cassettePath,
+    cassetteMode: options.cassetteMode || config.cassetteMode || 'replay',
+    workspaceDir: options.workspaceDir,
+    fixGuards: resolveFixGuards(options.fixGuards ?? config.fixGuards),
+    allowApiChanges: options.allowApiChanges ?? config.allowApiChanges ?? false,
   });
 };
 
@@ -58,18 +106,36 @@ export const createFixConfig = (options = {}) => {
 /**
  * Extract clean code from AI response
  * @param {string} aiResponse - Raw AI response
+ * @param {string} [filename] - File being fixed (selects the code fence tags to remove)
  * @returns {string} Cleaned code
  */
-export const extractCleanCode = (aiResponse) => {
-  let cleaned = aiResponse.trim();
+export const extractCleanCode = (aiResponse, filename) => {
+  // Remove a markdown code block for the file's language if present
+  return stripCodeFence(aiResponse.trim(), filename).trim();
+};
+
+/**
+ * Resolve the fixed code from AI output according to the output mode
+ * @param {string} originalCode - Original source code
+ * @param {string} aiOutput - Cleaned AI output (full file or unified diff)
+ * @param {Object} config - Fix configuration
+ * @returns {Object} Frozen result with success flag, fixedCode and patch or error
+ */
+export const resolveFixedCode = (originalCode, aiOutput, config) => {
+  if (config.outputMode !== 'patch') {
+    return Object.freeze({ success: true, fixedCode: aiOutput });
+  }
 
-  // Remove markdown code blocks if present
-  if (cleaned.startsWith('```')) {
-    cleaned = cleaned.replace(/^```(?:javascript|js)?\n?/, '');
-    cleaned = cleaned.replace(/\n?```$/, '');
+  const applied = applyPatch(originalCode, aiOutput);
+  if (!applied.success) {
+    return Object.freeze({
+      success: false,
+      patch: aiOutput,
+      error: `Patch rejected: ${applied.error}`,
+    });
   }
 
-  return cleaned.trim();
+  return Object.freeze({ success: true, fixedCode: applied.code, patch: aiOutput });
 };
 
 /**
@@ -78,17 +144,21 @@ export const extractCleanCode = (aiResponse) => {
  * @param {string} fixedCode - Fixed source code
  * @param {string} filename - File that was fixed
  * @param {Object} metadata - Additional metadata
+ * @param {string} [metadata.patch] - Patch that was applied; a diff of the two versions without one
  * @returns {Object} Frozen success result
  */
 export const createSuccessResult = (originalCode, fixedCode, filename, metadata = {}) => {
+  const { patch, ...rest } = metadata;
+
   return Object.freeze({
     success: true,
     filename,
     originalCode,
     fixedCode,
+    patch: patch ?? createUnifiedDiff(originalCode, fixedCode, filename),
     timestamp: new Date().toISOString(),
     linesChanged: countChangedLines(originalCode, fixedCode),
-    ...metadata,
+    ...rest,
   });
 };
 
@@ -109,6 +179,127 @@ export const createErrorResult = (filename, error, metadata = {}) => {
   });
 };
 
+/**
+ * Truncate long output, keeping the tail where test failures are reported
+ * @param {string} output - Output to truncate
+ * @param {number} maxChars - Maximum characters to keep
+ * @returns {string} Truncated output
+ */
+export const truncateOutput = (output = '', maxChars = 4000) => {
+  if (output.length <= maxChars) {
+    return output;
+  }
+
+  return `... (${output.length - maxChars} characters truncated)\n${output.slice(-maxChars)}`;
+};
+
+/**
+ * Create a record of a single fix attempt
+ * @param {number} attempt - 1-based attempt number
+ * @param {Object} details - Attempt details (stage, patch, testOutput, error, usage)
+ * @returns {Object} Frozen attempt record
+ */
+export const createAttemptRecord = (attempt, details = {}) => {
+  return Object.freeze({
+    attempt,
+    success: false,
+    usage: null,
+    ...details,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Describe why an attempt was rejected
+ * @param {Object} attempt - Attempt record
+ * @returns {string} Short failure description
+ */
+const describeAttemptFailure = (attempt) => {
+  if (attempt.stage === 'patch') return 'patch could not be applied';
+  if (attempt.stage === 'syntax') return 'generated code does not parse';
+  if (attempt.stage === 'api') return 'changed the public API';
+  if (attempt.stage === 'guard') return 'rejected by fix guards';
+  if (attempt.timedOut) return 'tests timed out, check for infinite loops';
+  return 'tests failed';
+};
+
+/**
+ * Build the error context for the next attempt, including rejected attempts
+ * @param {string} errorMessage - Original error context
+ * @param {Array<Object>} attempts - Previous attempt records
+ * @returns {string} Error context with feedback from failed attempts
+ */
+export const buildRetryContext = (errorMessage, attempts = []) => {
+  const failed = attempts.filter((attempt) => !attempt.success);
+  if (failed.length === 0) {
+    return errorMessage;
+  }
+
+  const sections = failed.map((attempt) => {
+    const outcome = describeAttemptFailure(attempt);
+    const failure = [attempt.error, attempt.testOutput].filter(Boolean).join('\n');
+
+    return [
+      `### Attempt ${attempt.attempt} (${outcome})`,
+      '',
+      'Rejected diff:',
+      '```diff',
+      attempt.patch?.trim() || '(no changes)',
+      '```',
+      '',
+      'Failure output:',
+      '```',
+      failure.trim() || '(no output)',
+      '```',
+    ].join('\n');
+  });
+
+  return [
+    errorMessage,
+    '',
+    '## Previous Failed Attempts',
+    '',
+    'These fixes were already tried and rejected. Use the failure output to find a different fix.',
+    '',
+    sections.join('\n\n'),
+  ].join('\n');
+};
+
+/**
+ * Sum token usage across attempts
+ * @param {Array<Object>} attempts - Attempt records
+ * @returns {Object} Frozen total usage
+ */
+export const sumUsage = (attempts) => {
+  return Object.freeze(
+    attempts.reduce(
+      (total, { usage }) => ({
+        promptTokens: total.promptTokens + (usage?.promptTokens || 0),
+        completionTokens: total.completionTokens + (usage?.completionTokens || 0),
+        totalTokens: total.totalTokens + (usage?.totalTokens || 0),
+      }),
+      { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    )
+  );
+};
+
+/**
+ * Sum estimated and actual cost across attempts
+ * @param {Array<Object>} attempts - Attempt records
+ * @returns {Object} Frozen cost totals in USD
+ */
+export const sumCost = (attempts) => {
+  return Object.freeze(
+    attempts.reduce(
+      (total, attempt) => ({
+        estimated: total.estimated + (attempt.estimatedCost || 0),
+        actual: total.actual + (attempt.cost || 0),
+      }),
+      { estimated: 0, actual: 0 }
+    )
+  );
+};
+
 /**
  * Count changed lines between two code versions
  * @param {string} original - Original code
@@ -131,6 +322,50 @@ export const countChangedLines = (original, fixed) => {
   return changes;
 };
 
+/**
+ * Judge a fix by the per-test outcomes of the suite
+ *
+ * Tests that already failed before the fix do not count against it. The fix
+ * is accepted when no previously passing test fails, disappears or is
+ * skipped, and its target tests pass. Without target tests, it must make the
+ * suite pass or fix at least one failing test.
+ * @param {Object} baseline - Baseline with outcomes and targetTests (keys the fix must make pass)
+ * @param {Object} run - Run after the fix with success and outcomes
+ * @returns {Object} Frozen verdict with success, outcomeDiff and reason when rejected
+ */
+export const judgeAgainstBaseline = (baseline, run) => {
+  const outcomeDiff = compareOutcomes(baseline.outcomes, run.outcomes);
+  const reject = (reason) => Object.freeze({ success: false, outcomeDiff, reason });
+
+  if (outcomeDiff.regressed) {
+    return reject(describeRegression(outcomeDiff));
+  }
+
+  const targets = baseline.targetTests ?? [];
+  const unresolved = targets.filter((key) => run.outcomes[key] !== 'passed');
+
+  if (unresolved.length > 0) {
+    return reject(`target test(s) still failing: ${unresolved.join(', ')}`);
+  }
+
+  if (targets.length === 0 && !run.success && outcomeDiff.fixed.length === 0) {
+    return reject('no failing test was fixed');
+  }
+
+  return Object.freeze({ success: true, outcomeDiff });
+};
+
+/**
+ * Per-test outcome fields of a fix result
+ * @param {Object} [testResult] - Result of applyAndTest
+ * @returns {Object} testOutcomes and outcomeDiff, or nothing when the fix was judged by exit code
+ */
+const pickOutcomeFields = (testResult) => {
+  return testResult?.outcomes
+    ? { testOutcomes: testResult.outcomes, outcomeDiff: testResult.outcomeDiff }
+    : {};
+};
+
 // ============================================================================
 // SIDE EFFECTS - File Operations (Isolated)
 // ============================================================================
@@ -163,45 +398,148 @@ export const fileExists = (filename) => {
   return existsSync(filename);
 };
 
+// runTests now lives in test-runner.js; re-exported for existing callers
+export { runTests };
+
+// ============================================================================
+// AI OPERATIONS - API Calls (Side Effects)
+// ============================================================================
+
 /**
- * Run tests and return result
- * @param {string} command - Test command to run
- * @returns {Object} Test result with success flag and output
+ * Normalize token usage reported by the AI SDK
+ * @param {Object|undefined} usage - Raw usage object
+ * @returns {Object|null} Frozen usage with prompt/completion/total tokens, or null
  */
-export const runTests = (command) => {
+export const normalizeUsage = (usage) => {
+  if (!usage) {
+    return null;
+  }
+
+  const promptTokens = usage.promptTokens ?? usage.inputTokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completionTokens ?? usage.outputTokens ?? usage.output_tokens ?? 0;
+
+  return Object.freeze({
+    promptTokens: Number(promptTokens) || 0,
+    completionTokens: Number(completionTokens) || 0,
+    totalTokens: usage.totalTokens ?? Number(promptTokens) + Number(completionTokens),
+  });
+};
+
+/**
+ * Track the cost of an AI call in GitHub
+ * @param {Object|null} normalizedUsage - Normalized token usage
+ * @param {Object|undefined} usage - Raw usage object (for diagnostics)
+ * @param {string} text - AI response text
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<void>}
+ */
+const trackUsageCost = async (normalizedUsage, usage, text, config) => {
+  const costTracker = createGitHubCostTracker();
+
+  if (!costTracker.isAvailable()) {
+    logger.warn('GitHub cost tracker not available', {
+      function: 'analyzeAndFix',
+      hasUsage: !!normalizedUsage,
+    });
+    return;
+  }
+
+  if (!normalizedUsage) {
+    logger.error('Cannot track cost: usage object is missing or invalid', {
+      function: 'analyzeAndFix',
+      hasUsage: !!usage,
+      usage,
+    });
+    return;
+  }
+
   try {
-    const output = execSync(command, {
-      stdio: 'pipe',
-      encoding: 'utf8',
+    logger.info('Tracking cost in GitHub', {
+      function: 'analyzeAndFix',
+      promptTokens: normalizedUsage.promptTokens,
+      completionTokens: normalizedUsage.completionTokens,
+      model: config.model,
     });
 
-    return Object.freeze({
-      success: true,
-      output: output || '',
+    const result = await costTracker.trackCost(
+      'bugFixer',
+      normalizedUsage.promptTokens,
+      normalizedUsage.completionTokens,
+      config.model
+    );
+
+    logger.logApiCall('analyzeAndFix', normalizedUsage, config.model, result.cost, {
+      function: 'analyzeAndFix',
+      responseLength: text?.length || 0,
+    });
+
+    logger.logCostTracking('analyzeAndFix', result, {
+      function: 'analyzeAndFix',
+      promptTokens: normalizedUsage.promptTokens,
+      completionTokens: normalizedUsage.completionTokens,
+      model: config.model,
     });
+
+    console.log(
+      `💰 Cost: $${result.cost.toFixed(4)} | Monthly: $${result.monthlyTotal.toFixed(2)}`
+    );
+
+    if (result.cost === 0 && normalizedUsage.totalTokens > 0) {
+      logger.error('CRITICAL: Cost calculated as $0 but tokens exist!', {
+        function: 'analyzeAndFix',
+        promptTokens: normalizedUsage.promptTokens,
+        completionTokens: normalizedUsage.completionTokens,
+        model: config.model,
+        cost: result.cost,
+      });
+    }
   } catch (error) {
-    return Object.freeze({
-      success: false,
-      output: error.stdout?.toString() || '',
-      error: error.stderr?.toString() || error.message,
+    logger.error('Failed to track cost in GitHub', {
+      function: 'analyzeAndFix',
+      error: error.message,
+      stack: error.stack,
+      promptTokens: normalizedUsage.promptTokens,
+      completionTokens: normalizedUsage.completionTokens,
+      model: config.model,
     });
+    console.warn('⚠️  Failed to track cost in GitHub:', error.message);
   }
 };
 
-// ============================================================================
-// AI OPERATIONS - API Calls (Side Effects)
-// ============================================================================
+/**
+ * Call the AI model, recording or replaying through config.cassette when set
+ * @param {string} prompt - Prompt to send
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<Object>} Response with text, raw usage and replayed flag
+ */
+const callModel = async (prompt, config) => {
+  const generate = async () => {
+    const { text, usage } = await generateText({
+      model: createLanguageModel(config),
+      prompt,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+    });
+    return { text, usage };
+  };
+
+  if (!config.cassette) {
+    return { ...(await generate()), replayed: false };
+  }
+
+  return config.cassette.run(prompt, { provider: config.provider, model: config.model }, generate);
+};
 
 /**
- * Analyze bug and generate fix using AI
+ * Generate a fix using AI and report token usage and cost
  * @param {string} code - Original code
  * @param {string} filename - File being analyzed
  * @param {string} errorMessage - Error context
  * @param {Object} config - Fix configuration
- * @returns {Promise<string>} Fixed code
+ * @returns {Promise<Object>} Frozen object with output (code or diff), usage and costs
  */
-export const analyzeAndFix = async (code, filename, errorMessage, config) => {
-  logger.debug('analyzeAndFix called', {
+export const generateFix = async (code, filename, errorMessage, config) => {
+  logger.debug('generateFix called', {
     function: 'analyzeAndFix',
     filename,
     codeLength: code.length,
@@ -209,16 +547,18 @@ export const analyzeAndFix = async (code, filename, errorMessage, config) => {
     model: config.model,
   });
 
-  const prompt = buildBugFixPrompt(code, filename, errorMessage);
+  const buildPrompt = config.outputMode === 'patch' ? buildPatchFixPrompt : buildBugFixPrompt;
+  const prompt = buildPrompt(code, filename, errorMessage);
 
   // Cost check before API call
-  const estimatedCost = estimateCost(config.model, code, config.maxTokens);
+  const estimatedCost = estimateProviderCost(config, code, config.maxTokens);
   const limitCheck = isWithinLimits(estimatedCost);
   if (!limitCheck.allowed) {
     logger.error('Cost limit exceeded', {
       function: 'analyzeAndFix',
       estimatedCost,
       reason: limitCheck.reason,
+      provider: config.provider,
       model: config.model,
     });
     throw new Error(
@@ -226,8 +566,9 @@ export const analyzeAndFix = async (code, filename, errorMessage, config) => {
     );
   }
 
-  logger.info('Calling OpenAI API for bug fix', {
+  logger.info('Calling AI provider for bug fix', {
     function: 'analyzeAndFix',
+    provider: config.provider,
     model: config.model,
     maxTokens: config.maxTokens,
     temperature: config.temperature,
@@ -235,133 +576,189 @@ export const analyzeAndFix = async (code, filename, errorMessage, config) => {
     estimatedCost,
   });
 
-  const { text, usage } = await generateText({
-    model: openai(config.model),
-    prompt,
-    maxTokens: config.maxTokens,
-    temperature: config.temperature,
-  });
+  const { text, usage, replayed } = await callModel(prompt, config);
 
-  logger.info('OpenAI API call completed', {
+  logger.info('AI provider call completed', {
     function: 'analyzeAndFix',
+    provider: config.provider,
     model: config.model,
+    replayed,
     responseLength: text?.length || 0,
     hasUsage: !!usage,
   });
 
-  // Track cost in GitHub
-  const costTracker = createGitHubCostTracker();
-  
-  // Normalize usage object
-  let normalizedUsage = null;
-  if (usage) {
-    logger.debug('Usage object received', {
+  const normalizedUsage = normalizeUsage(usage);
+  if (!normalizedUsage) {
+    logger.error('CRITICAL: Usage object is missing from AI response!', {
       function: 'analyzeAndFix',
-      usageType: typeof usage,
-      usageKeys: Object.keys(usage),
-      rawUsage: usage,
+      hasText: !!text,
+      textLength: text?.length || 0,
     });
-
-    const promptTokens = usage.promptTokens ?? usage.inputTokens ?? usage.input_tokens ?? 0;
-    const completionTokens = usage.completionTokens ?? usage.outputTokens ?? usage.output_tokens ?? 0;
-
-    normalizedUsage = {
-      promptTokens: Number(promptTokens) || 0,
-      completionTokens: Number(completionTokens) || 0,
-      totalTokens: usage.totalTokens ?? (Number(promptTokens) + Number(completionTokens)),
-    };
-
-    logger.info('Usage normalized', {
+  } else if (normalizedUsage.totalTokens === 0) {
+    logger.error('CRITICAL: Usage object has 0 tokens but API call succeeded!', {
       function: 'analyzeAndFix',
+      usage,
       normalizedUsage,
     });
+  }
 
-    if (normalizedUsage.promptTokens === 0 && normalizedUsage.completionTokens === 0) {
-      logger.error('CRITICAL: Usage object has 0 tokens but API call succeeded!', {
-        function: 'analyzeAndFix',
-        usage,
-        normalizedUsage,
-      });
-    }
-  } else {
-    logger.error('CRITICAL: Usage object is missing from AI response!', {
-      function: 'analyzeAndFix',
-      hasText: !!text,
-      textLength: text?.length || 0,
-    });
+  // Replayed responses cost nothing, so they are not tracked
+  if (!replayed) {
+    await trackUsageCost(normalizedUsage, usage, text, config);
   }
 
-  if (costTracker.isAvailable() && normalizedUsage) {
-    try {
-      logger.info('Tracking cost in GitHub', {
-        function: 'analyzeAndFix',
-        promptTokens: normalizedUsage.promptTokens,
-        completionTokens: normalizedUsage.completionTokens,
-        model: config.model,
-      });
+  return Object.freeze({
+    output: config.outputMode === 'patch' ? extractPatch(text) : extractCleanCode(text, filename),
+    usage: normalizedUsage,
+    estimatedCost,
+    cost: normalizedUsage
+      ? calculateProviderCost(
+          config,
+          normalizedUsage.promptTokens,
+          normalizedUsage.completionTokens
+        )
+      : 0,
+  });
+};
 
-      const result = await costTracker.trackCost(
-        'bugFixer',
-        normalizedUsage.promptTokens,
-        normalizedUsage.completionTokens,
-        config.model
-      );
+/**
+ * Analyze bug and generate fix using AI
+ * @param {string} code - Original code
+ * @param {string} filename - File being analyzed
+ * @param {string} errorMessage - Error context
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<string>} Fixed code, or a unified diff in patch mode
+ */
+export const analyzeAndFix = async (code, filename, errorMessage, config) => {
+  const { output } = await generateFix(code, filename, errorMessage, config);
+  return output;
+};
 
-      logger.logApiCall('analyzeAndFix', normalizedUsage, config.model, result.cost, {
-        function: 'analyzeAndFix',
-        responseLength: text?.length || 0,
-      });
+// ============================================================================
+// ORCHESTRATION - Main Fix Logic
+// ============================================================================
 
-      logger.logCostTracking('analyzeAndFix', result, {
-        function: 'analyzeAndFix',
-        promptTokens: normalizedUsage.promptTokens,
-        completionTokens: normalizedUsage.completionTokens,
-        model: config.model,
-      });
+/**
+ * Plan the targeted test command for a fix when relatedTestCommand is configured
+ * @param {string} filename - File being fixed
+ * @param {string} errorMessage - Error context (may contain CI test output)
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<Object|null>} Test plan with command, files and testNamePattern, or null
+ */
+export const planTestsForFix = async (filename, errorMessage, config) => {
+  if (!config.relatedTestCommand) {
+    return null;
+  }
 
-      console.log(
-        `💰 Cost: $${result.cost.toFixed(4)} | Monthly: $${result.monthlyTotal.toFixed(2)}`
-      );
-
-      if (result.cost === 0 && (normalizedUsage.promptTokens > 0 || normalizedUsage.completionTokens > 0)) {
-        logger.error('CRITICAL: Cost calculated as $0 but tokens exist!', {
-          function: 'analyzeAndFix',
-          promptTokens: normalizedUsage.promptTokens,
-          completionTokens: normalizedUsage.completionTokens,
-          model: config.model,
-          cost: result.cost,
-        });
-      }
-    } catch (error) {
-      logger.error('Failed to track cost in GitHub', {
-        function: 'analyzeAndFix',
-        error: error.message,
-        stack: error.stack,
-        promptTokens: normalizedUsage?.promptTokens,
-        completionTokens: normalizedUsage?.completionTokens,
-        model: config.model,
-      });
-      console.warn('⚠️  Failed to track cost in GitHub:', error.message);
-    }
-  } else if (!costTracker.isAvailable()) {
-    logger.warn('GitHub cost tracker not available', {
-      function: 'analyzeAndFix',
-      hasUsage: !!normalizedUsage,
-    });
-  } else if (!normalizedUsage) {
-    logger.error('Cannot track cost: usage object is missing or invalid', {
-      function: 'analyzeAndFix',
-      hasUsage: !!usage,
-      usage,
-    });
+  const rootDir = process.cwd();
+  const plan = planTargetedTests({
+    template: config.relatedTestCommand,
+    targetFile: filename,
+    errorMessage,
+    testSources: await readTestSources(rootDir),
+    rootDir,
+  });
+
+  logger.info('Planned targeted tests', {
+    function: 'planTestsForFix',
+    filename,
+    command: plan?.command,
+    files: plan?.files,
+  });
+
+  return plan;
+};
+
+/**
+ * Build runTests options from a fix configuration
+ * @param {Object} config - Fix configuration
+ * @returns {Object} Frozen runTests options
+ */
+export const createTestRunOptions = (config) => {
+  return Object.freeze({
+    cwd: config.workspaceDir,
+    timeout: config.testTimeout,
+    maxOutput: config.maxTestOutput,
+    stream: config.streamTestOutput,
+  });
+};
+
+/**
+ * Run the full suite and judge the fix against the baseline
+ *
+ * Without a readable report, the exit code decides as for any other run.
+ * @param {Object} config - Fix configuration with baseline and reportFile
+ * @returns {Promise<Object>} Frozen test result with success flag, output, outcomes and outcomeDiff
+ */
+const runAgainstBaseline = async (config) => {
+  const run = await recordTestOutcomes(
+    config.testCommand,
+    createTestRunOptions(config),
+    config.reportFile
+  );
+
+  if (!run.outcomes) {
+    return run;
   }
 
-  return extractCleanCode(text);
+  const verdict = judgeAgainstBaseline(config.baseline, run);
+  if (verdict.success && !run.success) {
+    console.log('🧮 Only failures from before the fix remain');
+  }
+
+  return Object.freeze({
+    ...run,
+    success: verdict.success,
+    outcomeDiff: verdict.outcomeDiff,
+    error: verdict.success ? undefined : `Fix rejected: ${verdict.reason}\n${run.error || ''}`,
+  });
 };
 
-// ============================================================================
-// ORCHESTRATION - Main Fix Logic
-// ============================================================================
+/**
+ * Run the targeted tests first, then the full suite if configured
+ *
+ * With a baseline, the full suite is judged by its per-test outcomes (see
+ * judgeAgainstBaseline).
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<Object>} Frozen test result with success flag, output and the runs made
+ */
+export const runTestPlan = async (config) => {
+  const runOptions = createTestRunOptions(config);
+  const testRuns = [];
+
+  if (config.targetedTestCommand) {
+    console.log(`🎯 Running related tests: ${config.targetedTestCommand}`);
+    const targeted = await runTests(config.targetedTestCommand, runOptions);
+    testRuns.push(
+      Object.freeze({
+        scope: 'targeted',
+        command: config.targetedTestCommand,
+        success: targeted.success,
+        timedOut: targeted.timedOut,
+      })
+    );
+
+    if (!targeted.success || !config.confirmWithFullSuite) {
+      return Object.freeze({ ...targeted, testRuns: Object.freeze(testRuns) });
+    }
+
+    console.log('🧪 Related tests passed, confirming with the full suite...');
+  }
+
+  const full = config.baseline
+    ? await runAgainstBaseline(config)
+    : await runTests(config.testCommand, runOptions);
+  testRuns.push(
+    Object.freeze({
+      scope: 'full',
+      command: config.testCommand,
+      success: full.success,
+      timedOut: full.timedOut,
+    })
+  );
+
+  return Object.freeze({ ...full, testRuns: Object.freeze(testRuns) });
+};
 
 /**
  * Apply fix and test it
@@ -374,66 +771,319 @@ export const analyzeAndFix = async (code, filename, errorMessage, config) => {
 export const applyAndTest = async (filename, originalCode, fixedCode, config) => {
   console.log('🔧 Applying potential fix, testing...');
 
-  // Apply fix
-  await writeFileContent(filename, fixedCode);
+  // Apply fix (inside the workspace copy when one is configured)
+  const targetPath = resolveWorkspacePath(filename, config.workspaceDir);
+  await writeFileContent(targetPath, fixedCode);
 
   // Run tests
-  const testResult = runTests(config.testCommand);
+  const testResult = await runTestPlan(config);
 
   if (testResult.success) {
     console.log('✅ Tests passed! Fix is working.');
     return Object.freeze({
       success: true,
       testOutput: testResult.output,
+      testRuns: testResult.testRuns,
+      outcomes: testResult.outcomes,
+      outcomeDiff: testResult.outcomeDiff,
     });
   }
 
   // Tests failed - rollback
-  console.log('❌ Tests failed, rolling back to original code');
-  await writeFileContent(filename, originalCode);
+  console.log(
+    testResult.timedOut
+      ? '⏱️  Tests timed out, rolling back to original code'
+      : '❌ Tests failed, rolling back to original code'
+  );
+  await writeFileContent(targetPath, originalCode);
 
   return Object.freeze({
     success: false,
     testOutput: testResult.output,
     error: testResult.error,
+    timedOut: testResult.timedOut,
+    testRuns: testResult.testRuns,
+    outcomes: testResult.outcomes,
+    outcomeDiff: testResult.outcomeDiff,
+  });
+};
+
+/**
+ * Find why a generated fix must not be applied
+ * @param {string} filename - File to fix
+ * @param {string} originalCode - Original code
+ * @param {string} fixedCode - Code proposed by the model
+ * @param {Object} config - Fix configuration
+ * @returns {Object|null} Frozen rejection with stage, error and rejectedReason, or null
+ */
+const findRejection = (filename, originalCode, fixedCode, config) => {
+  const syntax = validateSyntax(originalCode, fixedCode, filename);
+  if (!syntax.success) {
+    return Object.freeze({ stage: syntax.stage, error: syntax.error });
+  }
+
+  // Allowed API changes include removed exports, which the export guard would reject first
+  const fixGuards =
+    config.allowApiChanges && config.fixGuards !== false
+      ? { ...config.fixGuards, preserveExports: false }
+      : config.fixGuards;
+  const guarded = checkFixGuards(originalCode, fixedCode, fixGuards);
+  if (!guarded.passed) {
+    return Object.freeze({
+      stage: 'guard',
+      error: `Fix rejected by guards: ${guarded.rejectedReason}`,
+      rejectedReason: guarded.rejectedReason,
+    });
+  }
+
+  const surface = validateExportSurface(originalCode, fixedCode, filename, {
+    allowApiChanges: config.allowApiChanges,
+  });
+  if (!surface.success) {
+    return Object.freeze({ stage: surface.stage, error: surface.error });
+  }
+
+  return null;
+};
+
+/**
+ * Generate, apply and test a single fix attempt
+ * @param {string} filename - File to fix
+ * @param {string} originalCode - Original code
+ * @param {string} errorContext - Error context including feedback from earlier attempts
+ * @param {Object} config - Fix configuration
+ * @param {number} attempt - 1-based attempt number
+ * @returns {Promise<Object>} Frozen outcome with success flag, fixed code, the patch applied in
+ * patch mode and the attempt record
+ */
+export const attemptFix = async (filename, originalCode, errorContext, config, attempt) => {
+  const generated = await generateFix(originalCode, filename, errorContext, config);
+  const { usage, estimatedCost, cost } = generated;
+
+  // Resolve full file or validate patch
+  const resolved = resolveFixedCode(originalCode, generated.output, config);
+  if (!resolved.success) {
+    console.log(`💥 ${resolved.error}`);
+    return Object.freeze({
+      success: false,
+      record: createAttemptRecord(attempt, {
+        stage: 'patch',
+        patch: resolved.patch,
+        error: resolved.error,
+        usage,
+        estimatedCost,
+        cost,
+      }),
+    });
+  }
+
+  // Patch mode keeps the model's patch; full-file rewrites are shown as a diff
+  const patch = resolved.patch ?? createUnifiedDiff(originalCode, resolved.fixedCode, filename);
+
+  // Parser errors, degenerate fixes and API changes go back to the model instead of the file
+  const rejection = findRejection(filename, originalCode, resolved.fixedCode, config);
+  if (rejection) {
+    console.log(`🛡️  ${rejection.error.split('\n')[0]}`);
+    return Object.freeze({
+      success: false,
+      record: createAttemptRecord(attempt, {
+        stage: rejection.stage,
+        patch,
+        error: rejection.error,
+        rejectedReason: rejection.rejectedReason,
+        usage,
+        estimatedCost,
+        cost,
+      }),
+    });
+  }
+
+  // Preview only: leave the working tree untouched
+  if (config.dryRun && !config.workspaceDir) {
+    return Object.freeze({
+      success: true,
+      fixedCode: resolved.fixedCode,
+      patch: resolved.patch,
+      record: createAttemptRecord(attempt, {
+        success: true,
+        stage: 'preview',
+        patch,
+        usage,
+        estimatedCost,
+        cost,
+      }),
+    });
+  }
+
+  const testResult = await applyAndTest(filename, originalCode, resolved.fixedCode, config);
+
+  return Object.freeze({
+    success: testResult.success,
+    fixedCode: resolved.fixedCode,
+    patch: resolved.patch,
+    testResult,
+    record: createAttemptRecord(attempt, {
+      success: testResult.success,
+      stage: 'test',
+      patch,
+      testOutput: truncateOutput(testResult.testOutput),
+      error: testResult.success ? undefined : truncateOutput(testResult.error || ''),
+      timedOut: testResult.timedOut || undefined,
+      testRuns: testResult.testRuns,
+      usage,
+      estimatedCost,
+      cost,
+    }),
+  });
+};
+
+/**
+ * Run fix attempts with test feedback until one succeeds or attempts run out
+ * @param {string} filename - File to fix
+ * @param {string} originalCode - Original code
+ * @param {string} errorMessage - Error message or context
+ * @param {Object} config - Fix configuration
+ * @param {Array<Object>} attempts - Collected attempt records (appended in place)
+ * @returns {Promise<Object>} Outcome of the last attempt
+ */
+const runFixAttempts = async (filename, originalCode, errorMessage, config, attempts) => {
+  const maxAttempts =
+    config.dryRun && !config.workspaceDir ? 1 : Math.max(1, config.maxRetries || 1);
+  let outcome = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      console.log(`🔄 Retrying with test feedback (attempt ${attempt} of ${maxAttempts})...`);
+    }
+
+    const errorContext = buildRetryContext(errorMessage, attempts);
+    outcome = await attemptFix(filename, originalCode, errorContext, config, attempt);
+    attempts.push(outcome.record);
+
+    if (outcome.success) {
+      break;
+    }
+  }
+
+  return outcome;
+};
+
+/**
+ * Check whether terminal output should be colored
+ * @returns {boolean} True if colors should be used
+ */
+const shouldUseColor = () => {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR) return true;
+  return Boolean(process.stdout.isTTY);
+};
+
+/**
+ * Print the proposed diff and cost of a dry run
+ * @param {Object} result - Dry-run result
+ */
+export const printFixPreview = (result) => {
+  console.log(`\n📄 Proposed changes for ${result.filename}:\n`);
+  console.log(colorizeDiff(result.patch || '(no changes)\n', shouldUseColor()));
+
+  const { estimated, actual } = result.cost;
+  console.log(`💰 Estimated cost: $${estimated.toFixed(4)} | Actual cost: $${actual.toFixed(4)}`);
+
+  if (result.tested) {
+    console.log(
+      result.success
+        ? '✅ Fix passed tests in a scratch copy'
+        : '❌ Fix failed tests in a scratch copy'
+    );
+  }
+  console.log('🧪 Dry run: no files were changed');
+};
+
+/**
+ * Add per-run state to a fix configuration: the targeted test command and the cassette
+ * @param {string} filename - File being fixed
+ * @param {string} errorMessage - Error context
+ * @param {Object} config - Fix configuration
+ * @returns {Promise<Object>} Frozen configuration for the attempts
+ */
+const prepareRunConfig = async (filename, errorMessage, config) => {
+  // Narrow each attempt to the related tests when a template is configured
+  const testPlan = await planTestsForFix(filename, errorMessage, config);
+
+  return Object.freeze({
+    ...config,
+    ...(testPlan && { targetedTestCommand: testPlan.command }),
+    ...(config.cassettePath && {
+      cassette: createCassette(config.cassettePath, config.cassetteMode),
+    }),
   });
 };
 
 /**
- * Fix bug in a file
+ * Fix bug in a file, retrying with test feedback up to maxRetries attempts
  * @param {string} filename - File to fix
  * @param {string} errorMessage - Error message or context
  * @param {Object} options - Configuration options
+ * @param {boolean} [options.dryRun] - Generate the fix without touching the working tree
+ * @param {boolean} [options.validateInScratch] - In dry-run mode, test the fix in a scratch copy
  * @returns {Promise<Object>} Result object
  */
 export const fixBug = async (filename, errorMessage = '', options = {}) => {
+  const attempts = [];
+
   try {
     console.log(`🔍 Analyzing bug in ${filename}...`);
 
     // Create configuration
     const config = createFixConfig(options);
 
-    // Validate file exists
-    if (!fileExists(filename)) {
+    // Validate file exists (inside the workspace copy when one is configured)
+    const sourcePath = resolveWorkspacePath(filename, config.workspaceDir);
+    if (!fileExists(sourcePath)) {
       throw new Error(`File not found: ${filename}`);
     }
 
     // Read original code
-    const originalCode = await readFileContent(filename);
-
-    // Generate fix
-    const fixedCode = await analyzeAndFix(originalCode, filename, errorMessage, config);
-
-    // Apply and test
-    const testResult = await applyAndTest(filename, originalCode, fixedCode, config);
+    const originalCode = await readFileContent(sourcePath);
+
+    const fixConfig = await prepareRunConfig(filename, errorMessage, config);
+
+    const useScratch = config.dryRun && config.validateInScratch;
+    const outcome = useScratch
+      ? await withScratchWorkspace(process.cwd(), (workspace) =>
+          runFixAttempts(
+            filename,
+            originalCode,
+            errorMessage,
+            Object.freeze({ ...fixConfig, workspaceDir: workspace.dir }),
+            attempts
+          )
+        )
+      : await runFixAttempts(filename, originalCode, errorMessage, fixConfig, attempts);
+
+    const summary = {
+      provider: config.provider,
+      model: config.model,
+      attempts: Object.freeze([...attempts]),
+      usage: sumUsage(attempts),
+      cost: sumCost(attempts),
+      ...(config.dryRun && { dryRun: true, tested: useScratch }),
+    };
 
-    if (testResult.success) {
-      console.log('🎉 Bug fixed successfully!');
-      const result = createSuccessResult(originalCode, fixedCode, filename, {
-        testOutput: testResult.testOutput,
-        model: config.model,
+    if (outcome.success) {
+      const result = createSuccessResult(originalCode, outcome.fixedCode, filename, {
+        patch: outcome.patch,
+        testOutput: outcome.testResult?.testOutput,
+        ...pickOutcomeFields(outcome.testResult),
+        ...summary,
       });
 
+      if (config.dryRun) {
+        printFixPreview(result);
+      } else {
+        console.log('🎉 Bug fixed successfully!');
+      }
+
       // Validate result structure
       const validation = validateBugFixResult(result);
       if (!validation.success) {
@@ -444,66 +1094,373 @@ export const fixBug = async (filename, errorMessage = '', options = {}) => {
     }
 
     console.log('💥 Could not create a working fix');
-    return createErrorResult(filename, new Error('Tests failed after applying fix'), {
-      testOutput: testResult.testOutput,
-      testError: testResult.error,
+    const lastAttempt = attempts[attempts.length - 1];
+    const message =
+      lastAttempt.stage === 'test'
+        ? `Tests ${lastAttempt.timedOut ? 'timed out' : 'failed'} after applying fix`
+        : lastAttempt.error;
+
+    const result = createErrorResult(filename, new Error(message), {
+      testOutput: outcome.testResult?.testOutput,
+      testError: outcome.testResult?.error,
+      patch: lastAttempt.patch,
+      rejectedReason: lastAttempt.rejectedReason,
+      ...pickOutcomeFields(outcome.testResult),
+      ...summary,
     });
+
+    if (config.dryRun) {
+      printFixPreview(result);
+    }
+
+    return result;
   } catch (error) {
-    logger.error('Error fixing bug', { 
+    logger.error('Error fixing bug', {
       function: 'fixBug',
-      filename, 
-      error: error.message, 
-      stack: error.stack 
+      filename,
+      error: error.message,
+      stack: error.stack,
     });
     console.error(`❌ Error fixing bug in ${filename}:`, error.message);
-    return createErrorResult(filename, error);
+    return createErrorResult(filename, error, {
+      attempts: Object.freeze([...attempts]),
+      usage: sumUsage(attempts),
+      cost: sumCost(attempts),
+    });
+  }
+};
+
+/**
+ * Find why a parallel fix cannot be merged into the working tree
+ * @param {Object} result - Fix result produced in an isolated workspace
+ * @param {string|null} currentCode - Current content of the file in the working tree
+ * @param {Set<string>} mergedFiles - Absolute paths already written by other fixes
+ * @returns {string|null} Conflict description, or null when the fix can be merged
+ */
+export const findMergeConflict = (result, currentCode, mergedFiles) => {
+  if (mergedFiles.has(resolve(result.filename))) {
+    return 'File was already modified by another parallel fix';
+  }
+
+  if (currentCode !== result.originalCode) {
+    return 'File changed in the working tree while the fix was running';
   }
+
+  return null;
 };
 
 /**
- * Fix multiple bugs in parallel
+ * Merge passing fixes from isolated workspaces back into the working tree
+ * @param {Array<Object>} results - Fix results produced in isolated workspaces
+ * @returns {Promise<Array<Object>>} Frozen results annotated with merged/conflict
+ */
+export const mergeParallelResults = async (results) => {
+  const mergedFiles = new Set();
+  const merged = [];
+
+  for (const result of results) {
+    if (!result.success || result.dryRun) {
+      merged.push(Object.freeze({ ...result, merged: false }));
+      continue;
+    }
+
+    const currentCode = fileExists(result.filename) ? await readFileContent(result.filename) : null;
+    const conflict = findMergeConflict(result, currentCode, mergedFiles);
+
+    if (conflict) {
+      logger.warn('Parallel fix conflict', {
+        function: 'mergeParallelResults',
+        filename: result.filename,
+        conflict,
+      });
+      console.log(`⚠️  Not merging fix for ${result.filename}: ${conflict}`);
+      merged.push(Object.freeze({ ...result, merged: false, conflict }));
+      continue;
+    }
+
+    await writeFileContent(result.filename, result.fixedCode);
+    mergedFiles.add(resolve(result.filename));
+    merged.push(Object.freeze({ ...result, merged: true }));
+  }
+
+  return Object.freeze(merged);
+};
+
+/**
+ * Fix multiple bugs in parallel, each in its own scratch copy of the working tree
+ *
+ * Fixes never see each other's half-applied changes. Passing fixes are merged
+ * back afterwards; fixes that conflict are reported with a `conflict` reason.
  * @param {Array<Object>} fixes - Array of {filename, errorMessage, options}
- * @returns {Promise<Array<Object>>} Array of results
+ * @returns {Promise<Array<Object>>} Array of results with merged/conflict fields
  */
 export const fixBugsParallel = async (fixes) => {
+  const rootDir = process.cwd();
   const promises = fixes.map(({ filename, errorMessage, options }) =>
-    fixBug(filename, errorMessage, options)
+    withScratchWorkspace(rootDir, (workspace) =>
+      fixBug(filename, errorMessage, { ...options, workspaceDir: workspace.dir })
+    )
   );
 
-  return await Promise.all(promises);
+  return await mergeParallelResults(await Promise.all(promises));
 };
 
 // ============================================================================
 // CLI INTERFACE
 // ============================================================================
 
+/**
+ * Supported CLI options, keyed by flag name
+ */
+export const CLI_FLAGS = Object.freeze({
+  config: Object.freeze({ key: 'configType', type: 'string' }),
+  provider: Object.freeze({ key: 'provider', type: 'string' }),
+  'base-url': Object.freeze({ key: 'baseURL', type: 'string' }),
+  model: Object.freeze({ key: 'model', type: 'string' }),
+  'max-tokens': Object.freeze({ key: 'maxTokens', type: 'number' }),
+  temperature: Object.freeze({ key: 'temperature', type: 'number' }),
+  'test-command': Object.freeze({ key: 'testCommand', type: 'string' }),
+  'test-timeout': Object.freeze({ key: 'testTimeout', type: 'number' }),
+  'max-test-output': Object.freeze({ key: 'maxTestOutput', type: 'number' }),
+  'stream-tests': Object.freeze({ key: 'streamTestOutput', type: 'boolean' }),
+  'error-file': Object.freeze({ key: 'errorFile', type: 'string' }),
+  cassette: Object.freeze({ key: 'cassettePath', type: 'string' }),
+  'cassette-mode': Object.freeze({ key: 'cassetteMode', type: 'string' }),
+  'dry-run': Object.freeze({
+    key: 'dryRun',
+    type: 'boolean',
+    values: Object.freeze({ validate: 'validateInScratch' }),
+  }),
+  help: Object.freeze({ key: 'help', type: 'boolean' }),
+});
+
+const CLI_ALIASES = Object.freeze({ '-h': '--help' });
+
+/**
+ * Read a boolean flag, which only accepts the values listed in its definition
+ * @param {string} name - Flag name
+ * @param {Object} definition - Flag definition
+ * @param {string|undefined} inlineValue - Value given with "="
+ * @returns {Object} Parsed flag with updates or error
+ */
+const readBooleanFlag = (name, definition, inlineValue) => {
+  if (inlineValue === undefined) {
+    return { updates: { [definition.key]: true }, consumed: 1 };
+  }
+
+  const valueKey = definition.values?.[inlineValue];
+  if (!valueKey) {
+    return { error: `Invalid value for --${name}: "${inlineValue}"`, consumed: 1 };
+  }
+
+  return { updates: { [definition.key]: true, [valueKey]: true }, consumed: 1 };
+};
+
+/**
+ * Read a flag and its value starting at an argument index
+ * @param {Array<string>} args - CLI arguments (without node and script)
+ * @param {number} index - Index of the flag
+ * @returns {Object} Parsed flag with updates, consumed argument count, or error
+ */
+const readFlag = (args, index) => {
+  const arg = CLI_ALIASES[args[index]] || args[index];
+  const separator = arg.indexOf('=');
+  const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+  const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+  const definition = arg.startsWith('--') ? CLI_FLAGS[name] : undefined;
+
+  if (!definition) {
+    return { error: `Unknown option: ${arg.split('=')[0]}`, consumed: 1 };
+  }
+
+  if (definition.type === 'boolean') {
+    return readBooleanFlag(name, definition, inlineValue);
+  }
+
+  const nextArg = args[index + 1];
+  const rawValue = inlineValue ?? (nextArg?.startsWith('--') ? undefined : nextArg);
+  const consumed = inlineValue === undefined ? 2 : 1;
+
+  if (rawValue === undefined || rawValue === '') {
+    return { error: `Missing value for --${name}`, consumed: 1 };
+  }
+
+  const value = definition.type === 'number' ? Number(rawValue) : rawValue;
+  if (Number.isNaN(value)) {
+    return { error: `--${name} expects a number, got "${rawValue}"`, consumed };
+  }
+
+  return { updates: { [definition.key]: value }, consumed };
+};
+
+/**
+ * Split CLI arguments into positional arguments, option values and errors
+ * @param {Array<string>} args - CLI arguments (without node and script)
+ * @returns {Object} Frozen object with positional, values and errors
+ */
+export const tokenizeCliArgs = (args) => {
+  const positional = [];
+  const errors = [];
+  let values = {};
+  let index = 0;
+
+  while (index < args.length) {
+    const arg = args[index];
+
+    if (arg === '--') {
+      positional.push(...args.slice(index + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      index++;
+      continue;
+    }
+
+    const flag = readFlag(args, index);
+    if (flag.error) {
+      errors.push(flag.error);
+    } else {
+      values = { ...values, ...flag.updates };
+    }
+    index += flag.consumed;
+  }
+
+  return Object.freeze({ positional, values, errors });
+};
+
+/**
+ * Format schema validation issues using CLI flag names
+ * @param {Array<Object>} issues - Zod issues
+ * @returns {Array<string>} Error messages
+ */
+const formatCliIssues = (issues) => {
+  const flagNames = Object.fromEntries(
+    Object.entries(CLI_FLAGS).map(([name, definition]) => [definition.key, `--${name}`])
+  );
+
+  return issues.map((issue) => {
+    const key = issue.path[0];
+    return `${flagNames[key] || key}: ${issue.message}`;
+  });
+};
+
 /**
  * Parse command line arguments
  * @param {Array<string>} argv - Process arguments
- * @returns {Object} Parsed arguments
+ * @returns {Object} Frozen parsed arguments with an errors array
  */
 export const parseCliArgs = (argv) => {
-  const filename = argv[2];
-  const errorMessage = argv[3] || '';
+  const { positional, values, errors } = tokenizeCliArgs(argv.slice(2));
+  const [filename, errorMessage = '', ...extra] = positional;
 
-  return Object.freeze({
+  const args = {
     filename,
     errorMessage,
     hasFilename: Boolean(filename),
+    help: false,
+    dryRun: false,
+    validateInScratch: false,
+    ...values,
+  };
+
+  const validation = CLIArgsSchema.safeParse(args);
+  const allErrors = [
+    ...errors,
+    ...extra.map((arg) => `Unexpected argument: ${arg}`),
+    ...(validation.success ? [] : formatCliIssues(validation.error.issues)),
+  ];
+
+  return Object.freeze({ ...args, errors: Object.freeze(allErrors) });
+};
+
+/**
+ * Build fixBug options from parsed CLI arguments
+ * @param {Object} args - Parsed CLI arguments
+ * @returns {Object} Frozen fixBug options (unset options omitted)
+ */
+export const buildFixOptions = (args) => {
+  const keys = [
+    'configType',
+    'provider',
+    'baseURL',
+    'model',
+    'maxTokens',
+    'temperature',
+    'testCommand',
+    'testTimeout',
+    'maxTestOutput',
+    'streamTestOutput',
+    'cassettePath',
+    'cassetteMode',
+  ];
+  const options = Object.fromEntries(
+    keys.filter((key) => args[key] !== undefined).map((key) => [key, args[key]])
+  );
+
+  return Object.freeze({
+    ...options,
+    dryRun: args.dryRun,
+    validateInScratch: args.validateInScratch,
   });
 };
 
+/**
+ * Read all of standard input
+ * @returns {Promise<string>} Standard input contents
+ */
+export const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Resolve the error context from the CLI message and --error-file
+ * @param {Object} args - Parsed CLI arguments
+ * @returns {Promise<string>} Error context
+ */
+export const readErrorContext = async (args) => {
+  if (!args.errorFile) {
+    return args.errorMessage;
+  }
+
+  const fileContext =
+    args.errorFile === '-' ? await readStdin() : await readFileContent(args.errorFile);
+
+  return [args.errorMessage, fileContext.trim()].filter(Boolean).join('\n\n');
+};
+
 /**
  * Display CLI usage information
  */
 export const showUsage = () => {
-  console.log('Usage: node bug-fixer.js <filename> [error-message]');
+  console.log('Usage: node bug-fixer.js [options] <filename> [error-message]');
   console.log('\nExamples:');
   console.log('  node bug-fixer.js src/payment.js');
   console.log('  node bug-fixer.js utils.js "Cannot read property of undefined"');
+  console.log('  node bug-fixer.js --config=thorough --error-file=test-output.txt src/cart.js');
+  console.log('  npm test 2>&1 | node bug-fixer.js --error-file=- src/cart.js');
   console.log('\nOptions:');
-  console.log('  --config=<type>  Use specific config (quick, thorough, security)');
-  console.log('  --model=<name>   Override AI model');
+  console.log('  --config=<type>         Use a preset (quick, thorough, security, performance)');
+  console.log('  --provider=<name>       AI provider (openai, anthropic, openai-compatible)');
+  console.log('  --base-url=<url>        API base URL, e.g. a local OpenAI-compatible server');
+  console.log('  --model=<name>          Override AI model');
+  console.log('  --max-tokens=<n>        Override maximum response tokens');
+  console.log('  --temperature=<n>       Override sampling temperature (0-2)');
+  console.log('  --test-command=<cmd>    Command used to verify the fix');
+  console.log('  --test-timeout=<ms>     Kill the test command after this long (default 600000)');
+  console.log('  --max-test-output=<n>   Characters of test output kept per stream');
+  console.log('  --stream-tests          Print test output live while capturing it');
+  console.log('  --error-file=<path>     Read error context from a file ("-" for stdin)');
+  console.log('  --cassette=<path>       Record/replay AI responses in a cassette file');
+  console.log('  --cassette-mode=<mode>  "record" or "replay" (default replay)');
+  console.log('  --dry-run               Show the proposed diff and cost without changing files');
+  console.log('  --dry-run=validate      Also run the tests against the fix in a scratch copy');
+  console.log('  -h, --help              Show this help');
 };
 
 /**
@@ -512,6 +1469,19 @@ export const showUsage = () => {
 export const main = async () => {
   const args = parseCliArgs(process.argv);
 
+  if (args.help) {
+    showUsage();
+    process.exit(0);
+  }
+
+  if (args.errors.length > 0) {
+    for (const error of args.errors) {
+      console.error(`❌ ${error}`);
+    }
+    showUsage();
+    process.exit(1);
+  }
+
   if (!args.hasFilename) {
     showUsage();
     process.exit(1);
@@ -523,7 +1493,13 @@ export const main = async () => {
     process.exit(1);
   }
 
-  const result = await fixBug(args.filename, args.errorMessage);
+  const errorContext = await readErrorContext(args);
+  const result = await fixBug(args.filename, errorContext, buildFixOptions(args));
+
+  if (result.success && result.dryRun) {
+    console.log('👀 Dry run complete. Re-run without --dry-run to apply the fix.');
+    process.exit(0);
+  }
 
   if (result.success) {
     console.log('🎉 Bug fixed! Review the changes and commit when ready.');
@@ -0,0 +1,178 @@
+/**
+ * AI Cassettes - Functional Programming Implementation
+ *
+ * Records AI prompt/response/usage pairs to a JSON cassette file and replays
+ * them deterministically, keyed by a hash of the prompt, so fixes can be run
+ * offline and reproduced without an API key.
+ * Implements strict functional programming principles:
+ * - Pure functions for hashing and lookup
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for cassette file access
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { CassetteSchema } from './validation-schemas.js';
+
+/**
+ * Supported cassette modes
+ */
+export const CASSETTE_MODES = Object.freeze(['record', 'replay']);
+
+/**
+ * Cassette file format version
+ */
+export const CASSETTE_VERSION = 1;
+
+// ============================================================================
+// PURE FUNCTIONS - Keys & Lookup
+// ============================================================================
+
+/**
+ * Hash a prompt into a cassette key
+ * @param {string} prompt - Prompt sent to the model
+ * @returns {string} Hex SHA-256 digest
+ */
+export const hashPrompt = (prompt) => createHash('sha256').update(prompt).digest('hex');
+
+/**
+ * Create a recorded interaction
+ * @param {string} prompt - Prompt sent to the model
+ * @param {Object} response - Model response with text and usage
+ * @param {Object} metadata - Provider and model that produced the response
+ * @returns {Object} Frozen interaction
+ */
+export const createInteraction = (prompt, response, metadata = {}) => {
+  return Object.freeze({
+    key: hashPrompt(prompt),
+    provider: metadata.provider,
+    model: metadata.model,
+    prompt,
+    response: Object.freeze({ text: response.text, usage: response.usage ?? null }),
+    recordedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Find the recorded interaction for a prompt
+ *
+ * Identical prompts are served in recording order; once they run out the last
+ * recording is repeated.
+ * @param {Array<Object>} interactions - Recorded interactions
+ * @param {string} key - Prompt hash
+ * @param {number} occurrence - 0-based number of earlier lookups of this key
+ * @returns {Object|null} Matching interaction, or null
+ */
+export const findInteraction = (interactions, key, occurrence = 0) => {
+  const matches = interactions.filter((interaction) => interaction.key === key);
+  return matches[Math.min(occurrence, matches.length - 1)] ?? null;
+};
+
+/**
+ * Parse cassette file contents
+ * @param {string} json - Cassette file contents
+ * @param {string} path - Cassette path (for error messages)
+ * @returns {Array<Object>} Frozen list of interactions
+ * @throws {Error} If the cassette is malformed
+ */
+export const parseCassette = (json, path) => {
+  const parsed = CassetteSchema.safeParse(JSON.parse(json));
+
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid cassette ${path}: ${issue.path.join('.')} ${issue.message}`);
+  }
+
+  return Object.freeze(parsed.data.interactions);
+};
+
+// ============================================================================
+// SIDE EFFECTS - Cassette Files (Isolated)
+// ============================================================================
+
+/**
+ * Read the interactions stored in a cassette file
+ * @param {string} path - Cassette path
+ * @returns {Array<Object>} Frozen list of interactions (empty if the file does not exist)
+ */
+export const readCassette = (path) => {
+  if (!existsSync(path)) {
+    return Object.freeze([]);
+  }
+
+  return parseCassette(readFileSync(path, 'utf8'), path);
+};
+
+/**
+ * Append an interaction to a cassette file
+ *
+ * Synchronous so that parallel fixes recording to the same cassette cannot
+ * interleave their read-modify-write cycles.
+ * @param {string} path - Cassette path
+ * @param {Object} interaction - Interaction to append
+ */
+export const appendInteraction = (path, interaction) => {
+  const interactions = [...readCassette(path), interaction];
+
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(
+    path,
+    `${JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)}\n`,
+    'utf8'
+  );
+};
+
+/**
+ * Create a cassette that records or replays model calls
+ * @param {string} path - Cassette path
+ * @param {string} mode - "record" or "replay"
+ * @returns {Object} Frozen cassette with path, mode and run()
+ * @throws {Error} If the mode is unknown or a replay cassette is malformed
+ */
+export const createCassette = (path, mode = 'replay') => {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode: ${mode} (expected record or replay)`);
+  }
+
+  const interactions = mode === 'replay' ? readCassette(path) : [];
+  const lookups = new Map();
+
+  /**
+   * Serve a recorded response for a prompt
+   * @param {string} prompt - Prompt sent to the model
+   * @returns {Object} Frozen response with text, usage and replayed flag
+   */
+  const replay = (prompt) => {
+    const key = hashPrompt(prompt);
+    const occurrence = lookups.get(key) || 0;
+    const interaction = findInteraction(interactions, key, occurrence);
+
+    if (!interaction) {
+      throw new Error(`No recorded response in cassette ${path} for prompt ${key.slice(0, 12)}`);
+    }
+
+    lookups.set(key, occurrence + 1);
+    return Object.freeze({ ...interaction.response, replayed: true });
+  };
+
+  /**
+   * Call the model and record its response
+   * @param {string} prompt - Prompt sent to the model
+   * @param {Object} metadata - Provider and model
+   * @param {Function} generate - Async function calling the model
+   * @returns {Promise<Object>} Frozen response with text, usage and replayed flag
+   */
+  const record = async (prompt, metadata, generate) => {
+    const response = await generate();
+    appendInteraction(path, createInteraction(prompt, response, metadata));
+    return Object.freeze({ text: response.text, usage: response.usage, replayed: false });
+  };
+
+  return Object.freeze({
+    path,
+    mode,
+    run: async (prompt, metadata, generate) =>
+      mode === 'replay' ? replay(prompt) : record(prompt, metadata, generate),
+  });
+};
@@ -8,46 +8,146 @@
  * - Isolated side effects for git operations
  */
 
-import { execSync } from 'node:child_process';
+import { relative, resolve } from 'node:path';
 import { createLogger } from '@jordanbmowry/agent-configuration/logger';
-import { fileExists, fixBug, runTests } from './bug-fixer.js';
+import { fileExists, fixBug, writeFileContent } from './bug-fixer.js';
+import {
+  DEFAULT_COMMIT_TEMPLATE,
+  DEFAULT_COMMIT_TYPE,
+  buildCommitMessage,
+} from './commit-message.js';
+import { rankSuspects, readCoverageFile } from './fault-localization.js';
+import { confirmFailures } from './flaky-detection.js';
+import {
+  commitChanges,
+  configureGit,
+  createBranch,
+  pushBranch,
+  pushChanges,
+  readStagedChanges,
+  stageChanges,
+} from './git.js';
+import { reportToGitHubActions } from './github-actions.js';
+import { defaultTestCommand, isSourceFile } from './languages.js';
+import {
+  addFixerTrailer,
+  checkLoopGuard,
+  createStateKey,
+  recordAttempt,
+  resolveLoopGuard,
+  writeLoopState,
+} from './loop-guard.js';
+import {
+  DEFAULT_GITHUB_API_URL,
+  DEFAULT_PR_LABELS,
+  buildPullRequestBody,
+  buildPullRequestTitle,
+  createFixBranchName,
+  createGitHubClient,
+  openPullRequest,
+  parseRepository,
+  readGitHubContext,
+  resolveFixOrigin,
+} from './pull-request.js';
+import { compareOutcomes, describeRegression, recordTestOutcomes } from './regression-baseline.js';
+import { postReview } from './review.js';
+import { createSourceMapResolver } from './source-maps.js';
+import {
+  DEFAULT_EXCLUDE_GLOBS,
+  findSourceFrames,
+  matchesAnyGlob,
+  toRepoPath,
+} from './stack-trace.js';
+import {
+  REPORT_FORMATS,
+  formatFailures,
+  outcomeKey,
+  parseTestOutcomes,
+  parseTestReport,
+  readReportFile,
+  removeReportFile,
+} from './test-reporters.js';
+import { runTests } from './test-runner.js';
 import { validateTestOutput } from './validation-schemas.js';
 
 // Create logger for CI bug fixer
 const logger = createLogger({ agentName: 'ci-bug-fixer' });
 
+// Files named in prose, e.g. "Error in src/cart.ts" or "imported from lib/a.mjs"
+const MENTIONED_FILE_PATTERN = /(?:in|from)\s+([\w./-]+\.\w+)\b/g;
+
 // ============================================================================
 // PURE FUNCTIONS - Test Output Parsing
 // ============================================================================
 
+/**
+ * Find the first source file (not a test, dependency or Node internal) referenced by stack frames
+ * @param {string} text - Text containing stack frames
+ * @param {Object} options - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {string|null} Repository-relative path prefixed with "./", or null
+ */
+export const findSourceFileInStack = (text, options = {}) => {
+  return findSourceFrames(text, options)[0]?.path ?? null;
+};
+
 /**
  * Parse test output to extract failure information
  * @param {string} output - Raw test output
- * @returns {Object} Frozen object with file and error info
+ * @param {string} reportContent - Reporter output to parse (a report file, or the output itself)
+ * @param {Object} options - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {Object} Frozen object with file, normalized failures and error context
  */
-export const parseTestOutput = (output) => {
+export const parseTestOutput = (output, reportContent = output, options = {}) => {
   const outputText = output.toString();
+  const report = parseTestReport(reportContent.toString());
+  const structured = report.format !== 'text';
+  const stackText = structured
+    ? report.failures.flatMap((failure) => failure.stack).join('\n')
+    : outputText;
 
-  // Find the file to fix from stack traces
-  const stackMatch = outputText.match(/at \w+.*\(([^)]+\.js):\d+:\d+\)/);
-
-  let sourceFile = './cart.js'; // fallback
-
-  if (stackMatch?.[1]) {
-    const matchedFile = stackMatch[1];
+  return Object.freeze({
+    file: findSourceFileInStack(stackText, options),
+    format: report.format,
+    failures: report.failures,
+    error: `${REPORT_FORMATS[report.format]} test failures:\n\n${
+      structured ? formatFailures(report.failures) : outputText
+    }`,
+    hasFailures: structured
+      ? report.failures.length > 0
+      : outputText.includes('FAIL') || outputText.includes('Error'),
+  });
+};
 
-    // Exclude test files and node_modules
-    const isValid = !matchedFile.includes('.test.') && !matchedFile.includes('node_modules');
+/**
+ * Restrict parsed test output to a subset of its failures
+ * @param {Object} parsed - Result of parseTestOutput
+ * @param {Array<Object>} failures - Failures to keep
+ * @param {Object} options - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {Object} Frozen parsed output describing only the given failures
+ */
+export const restrictParsedFailures = (parsed, failures, options = {}) => {
+  return Object.freeze({
+    ...parsed,
+    file: findSourceFileInStack(failures.flatMap((failure) => failure.stack).join('\n'), options),
+    failures: Object.freeze(failures),
+    error: `${REPORT_FORMATS[parsed.format]} test failures:\n\n${formatFailures(failures)}`,
+    hasFailures: failures.length > 0,
+  });
+};
 
-    if (isValid) {
-      sourceFile = matchedFile.startsWith('./') ? matchedFile : `./${matchedFile}`;
-    }
+/**
+ * Build the CI result fields describing failures that were not worth fixing
+ * @param {Object|null} confirmation - Result of confirmFailures, or null if not run
+ * @returns {Object} Frozen fields with flakyFailures and environmentFailures
+ */
+export const createClassificationMetadata = (confirmation) => {
+  if (!confirmation) {
+    return Object.freeze({});
   }
 
   return Object.freeze({
-    file: sourceFile,
-    error: `Jest test failures:\n\n${outputText}`,
-    hasFailures: outputText.includes('FAIL') || outputText.includes('Error'),
+    flakyFailures: confirmation.flaky,
+    environmentFailures: confirmation.environment,
   });
 };
 
@@ -71,31 +171,172 @@ export const extractErrorMessages = (output) => {
 
 /**
  * Identify which files to fix from test output
+ *
+ * Every stack frame that resolves to a source file inside the repository is a
+ * candidate, as are files mentioned as "in <file>" or "from <file>". Frames in
+ * built output are mapped back to their original source when a resolver is given.
  * @param {string} output - Test output
- * @returns {Array<string>} Array of file paths to fix
+ * @param {Object} parsed - Parsed test output (defaults to parsing the output)
+ * @param {Object} options - Frame filtering options
+ * @param {string} [options.rootDir] - Repository root (defaults to the working directory)
+ * @param {Array<string>} [options.excludeGlobs] - Globs for files that are never fixed
+ * @param {Object} [options.sourceMapResolver] - Maps generated frames to their original source
+ * @returns {Array<string>} Array of file paths to fix (never generated files)
+ */
+export const identifyFilesToFix = (output, parsed = parseTestOutput(output), options = {}) => {
+  const rootDir = options.rootDir || process.cwd();
+  const excludeGlobs = options.excludeGlobs || DEFAULT_EXCLUDE_GLOBS;
+  const { sourceMapResolver } = options;
+  const stackText = parsed.failures.flatMap((failure) => failure.stack).join('\n');
+  const text = `${output}\n${stackText}`;
+
+  const framePaths = findSourceFrames(text, { rootDir, excludeGlobs, sourceMapResolver }).map(
+    (frame) => frame.path
+  );
+  const mentionedPaths = Array.from(text.matchAll(MENTIONED_FILE_PATTERN), (match) => match[1])
+    .filter(isSourceFile)
+    .map((file) => toRepoPath(file, rootDir))
+    .filter((path) => path && !matchesAnyGlob(path.slice(2), excludeGlobs));
+
+  // Primary file from the parsed stack trace first
+  const candidates = [parsed.file, ...framePaths, ...mentionedPaths].filter(Boolean);
+
+  return Object.freeze(
+    Array.from(new Set(candidates)).filter(
+      (path) => fileExists(resolve(rootDir, path)) && !sourceMapResolver?.isGenerated(path)
+    )
+  );
+};
+
+/**
+ * Group test failures by the files their stack frames implicate
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Array<string>} files - Files to fix
+ * @param {Object} options - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {Object} Frozen grouping with byFile (failures and lines per file) and unattributed failures
+ */
+export const groupFailuresByFile = (failures, files, options = {}) => {
+  const implicated = failures.map((failure) => ({
+    failure,
+    frames: findSourceFrames(failure.stack.join('\n'), options),
+  }));
+
+  const byFile = Object.fromEntries(
+    files.map((file) => {
+      const frameLines = implicated.map(({ frames }) =>
+        frames.filter((frame) => frame.path === file).map((frame) => frame.line)
+      );
+      const matching = implicated.filter((_, index) => frameLines[index].length > 0);
+
+      return [
+        file,
+        Object.freeze({
+          failures: Object.freeze(matching.map(({ failure }) => failure)),
+          lines: Object.freeze([...new Set(frameLines.flat())].sort((a, b) => a - b)),
+        }),
+      ];
+    })
+  );
+
+  const unattributed = implicated
+    .filter(({ frames }) => !frames.some((frame) => files.includes(frame.path)))
+    .map(({ failure }) => failure);
+
+  return Object.freeze({
+    byFile: Object.freeze(byFile),
+    unattributed: Object.freeze(unattributed),
+  });
+};
+
+/**
+ * Build the error context for fixing one file
+ *
+ * Only failures implicating the file are included. A file no failure points
+ * at gets the failures no stack frame attributes, and failing that the full
+ * test output.
+ * @param {string} file - File being fixed
+ * @param {Object} grouping - Result of groupFailuresByFile
+ * @param {string} fallbackError - Full error context
+ * @returns {string} Error context for fixBug
  */
-export const identifyFilesToFix = (output) => {
-  const parsed = parseTestOutput(output);
-  const files = new Set();
+export const createFileErrorContext = (file, grouping, fallbackError) => {
+  const group = grouping.byFile[file];
 
-  // Add primary file from stack trace
-  if (parsed.file && fileExists(parsed.file)) {
-    files.add(parsed.file);
+  if (group && group.failures.length > 0) {
+    const focus = group.lines.length > 0 ? ` (focus on line(s) ${group.lines.join(', ')})` : '';
+    return `Test failures implicating ${file}${focus}:\n\n${formatFailures(group.failures)}`;
   }
 
-  // Look for additional files mentioned in errors
-  const fileMatches = output.matchAll(/(?:at|in|from)\s+([a-zA-Z0-9/_-]+\.js)/g);
-  for (const match of fileMatches) {
-    const file = match[1];
-    if (!file.includes('test') && !file.includes('node_modules')) {
-      const path = file.startsWith('./') ? file : `./${file}`;
-      if (fileExists(path)) {
-        files.add(path);
-      }
-    }
+  if (grouping.unattributed.length > 0) {
+    return `Test failures not traced to a specific file:\n\n${formatFailures(grouping.unattributed)}`;
   }
 
-  return Object.freeze(Array.from(files));
+  return fallbackError;
+};
+
+/**
+ * Build the baseline fixBug judges a fix of a file against
+ *
+ * The target tests are the baseline failures implicating the file, or the
+ * unattributed failures when none do.
+ * @param {string} file - File being fixed
+ * @param {Object} grouping - Result of groupFailuresByFile
+ * @param {Object|null} baseline - Current baseline outcomes
+ * @returns {Object|undefined} Frozen baseline with outcomes and targetTests
+ */
+export const createFixBaseline = (file, grouping, baseline) => {
+  if (!baseline) {
+    return undefined;
+  }
+
+  const implicating = grouping.byFile[file]?.failures ?? [];
+  const failures = implicating.length > 0 ? implicating : grouping.unattributed;
+  const targetTests = failures
+    .map((failure) => outcomeKey(failure.file, failure.name))
+    .filter((key) => baseline[key] === 'failed');
+
+  return Object.freeze({
+    outcomes: baseline,
+    targetTests: Object.freeze([...new Set(targetTests)]),
+  });
+};
+
+/**
+ * Commit settings of the CI configuration
+ * @param {Object} options - Configuration options
+ * @returns {Object} Commit settings
+ */
+const createCommitOptions = (options) => {
+  return {
+    autoCommit: options.autoCommit ?? true,
+    autoPush: options.autoPush ?? false,
+    // A fixed message; without one the message is generated from commitTemplate
+    commitMessage: options.commitMessage,
+    commitTemplate: options.commitTemplate || DEFAULT_COMMIT_TEMPLATE,
+    commitType: options.commitType || DEFAULT_COMMIT_TYPE,
+  };
+};
+
+/**
+ * Pull request settings of the CI configuration
+ * @param {Object} options - Configuration options
+ * @returns {Object} Pull request settings
+ */
+const createPullRequestOptions = (options) => {
+  return {
+    // 'pr' commits onto a bug-fixer/<run-id> branch and opens a pull request instead of pushing;
+    // 'review' posts the fixes as suggestions on the originating pull request and commits nothing
+    mode: options.mode || 'commit',
+    githubToken: options.githubToken || process.env.GITHUB_TOKEN,
+    // Point at a mock server to test pull request mode without GitHub
+    githubApiUrl: options.githubApiUrl || process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL,
+    // Repository and base branch default to the GitHub Actions context
+    repository: options.repository,
+    // Names the fix branch and marks the run's commits; local runs are told apart by process
+    runId: options.runId || process.env.GITHUB_RUN_ID || `local-${process.pid}`,
+    baseBranch: options.baseBranch,
+    prLabels: options.prLabels || DEFAULT_PR_LABELS,
+  };
 };
 
 /**
@@ -104,17 +345,71 @@ export const identifyFilesToFix = (output) => {
  * @returns {Object} Frozen configuration
  */
 export const createCIConfig = (options = {}) => {
+  const rootDir = options.rootDir || process.cwd();
+
   return Object.freeze({
-    testCommand: options.testCommand || 'npm test',
+    // Defaults to the test command of options.language, or of the language detected in rootDir
+    testCommand: options.testCommand || defaultTestCommand(rootDir, options.language),
+    reportFile: options.reportFile,
+    // Stack frame paths are resolved against rootDir; files matching excludeGlobs are never fixed
+    rootDir,
+    excludeGlobs: options.excludeGlobs || DEFAULT_EXCLUDE_GLOBS,
+    sourceMaps: options.sourceMaps ?? true,
+    // Optional per-test coverage ({ tests: [{ passed, files }] }) used to rank suspect files
+    coverageFile: options.coverageFile,
+    suspicionFormula: options.suspicionFormula || 'ochiai',
+    // Re-run failing tests this many times before fixing; 0 disables the flakiness check
+    flakyReruns: options.flakyReruns ?? 0,
+    rerunTestCommand: options.rerunTestCommand,
+    // Reject fixes that make previously passing tests fail (needs a structured reporter)
+    regressionCheck: options.regressionCheck ?? true,
+    testTimeout: options.testTimeout,
+    maxTestOutput: options.maxTestOutput,
+    streamTestOutput: options.streamTestOutput ?? false,
+    cassettePath: options.cassettePath,
+    cassetteMode: options.cassetteMode,
     maxRetries: options.maxRetries || 3,
-    autoCommit: options.autoCommit ?? true,
-    autoPush: options.autoPush ?? false,
-    commitMessage: options.commitMessage || '🤖 Auto-fix: Resolve test failures',
-    model: options.model || 'gpt-4o-mini',
+    // Skips runs on the fixer's own commits and limits attempts per pull request or branch;
+    // false disables it
+    loopGuard: resolveLoopGuard(options.loopGuard),
+    ...createCommitOptions(options),
+    ...createPullRequestOptions(options),
+    provider: options.provider,
+    baseURL: options.baseURL,
+    // The default model only makes sense for OpenAI; other providers use the configured model
+    model: options.model || (options.provider ? undefined : 'gpt-4o-mini'),
     configType: options.configType || 'thorough',
   });
 };
 
+/**
+ * Build runTests options from a CI configuration
+ * @param {Object} config - CI configuration
+ * @returns {Object} Frozen runTests options
+ */
+export const createCITestRunOptions = (config) => {
+  return Object.freeze({
+    timeout: config.testTimeout,
+    maxOutput: config.maxTestOutput,
+    stream: config.streamTestOutput,
+  });
+};
+
+/**
+ * Build the stack frame options used to locate files to fix
+ * @param {Object} config - CI configuration
+ * @returns {Object} Frozen options with rootDir, excludeGlobs and sourceMapResolver
+ */
+export const createFrameOptions = (config) => {
+  return Object.freeze({
+    rootDir: config.rootDir,
+    excludeGlobs: config.excludeGlobs,
+    sourceMapResolver: config.sourceMaps
+      ? createSourceMapResolver({ rootDir: config.rootDir })
+      : undefined,
+  });
+};
+
 /**
  * Create CI result object
  * @param {Array<Object>} fixes - Array of fix results
@@ -135,85 +430,82 @@ export const createCIResult = (fixes, metadata = {}) => {
   });
 };
 
-// ============================================================================
-// SIDE EFFECTS - Git Operations (Isolated)
-// ============================================================================
-
 /**
- * Configure git with user information
- * @param {string} name - Git user name
- * @param {string} email - Git user email
- * @returns {Object} Result with success flag
+ * Map the files written by successful fixes to the code the fixer wrote
+ * @param {Array<Object>} fixes - Fix results
+ * @param {string} rootDir - Repository root the paths are made relative to
+ * @returns {Object} Frozen map of repository path → fixed code
  */
-export const configureGit = (name = 'Auto Bug Fixer', email = 'action@github.com') => {
-  try {
-    execSync(`git config user.name "${name}"`, { stdio: 'pipe' });
-    execSync(`git config user.email "${email}"`, { stdio: 'pipe' });
-
-    return Object.freeze({
-      success: true,
-      message: 'Git configured successfully',
-    });
-  } catch (error) {
-    return Object.freeze({
-      success: false,
-      error: error.message,
-    });
-  }
+export const collectFixedFiles = (fixes, rootDir) => {
+  return Object.freeze(
+    Object.fromEntries(
+      fixes
+        .filter((fix) => fix.success)
+        .map((fix) => [relative(rootDir, resolve(fix.filename)), fix.fixedCode])
+    )
+  );
 };
 
 /**
- * Stage all changes
- * @returns {Object} Result with success flag
+ * Find staged changes that are not exactly what the fixer wrote
+ * @param {Object} fixedFiles - Result of collectFixedFiles
+ * @param {Object} stagedFiles - Staged path → staged content (null for deletions)
+ * @returns {Array<string>} Frozen list of problems (empty when the index matches the fixes)
  */
-export const stageChanges = () => {
-  try {
-    execSync('git add .', { stdio: 'pipe' });
-
-    return Object.freeze({
-      success: true,
-      message: 'Changes staged',
-    });
-  } catch (error) {
-    return Object.freeze({
-      success: false,
-      error: error.message,
-    });
-  }
+export const findUnexpectedChanges = (fixedFiles, stagedFiles) => {
+  return Object.freeze(
+    Object.entries(stagedFiles).flatMap(([path, content]) => {
+      if (!(path in fixedFiles)) {
+        return [`${path} is staged but was not changed by a fix`];
+      }
+      return content === fixedFiles[path] ? [] : [`${path} differs from the code the fixer wrote`];
+    })
+  );
 };
 
 /**
- * Commit changes
- * @param {string} message - Commit message
- * @returns {Object} Result with success flag
+ * Commit message for the fixes of a CI run
+ * @param {Object} result - CI result (fixes and failures)
+ * @param {Object} config - CI configuration
+ * @returns {string} The configured or generated message, with a trailer naming the run
  */
-export const commitChanges = (message) => {
-  try {
-    execSync(`git commit -m "${message}"`, { stdio: 'pipe' });
-
-    return Object.freeze({
-      success: true,
-      message: 'Changes committed',
-    });
-  } catch (error) {
-    return Object.freeze({
-      success: false,
-      error: error.message,
+export const createCommitMessage = (result, config) => {
+  const message =
+    config.commitMessage ||
+    buildCommitMessage(result, {
+      template: config.commitTemplate,
+      type: config.commitType,
+      frameOptions: { rootDir: config.rootDir, excludeGlobs: config.excludeGlobs },
     });
-  }
+
+  return addFixerTrailer(message, config.runId);
 };
 
+// ============================================================================
+// SIDE EFFECTS - Commits (Isolated)
+// ============================================================================
+
 /**
- * Push changes to remote
- * @returns {Object} Result with success flag
+ * Check that the index holds exactly the code written by successful fixes
+ * @param {Array<Object>} fixes - Fix results
+ * @returns {Object} Result with success flag, and problems on failure
  */
-export const pushChanges = () => {
+export const verifyStagedChanges = (fixes) => {
   try {
-    execSync('git push', { stdio: 'pipe' });
+    const staged = readStagedChanges();
+    const problems = findUnexpectedChanges(collectFixedFiles(fixes, staged.rootDir), staged.files);
+
+    if (problems.length > 0) {
+      return Object.freeze({
+        success: false,
+        error: `Unexpected staged changes:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`,
+        problems,
+      });
+    }
 
     return Object.freeze({
       success: true,
-      message: 'Changes pushed',
+      message: 'Staged changes match the fixes',
     });
   } catch (error) {
     return Object.freeze({
@@ -225,21 +517,34 @@ export const pushChanges = () => {
 
 /**
  * Commit and optionally push fixes
+ *
+ * Only the files of successful fixes are staged. Nothing is committed unless
+ * the index holds exactly the code the fixer wrote, so artifacts lying around
+ * in the workspace never end up in the commit.
+ * @param {Array<Object>} fixes - Fix results
  * @param {string} message - Commit message
  * @param {boolean} shouldPush - Whether to push changes
  * @returns {Object} Result with success flag
  */
-export const commitFixes = (message, shouldPush = false) => {
-  logger.info('Committing fixes', { function: 'commitFixes', message, shouldPush });
+export const commitFixes = (fixes, message, shouldPush = false) => {
+  const files = fixes.filter((fix) => fix.success).map((fix) => fix.filename);
+  logger.info('Committing fixes', { function: 'commitFixes', message, shouldPush, files });
   console.log('📝 Committing fixes...');
 
+  if (files.length === 0) {
+    return Object.freeze({
+      success: false,
+      error: 'No fixed files to commit',
+    });
+  }
+
   const gitConfig = configureGit();
   if (!gitConfig.success) {
     logger.warn('Git configuration failed', { function: 'commitFixes', error: gitConfig.error });
     console.log('⚠️  Git configuration failed:', gitConfig.error);
   }
 
-  const staged = stageChanges();
+  const staged = stageChanges(files);
   if (!staged.success) {
     logger.error('Failed to stage changes', { function: 'commitFixes', error: staged.error });
     console.log('❌ Failed to stage changes:', staged.error);
@@ -249,9 +554,26 @@ export const commitFixes = (message, shouldPush = false) => {
     });
   }
 
+  const verified = verifyStagedChanges(fixes);
+  if (!verified.success) {
+    logger.error('Staged changes do not match the fixes', {
+      function: 'commitFixes',
+      error: verified.error,
+    });
+    console.log('❌ Aborting commit:', verified.error);
+    return Object.freeze({
+      success: false,
+      error: verified.error,
+    });
+  }
+
   const committed = commitChanges(message);
   if (!committed.success) {
-    logger.error('Failed to commit changes', { function: 'commitFixes', error: committed.error, message });
+    logger.error('Failed to commit changes', {
+      function: 'commitFixes',
+      error: committed.error,
+      message,
+    });
     console.log('❌ Failed to commit:', committed.error);
     return Object.freeze({
       success: false,
@@ -288,6 +610,358 @@ export const commitFixes = (message, shouldPush = false) => {
 // ORCHESTRATION - Main CI Fix Logic
 // ============================================================================
 
+/**
+ * Re-run failing tests and keep only the deterministic failures
+ * @param {Object} parsed - Result of parseTestOutput
+ * @param {string} testOutput - Full test output
+ * @param {Object} config - CI configuration
+ * @param {Object} frameOptions - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {Promise<Object>} Frozen object with parsed, output to search for files and confirmation
+ */
+export const confirmDeterministicFailures = async (parsed, testOutput, config, frameOptions) => {
+  if (!config.flakyReruns || parsed.failures.length === 0) {
+    return Object.freeze({ parsed, output: testOutput, confirmation: null });
+  }
+
+  console.log(`🔁 Re-running failing tests ${config.flakyReruns} time(s) to rule out flakiness...`);
+  const confirmation = await confirmFailures(
+    parsed.failures,
+    config,
+    createCITestRunOptions(config)
+  );
+
+  logger.info('Test failures classified', {
+    function: 'confirmDeterministicFailures',
+    command: confirmation.command,
+    deterministic: confirmation.deterministic.length,
+    flaky: confirmation.flaky.length,
+    environment: confirmation.environment.length,
+  });
+  console.log(
+    `   ${confirmation.deterministic.length} deterministic, ${confirmation.flaky.length} flaky, ${confirmation.environment.length} environment-related`
+  );
+
+  return Object.freeze({
+    parsed: restrictParsedFailures(parsed, confirmation.deterministic, frameOptions),
+    output: formatFailures(confirmation.deterministic),
+    confirmation,
+  });
+};
+
+/**
+ * Record the per-test outcomes of the initial failing run as the regression baseline
+ * @param {Object} config - CI configuration
+ * @param {string} reportContent - Reporter output of the initial run
+ * @returns {Object|null} Baseline outcomes, or null if disabled or unavailable
+ */
+export const recordRegressionBaseline = (config, reportContent) => {
+  if (!config.regressionCheck) {
+    return null;
+  }
+
+  const { format, outcomes } = parseTestOutcomes(reportContent);
+
+  if (!outcomes) {
+    logger.warn('No per-test outcomes for a regression baseline', {
+      function: 'recordRegressionBaseline',
+      format,
+    });
+    console.log('⚠️  Regression check skipped: use a JSON, JUnit or TAP reporter to enable it');
+    return null;
+  }
+
+  logger.info('Regression baseline recorded', {
+    function: 'recordRegressionBaseline',
+    format,
+    tests: Object.keys(outcomes).length,
+  });
+  return outcomes;
+};
+
+/**
+ * Re-run the suite after a fix and reject the fix if it broke or skipped other tests
+ *
+ * A rejected fix is reverted on disk. An accepted fix's outcomes become the
+ * baseline for the next file. Fixes that fixBug already judged against the
+ * baseline are not run again.
+ * @param {Object} fixResult - Result of fixBug
+ * @param {Object|null} baseline - Outcomes before the fix
+ * @param {Object} config - CI configuration
+ * @returns {Promise<Object>} Frozen object with the (possibly rejected) fixResult and next baseline
+ */
+export const checkAgainstBaseline = async (fixResult, baseline, config) => {
+  if (!fixResult.success || !baseline) {
+    return Object.freeze({ fixResult, baseline });
+  }
+
+  // fixBug already judged the fix by the outcomes of its own run against this baseline
+  if (fixResult.testOutcomes) {
+    return Object.freeze({ fixResult, baseline: fixResult.testOutcomes });
+  }
+
+  const after = await recordTestOutcomes(
+    config.testCommand,
+    createCITestRunOptions(config),
+    config.reportFile
+  );
+
+  if (!after.outcomes) {
+    logger.warn('No per-test outcomes after fix', { function: 'checkAgainstBaseline' });
+    return Object.freeze({ fixResult, baseline });
+  }
+
+  const outcomeDiff = compareOutcomes(baseline, after.outcomes);
+
+  if (!outcomeDiff.regressed) {
+    return Object.freeze({
+      fixResult: Object.freeze({ ...fixResult, outcomeDiff }),
+      baseline: after.outcomes,
+    });
+  }
+
+  const reason = describeRegression(outcomeDiff);
+  logger.warn('Fix rejected by regression check', {
+    function: 'checkAgainstBaseline',
+    file: fixResult.filename,
+    reason,
+  });
+  console.log(`↩️  Reverting ${fixResult.filename}: ${reason}`);
+  await writeFileContent(fixResult.filename, fixResult.originalCode);
+
+  return Object.freeze({
+    fixResult: Object.freeze({
+      ...fixResult,
+      success: false,
+      reverted: true,
+      error: `Fix rejected: ${reason}`,
+      outcomeDiff,
+    }),
+    baseline,
+  });
+};
+
+/**
+ * Commit the fixes on a bug-fixer/<run-id> branch, push it and open a pull request
+ *
+ * The pull request targets the branch of the originating pull request, or the
+ * branch of the commit whose tests failed.
+ * @param {Object} result - CI result with the fixes
+ * @param {Object} config - CI configuration
+ * @param {Object} context - GitHub context (see readGitHubContext)
+ * @returns {Promise<Object>} Frozen object with success, committed, pullRequest or error
+ */
+export const openFixPullRequest = async (result, config, context = readGitHubContext()) => {
+  const repository = parseRepository(config.repository || context.repository);
+  const origin = resolveFixOrigin(context);
+  const base = config.baseBranch || origin?.branch;
+  const failure = (error, committed = false) => {
+    logger.error('Failed to open pull request', { function: 'openFixPullRequest', error });
+    console.log('❌ Failed to open pull request:', error);
+    return Object.freeze({ success: false, committed, error });
+  };
+
+  if (!repository || !base || !config.githubToken) {
+    return failure('Pull request mode needs a repository, a base branch and a GitHub token');
+  }
+
+  const branch = createFixBranchName(config.runId);
+  logger.info('Opening pull request', { function: 'openFixPullRequest', branch, base });
+  console.log(`🌿 Committing fixes on ${branch}...`);
+
+  const switched = createBranch(branch);
+  if (!switched.success) {
+    return failure(`Failed to create branch ${branch}: ${switched.error}`);
+  }
+
+  const committed = commitFixes(result.fixes, createCommitMessage(result, config), false);
+  if (!committed.success) {
+    return failure(committed.error);
+  }
+
+  const pushed = pushBranch(branch);
+  if (!pushed.success) {
+    return failure(`Failed to push ${branch}: ${pushed.error}`, true);
+  }
+
+  try {
+    const pullRequest = await openPullRequest(
+      createGitHubClient({ token: config.githubToken, baseUrl: config.githubApiUrl }),
+      {
+        ...repository,
+        head: branch,
+        base,
+        title: buildPullRequestTitle(result.fixes.filter((fix) => fix.success)),
+        body: buildPullRequestBody(result, origin),
+        labels: config.prLabels,
+      }
+    );
+
+    logger.info('Pull request opened', { function: 'openFixPullRequest', ...pullRequest });
+    const action = pullRequest.created ? 'opened' : 'updated';
+    console.log(`✅ Pull request ${action}: ${pullRequest.url}`);
+    return Object.freeze({
+      success: true,
+      committed: true,
+      pullRequest: Object.freeze({ ...pullRequest, branch, base }),
+    });
+  } catch (error) {
+    return failure(`Failed to open pull request: ${error.message}`, true);
+  }
+};
+
+/**
+ * Post the fixes as review suggestions on the pull request whose tests failed
+ * @param {Object} result - CI result with the fixes
+ * @param {Object} config - CI configuration
+ * @param {Object} context - GitHub context (see readGitHubContext)
+ * @returns {Promise<Object>} Frozen object with success, review or error
+ */
+export const postFixReview = async (result, config, context = readGitHubContext()) => {
+  const repository = parseRepository(config.repository || context.repository);
+  const { pullRequest } = context;
+  const failure = (error) => {
+    logger.error('Failed to post review', { function: 'postFixReview', error });
+    console.log('❌ Failed to post review:', error);
+    return Object.freeze({ success: false, error });
+  };
+
+  if (!repository || !pullRequest?.headSha || !config.githubToken) {
+    return failure('Review mode needs a pull_request event, a repository and a GitHub token');
+  }
+
+  try {
+    const review = await postReview(
+      createGitHubClient({ token: config.githubToken, baseUrl: config.githubApiUrl }),
+      {
+        ...repository,
+        pullNumber: pullRequest.number,
+        commitId: pullRequest.headSha,
+        result,
+      }
+    );
+
+    logger.info('Review posted', { function: 'postFixReview', ...review });
+    console.log(
+      `✅ Review posted with ${review.suggestions} suggestion(s) and ${review.attachments} patch(es): ${review.url}`
+    );
+    return Object.freeze({ success: true, review });
+  } catch (error) {
+    return failure(`Failed to post review: ${error.message}`);
+  }
+};
+
+/**
+ * Put back the code the successful fixes replaced
+ * @param {Array<Object>} fixes - Fix results
+ * @returns {Promise<void>}
+ */
+export const restoreFixedFiles = async (fixes) => {
+  for (const fix of fixes.filter((entry) => entry.success)) {
+    await writeFileContent(fix.filename, fix.originalCode);
+  }
+};
+
+/**
+ * Deliver successful fixes the way the configured mode asks for
+ *
+ * Review mode leaves the working tree as it found it: the fixes live on only
+ * as suggestions.
+ * @param {Object} result - CI result with the fixes
+ * @param {Object} config - CI configuration
+ * @returns {Promise<Object>} CI result with the commit, pull request or review outcome
+ */
+export const deliverFixes = async (result, config) => {
+  if (result.successful === 0) {
+    return result;
+  }
+
+  if (config.mode === 'review') {
+    const reviewed = await postFixReview(result, config);
+    await restoreFixedFiles(result.fixes);
+    return Object.freeze({ ...result, review: reviewed.review, reviewError: reviewed.error });
+  }
+
+  if (!config.autoCommit) {
+    return result;
+  }
+
+  if (config.mode === 'pr') {
+    const delivered = await openFixPullRequest(result, config);
+    return Object.freeze({
+      ...result,
+      committed: delivered.committed,
+      pullRequest: delivered.pullRequest,
+      commitError: delivered.error,
+    });
+  }
+
+  const commitResult = commitFixes(
+    result.fixes,
+    createCommitMessage(result, config),
+    config.autoPush
+  );
+  return Object.freeze({
+    ...result,
+    committed: commitResult.success,
+    commitError: commitResult.error,
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Fix Loop Guard (Isolated)
+// ============================================================================
+
+/**
+ * Check whether this run may attempt fixes, logging why when it may not
+ * @param {Object} config - CI configuration
+ * @param {Object} context - GitHub context (see readGitHubContext)
+ * @returns {Object} Frozen decision with allowed, reason, key and state
+ */
+export const checkFixLoop = (config, context = readGitHubContext()) => {
+  if (!config.loopGuard) {
+    return Object.freeze({ allowed: true });
+  }
+
+  const key = createStateKey(context);
+  const decision = checkLoopGuard(config.loopGuard, {
+    key,
+    runId: config.runId,
+    // On pull_request events HEAD is a merge commit; the pull request head is what was pushed
+    refs: ['HEAD', context.pullRequest?.headSha],
+  });
+
+  if (!decision.allowed) {
+    logger.warn('Skipping CI fix', { function: 'checkFixLoop', key, reason: decision.reason });
+    console.log(`⏭️  Skipping CI fix: ${decision.reason}`);
+  }
+
+  return Object.freeze({ ...decision, key });
+};
+
+/**
+ * Count this run against the attempts of its pull request or branch
+ * @param {Object} config - CI configuration
+ * @param {Object} decision - Result of checkFixLoop
+ */
+export const recordFixAttempt = (config, decision) => {
+  if (!config.loopGuard) {
+    return;
+  }
+
+  const state = recordAttempt(decision.state, decision.key, config.runId, Date.now());
+  if (state === decision.state) {
+    return;
+  }
+
+  const saved = writeLoopState(config.loopGuard, state);
+  if (!saved.success) {
+    logger.warn('Failed to record fix attempt', {
+      function: 'recordFixAttempt',
+      error: saved.error,
+    });
+  }
+};
+
 /**
  * Run bug fixes for CI environment
  * @param {Object} options - Configuration options
@@ -300,9 +974,15 @@ export const runCIFix = async (options = {}) => {
   const config = createCIConfig(options);
   logger.debug('CI configuration created', { function: 'runCIFix', config });
 
+  const loopCheck = checkFixLoop(config);
+  if (!loopCheck.allowed) {
+    return createCIResult([], { skipped: true, skipReason: loopCheck.reason });
+  }
+
   // Run tests to see what's failing
   logger.debug('Running tests', { function: 'runCIFix', testCommand: config.testCommand });
-  const testResult = runTests(config.testCommand);
+  await removeReportFile(config.reportFile);
+  const testResult = await runTests(config.testCommand, createCITestRunOptions(config));
 
   if (testResult.success) {
     logger.info('All tests passing - no fixes needed', { function: 'runCIFix' });
@@ -314,60 +994,139 @@ export const runCIFix = async (options = {}) => {
   }
 
   // Tests failed - parse output and identify files
-  logger.warn('Tests failed - attempting to fix', { 
+  logger.warn('Tests failed - attempting to fix', {
     function: 'runCIFix',
     testCommand: config.testCommand,
     hasOutput: !!testResult.output,
     hasError: !!testResult.error,
+    timedOut: testResult.timedOut,
   });
   console.log('❌ Tests failed - attempting to fix...');
+  recordFixAttempt(config, loopCheck);
 
   const testOutput = testResult.output + (testResult.error || '');
   logger.debug('Test output received', { function: 'runCIFix', outputLength: testOutput.length });
-  
+
   const validation = validateTestOutput({ output: testOutput });
 
   if (!validation.success) {
-    logger.warn('Test output validation warnings', { function: 'runCIFix', errors: validation.errors });
+    logger.warn('Test output validation warnings', {
+      function: 'runCIFix',
+      errors: validation.errors,
+    });
     console.warn('⚠️  Test output validation warnings:', validation.errors);
   }
 
-  const filesToFix = identifyFilesToFix(testOutput);
-  logger.info('Files to fix identified', { 
+  // Prefer the reporter's output file; otherwise stdout may itself be a JSON/XML/TAP report
+  const reportContent = (await readReportFile(config.reportFile)) ?? testResult.output;
+  const frameOptions = createFrameOptions(config);
+  const parsed = parseTestOutput(testOutput, reportContent, frameOptions);
+  logger.info('Test failures parsed', {
     function: 'runCIFix',
-    count: filesToFix.length, 
-    files: filesToFix 
+    format: parsed.format,
+    failureCount: parsed.failures.length,
+  });
+
+  // Flaky and environment-related failures are reported, not fixed
+  const confirmed = await confirmDeterministicFailures(parsed, testOutput, config, frameOptions);
+  const classificationMetadata = createClassificationMetadata(confirmed.confirmation);
+
+  if (confirmed.confirmation && confirmed.parsed.failures.length === 0) {
+    logger.warn('No deterministic failures to fix', { function: 'runCIFix' });
+    console.log('⚠️  No failure reproduced on every re-run - nothing to fix');
+    return createCIResult([], {
+      message: 'No deterministic failures to fix',
+      testOutput,
+      reportFormat: parsed.format,
+      failures: parsed.failures,
+      ...classificationMetadata,
+    });
+  }
+
+  const filesToFix = identifyFilesToFix(confirmed.output, confirmed.parsed, frameOptions);
+  logger.info('Files to fix identified', {
+    function: 'runCIFix',
+    count: filesToFix.length,
+    files: filesToFix,
   });
 
   if (filesToFix.length === 0) {
-    logger.warn('Could not identify files to fix from test output', { function: 'runCIFix', testOutput });
+    logger.warn('Could not identify files to fix from test output', {
+      function: 'runCIFix',
+      testOutput,
+    });
     console.log('⚠️  Could not identify files to fix from test output');
     return createCIResult([], {
       error: 'Could not identify files to fix',
       testOutput,
+      reportFormat: parsed.format,
+      failures: parsed.failures,
+      ...classificationMetadata,
     });
   }
 
-  logger.info('Starting file fixes', { function: 'runCIFix', fileCount: filesToFix.length, files: filesToFix });
+  logger.info('Starting file fixes', {
+    function: 'runCIFix',
+    fileCount: filesToFix.length,
+    files: filesToFix,
+  });
   console.log(`🔧 Attempting to fix ${filesToFix.length} file(s)...`);
 
+  // Most suspicious files are fixed first
+  const suspects = rankSuspects(filesToFix, confirmed.parsed.failures, {
+    ...frameOptions,
+    coverage: await readCoverageFile(config.coverageFile),
+    formula: config.suspicionFormula,
+  });
+  const rankedFiles = suspects.map((suspect) => suspect.file);
+  logger.info('Suspect files ranked', {
+    function: 'runCIFix',
+    suspects: suspects.map(({ file, score }) => ({ file, score })),
+  });
+
+  // Each file only sees the failures that implicate it
+  const grouping = groupFailuresByFile(confirmed.parsed.failures, rankedFiles, frameOptions);
+
   // Fix each file
   const fixes = [];
-  for (const file of filesToFix) {
-    logger.info('Fixing file', { function: 'runCIFix', file, attempt: fixes.length + 1, total: filesToFix.length });
+  let baseline = recordRegressionBaseline(config, reportContent);
+  for (const file of rankedFiles) {
+    logger.info('Fixing file', {
+      function: 'runCIFix',
+      file,
+      attempt: fixes.length + 1,
+      total: rankedFiles.length,
+    });
     console.log(`🔧 Fixing ${file}...`);
 
-    const errorContext = parseTestOutput(testOutput).error;
-    const fixResult = await fixBug(file, errorContext, {
+    const errorContext = createFileErrorContext(file, grouping, confirmed.parsed.error);
+    const fixed = await fixBug(file, errorContext, {
       configType: config.configType,
+      provider: config.provider,
+      baseURL: config.baseURL,
       model: config.model,
       testCommand: config.testCommand,
+      testTimeout: config.testTimeout,
+      maxTestOutput: config.maxTestOutput,
+      streamTestOutput: config.streamTestOutput,
+      cassettePath: config.cassettePath,
+      cassetteMode: config.cassetteMode,
+      reportFile: config.reportFile,
+      baseline: createFixBaseline(file, grouping, baseline),
     });
 
+    const checked = await checkAgainstBaseline(fixed, baseline, config);
+    const { fixResult } = checked;
+    baseline = checked.baseline;
+
     fixes.push(fixResult);
 
     if (fixResult.success) {
-      logger.info('File fixed successfully', { function: 'runCIFix', file, linesChanged: fixResult.linesChanged });
+      logger.info('File fixed successfully', {
+        function: 'runCIFix',
+        file,
+        linesChanged: fixResult.linesChanged,
+      });
       console.log(`✅ Fixed ${file}`);
     } else {
       logger.error('Failed to fix file', { function: 'runCIFix', file, error: fixResult.error });
@@ -375,19 +1134,16 @@ export const runCIFix = async (options = {}) => {
     }
   }
 
-  const result = createCIResult(fixes, { testOutput });
-
-  // Commit fixes if configured and any succeeded
-  if (config.autoCommit && result.successful > 0) {
-    const commitResult = commitFixes(config.commitMessage, config.autoPush);
-    return Object.freeze({
-      ...result,
-      committed: commitResult.success,
-      commitError: commitResult.error,
-    });
-  }
+  const result = createCIResult(fixes, {
+    testOutput,
+    reportFormat: parsed.format,
+    failures: parsed.failures,
+    ...classificationMetadata,
+    suspects,
+  });
 
-  return result;
+  // Commit, open a pull request or post a review if any fix succeeded
+  return deliverFixes(result, config);
 };
 
 /**
@@ -397,20 +1153,44 @@ export const runCIFix = async (options = {}) => {
  */
 export const runCIFixWithRetries = async (options = {}) => {
   const config = createCIConfig(options);
-  logger.info('Starting CI fix with retries', { function: 'runCIFixWithRetries', maxRetries: config.maxRetries, config });
+  logger.info('Starting CI fix with retries', {
+    function: 'runCIFixWithRetries',
+    maxRetries: config.maxRetries,
+    config,
+  });
   let lastResult = null;
 
   for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
-    logger.info('CI fix attempt', { function: 'runCIFixWithRetries', attempt, maxRetries: config.maxRetries });
+    logger.info('CI fix attempt', {
+      function: 'runCIFixWithRetries',
+      attempt,
+      maxRetries: config.maxRetries,
+    });
     console.log(`\n🔄 Attempt ${attempt} of ${config.maxRetries}`);
 
     lastResult = await runCIFix(options);
 
+    if (lastResult.skipped) {
+      return Object.freeze({ ...lastResult, attempts: attempt });
+    }
+
+    // One review per run: the suggested fixes were restored, so a retry would only repeat them
+    if (lastResult.review || lastResult.reviewError) {
+      return Object.freeze({ ...lastResult, finalTestsPassed: false, attempts: attempt });
+    }
+
     // Check if tests pass now
-    logger.debug('Re-running tests after fix attempt', { function: 'runCIFixWithRetries', attempt });
-    const testResult = runTests(config.testCommand);
+    logger.debug('Re-running tests after fix attempt', {
+      function: 'runCIFixWithRetries',
+      attempt,
+    });
+    const testResult = await runTests(config.testCommand, createCITestRunOptions(config));
     if (testResult.success) {
-      logger.info('All tests passing after fixes', { function: 'runCIFixWithRetries', attempt, totalAttempts: attempt });
+      logger.info('All tests passing after fixes', {
+        function: 'runCIFixWithRetries',
+        attempt,
+        totalAttempts: attempt,
+      });
       console.log('🎉 All tests passing after fixes!');
       return Object.freeze({
         ...lastResult,
@@ -420,19 +1200,25 @@ export const runCIFixWithRetries = async (options = {}) => {
     }
 
     if (attempt < config.maxRetries) {
-      logger.warn('Tests still failing, will retry', { function: 'runCIFixWithRetries', attempt, maxRetries: config.maxRetries });
+      logger.warn('Tests still failing, will retry', {
+        function: 'runCIFixWithRetries',
+        attempt,
+        maxRetries: config.maxRetries,
+      });
       console.log('⚠️  Tests still failing, retrying...');
     }
   }
 
-  logger.error('Could not fix all issues after retries', { 
+  logger.error('Could not fix all issues after retries', {
     function: 'runCIFixWithRetries',
     attempts: config.maxRetries,
-    lastResult: lastResult ? {
-      totalAttempted: lastResult.totalAttempted,
-      successful: lastResult.successful,
-      failed: lastResult.failed,
-    } : null,
+    lastResult: lastResult
+      ? {
+          totalAttempted: lastResult.totalAttempted,
+          successful: lastResult.successful,
+          failed: lastResult.failed,
+        }
+      : null,
   });
   console.log('💥 Could not fix all issues after retries');
   return Object.freeze({
@@ -442,6 +1228,20 @@ export const runCIFixWithRetries = async (options = {}) => {
   });
 };
 
+/**
+ * Report a CI run to GitHub Actions
+ *
+ * Failures are annotated at the frames the pipeline itself would pick: inside
+ * rootDir, outside excludeGlobs, and mapped back through source maps.
+ * @param {Object} result - CI result
+ * @param {Object} config - CI configuration
+ * @param {Object} options - Further reporting options (env, write)
+ * @returns {boolean} True if the run was reported
+ */
+export const reportCIRun = (result, config, options = {}) => {
+  return reportToGitHubActions(result, { ...options, frameOptions: createFrameOptions(config) });
+};
+
 // ============================================================================
 // CLI INTERFACE
 // ============================================================================
@@ -452,11 +1252,13 @@ export const runCIFixWithRetries = async (options = {}) => {
 export const main = async () => {
   try {
     logger.info('Starting CI bug fixer main process', { function: 'main' });
-    const result = await runCIFixWithRetries({
+    const options = {
       maxRetries: 3,
       autoCommit: true,
       autoPush: true,
-    });
+      mode: process.env.BUG_FIXER_MODE,
+    };
+    const result = await runCIFixWithRetries(options);
 
     logger.info('CI fix process completed', {
       function: 'main',
@@ -478,12 +1280,28 @@ export const main = async () => {
       console.log('  Changes committed: ✅');
     }
 
-    process.exit(result.finalTestsPassed ? 0 : 1);
+    if (result.pullRequest) {
+      console.log(`  Pull request: ${result.pullRequest.url}`);
+    }
+
+    if (result.review) {
+      console.log(`  Review: ${result.review.url}`);
+    }
+
+    if (result.skipped) {
+      console.log(`  Skipped: ${result.skipReason}`);
+    }
+
+    // Annotations, job summary and step outputs when running in GitHub Actions
+    reportCIRun(result, createCIConfig(options));
+
+    // A skipped run did nothing wrong; the test workflow reports the failures
+    process.exit(result.finalTestsPassed || result.skipped ? 0 : 1);
   } catch (error) {
-    logger.error('Fatal error in CI bug fixer', { 
+    logger.error('Fatal error in CI bug fixer', {
       function: 'main',
-      error: error.message, 
-      stack: error.stack 
+      error: error.message,
+      stack: error.stack,
     });
     console.error('❌ Fatal error:', error);
     process.exit(1);
@@ -493,7 +1311,11 @@ export const main = async () => {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch((error) => {
-    logger.error('Unhandled fatal error', { function: 'main', error: error.message, stack: error.stack });
+    logger.error('Unhandled fatal error', {
+      function: 'main',
+      error: error.message,
+      stack: error.stack,
+    });
     console.error('Fatal error:', error);
     process.exit(1);
   });
@@ -0,0 +1,474 @@
+/**
+ * Code Validation - Functional Programming Implementation
+ *
+ * Parses generated code before it is written and compares its export surface
+ * with the original. A reply with prose around the code, a truncated file or
+ * a changed public API is caught here instead of crashing the test runner.
+ * JavaScript and TypeScript are parsed in-process; Python, Go and Rust use the
+ * parser named in their language profile.
+ * Implements strict functional programming principles:
+ * - Pure functions for parsing and export comparison
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for external parsers
+ */
+
+import { spawnSync } from 'node:child_process';
+import { extname } from 'node:path';
+import ts from 'typescript';
+import { getLanguageProfile } from './languages.js';
+
+/**
+ * Script kinds for the file extensions the parser understands
+ */
+export const PARSEABLE_EXTENSIONS = Object.freeze({
+  '.js': ts.ScriptKind.JS,
+  '.mjs': ts.ScriptKind.JS,
+  '.cjs': ts.ScriptKind.JS,
+  '.jsx': ts.ScriptKind.JSX,
+  '.ts': ts.ScriptKind.TS,
+  '.mts': ts.ScriptKind.TS,
+  '.cts': ts.ScriptKind.TS,
+  '.tsx': ts.ScriptKind.TSX,
+});
+
+// Parser errors beyond this many add noise to the retry prompt without helping
+const MAX_REPORTED_ERRORS = 5;
+
+const EXTERNAL_PARSER_TIMEOUT = 10000;
+
+// ============================================================================
+// PURE FUNCTIONS - Parsing
+// ============================================================================
+
+/**
+ * Check whether a file can be parsed
+ * @param {string} filename - File path
+ * @returns {boolean} True for JavaScript and TypeScript files
+ */
+export const isParseable = (filename) => {
+  return extname(filename).toLowerCase() in PARSEABLE_EXTENSIONS;
+};
+
+/**
+ * Parse source code into a syntax tree
+ * @param {string} code - Source code
+ * @param {string} filename - File path (selects JS, JSX, TS or TSX)
+ * @returns {Object} TypeScript source file
+ */
+const parseSource = (code, filename) => {
+  const kind = PARSEABLE_EXTENSIONS[extname(filename).toLowerCase()] ?? ts.ScriptKind.JS;
+  return ts.createSourceFile(filename, code, ts.ScriptTarget.Latest, true, kind);
+};
+
+/**
+ * Format a parser diagnostic as "line:column message"
+ * @param {Object} diagnostic - TypeScript diagnostic
+ * @returns {string} Formatted error
+ */
+const formatDiagnostic = (diagnostic) => {
+  const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+  if (!diagnostic.file || diagnostic.start === undefined) {
+    return message;
+  }
+
+  const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+  return `${line + 1}:${character + 1} ${message}`;
+};
+
+/**
+ * Check code for syntax errors
+ * @param {string} code - Source code
+ * @param {string} filename - File path (selects JS, JSX, TS or TSX)
+ * @returns {Object} Frozen result with success and errors ("line:column message")
+ */
+export const checkSyntax = (code, filename) => {
+  const { diagnostics = [] } = ts.transpileModule(code, {
+    fileName: filename,
+    reportDiagnostics: true,
+    compilerOptions: { allowJs: true, jsx: ts.JsxEmit.Preserve },
+  });
+  const errors = diagnostics
+    .filter((diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error)
+    .map(formatDiagnostic);
+
+  return Object.freeze({ success: errors.length === 0, errors: Object.freeze(errors) });
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Export Surface
+// ============================================================================
+
+/**
+ * Check whether a statement carries a modifier
+ * @param {Object} node - Syntax node
+ * @param {number} kind - Modifier syntax kind
+ * @returns {boolean} True if the modifier is present
+ */
+const hasModifier = (node, kind) => {
+  return (
+    (ts.canHaveModifiers(node) && ts.getModifiers(node)?.some((m) => m.kind === kind)) || false
+  );
+};
+
+/**
+ * Number of declared parameters of a function-like node
+ * @param {Object|undefined} node - Syntax node
+ * @returns {number|null} Parameter count (excluding a TypeScript this parameter), null if not a function
+ */
+const functionArity = (node) => {
+  const target = node && ts.isParenthesizedExpression(node) ? node.expression : node;
+  if (!target || !ts.isFunctionLike(target)) {
+    return null;
+  }
+
+  return target.parameters.filter(
+    (parameter) => !(ts.isIdentifier(parameter.name) && parameter.name.text === 'this')
+  ).length;
+};
+
+/**
+ * Names bound by a declaration name (identifiers and destructuring patterns)
+ * @param {Object} name - Binding name node
+ * @returns {Array<string>} Bound names
+ */
+const bindingNames = (name) => {
+  if (ts.isIdentifier(name)) {
+    return [name.text];
+  }
+
+  return name.elements.flatMap((element) =>
+    ts.isOmittedExpression(element) ? [] : bindingNames(element.name)
+  );
+};
+
+/**
+ * Names and arities declared by a top-level statement
+ * @param {Object} statement - Top-level statement
+ * @returns {Array<Object>} Declarations with name and arity
+ */
+const declaredSymbols = (statement) => {
+  if (ts.isVariableStatement(statement)) {
+    return statement.declarationList.declarations.flatMap((declaration) =>
+      bindingNames(declaration.name).map((name) => ({
+        name,
+        arity: ts.isIdentifier(declaration.name) ? functionArity(declaration.initializer) : null,
+      }))
+    );
+  }
+
+  if (ts.isFunctionDeclaration(statement)) {
+    return [{ name: statement.name?.text ?? 'default', arity: functionArity(statement) }];
+  }
+
+  if (
+    ts.isClassDeclaration(statement) ||
+    ts.isInterfaceDeclaration(statement) ||
+    ts.isTypeAliasDeclaration(statement) ||
+    ts.isEnumDeclaration(statement)
+  ) {
+    return [{ name: statement.name?.text ?? 'default', arity: null }];
+  }
+
+  return [];
+};
+
+/**
+ * Check whether an expression is module.exports or exports
+ * @param {Object} node - Expression node
+ * @returns {boolean} True for the CommonJS exports object
+ */
+const isExportsObject = (node) => {
+  return (
+    (ts.isIdentifier(node) && node.text === 'exports') ||
+    (ts.isPropertyAccessExpression(node) &&
+      ts.isIdentifier(node.expression) &&
+      node.expression.text === 'module' &&
+      node.name.text === 'exports')
+  );
+};
+
+/**
+ * Exports assigned through CommonJS (exports.a = / module.exports = { a })
+ * @param {Object} statement - Top-level statement
+ * @param {Map<string, number|null>} locals - Local declaration arities
+ * @returns {Array<Object>} Exports with name and arity
+ */
+const commonJsExports = (statement, locals) => {
+  if (
+    !ts.isExpressionStatement(statement) ||
+    !ts.isBinaryExpression(statement.expression) ||
+    statement.expression.operatorToken.kind !== ts.SyntaxKind.EqualsToken
+  ) {
+    return [];
+  }
+
+  const { left, right } = statement.expression;
+  const arityOf = (node) =>
+    ts.isIdentifier(node) ? (locals.get(node.text) ?? null) : functionArity(node);
+
+  if (ts.isPropertyAccessExpression(left) && isExportsObject(left.expression)) {
+    return [{ name: left.name.text, arity: arityOf(right) }];
+  }
+
+  if (isExportsObject(left) && ts.isObjectLiteralExpression(right)) {
+    return right.properties
+      .filter((property) => property.name && !ts.isComputedPropertyName(property.name))
+      .map((property) => ({
+        name: property.name.text,
+        arity: ts.isShorthandPropertyAssignment(property)
+          ? (locals.get(property.name.text) ?? null)
+          : ts.isPropertyAssignment(property)
+            ? arityOf(property.initializer)
+            : functionArity(property),
+      }));
+  }
+
+  if (isExportsObject(left)) {
+    return [{ name: 'default', arity: arityOf(right) }];
+  }
+
+  return [];
+};
+
+/**
+ * Exports of a single top-level statement
+ * @param {Object} statement - Top-level statement
+ * @param {Map<string, number|null>} locals - Local declaration arities
+ * @returns {Array<Object>} Exports with name and arity
+ */
+const statementExports = (statement, locals) => {
+  if (ts.isExportAssignment(statement)) {
+    const { expression } = statement;
+    const arity = ts.isIdentifier(expression)
+      ? (locals.get(expression.text) ?? null)
+      : functionArity(expression);
+    return [{ name: 'default', arity }];
+  }
+
+  if (ts.isExportDeclaration(statement)) {
+    if (!statement.exportClause || !ts.isNamedExports(statement.exportClause)) {
+      return [];
+    }
+
+    return statement.exportClause.elements.map((element) => ({
+      name: element.name.text,
+      arity: statement.moduleSpecifier
+        ? null
+        : (locals.get((element.propertyName ?? element.name).text) ?? null),
+    }));
+  }
+
+  if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+    const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+    return declaredSymbols(statement).map((symbol) =>
+      isDefault ? { ...symbol, name: 'default' } : symbol
+    );
+  }
+
+  return commonJsExports(statement, locals);
+};
+
+/**
+ * Extract the export surface of a module (ESM and CommonJS)
+ * @param {string} code - Source code
+ * @param {string} filename - File path (selects JS, JSX, TS or TSX)
+ * @returns {Array<Object>} Frozen exports sorted by name, each with name and arity (null if not a function)
+ */
+export const extractExportSurface = (code, filename) => {
+  const { statements } = parseSource(code, filename);
+  const locals = new Map(
+    statements.flatMap(declaredSymbols).map((symbol) => [symbol.name, symbol.arity])
+  );
+  const exports = new Map(
+    statements
+      .flatMap((statement) => statementExports(statement, locals))
+      .map((symbol) => [symbol.name, symbol])
+  );
+
+  return Object.freeze(
+    [...exports.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((symbol) => Object.freeze(symbol))
+  );
+};
+
+/**
+ * Compare two export surfaces
+ * @param {Array<Object>} before - Exports of the original code
+ * @param {Array<Object>} after - Exports of the candidate code
+ * @returns {Object} Frozen diff with removed, added, arityChanged and changed
+ */
+export const compareExportSurface = (before, after) => {
+  const beforeByName = new Map(before.map((symbol) => [symbol.name, symbol]));
+  const afterByName = new Map(after.map((symbol) => [symbol.name, symbol]));
+
+  const removed = before.filter((symbol) => !afterByName.has(symbol.name)).map((s) => s.name);
+  const added = after.filter((symbol) => !beforeByName.has(symbol.name)).map((s) => s.name);
+  const arityChanged = before
+    .filter((symbol) => afterByName.has(symbol.name))
+    .map((symbol) => ({
+      name: symbol.name,
+      before: symbol.arity,
+      after: afterByName.get(symbol.name).arity,
+    }))
+    .filter((change) => change.before !== change.after)
+    .map((change) => Object.freeze(change));
+
+  return Object.freeze({
+    removed: Object.freeze(removed),
+    added: Object.freeze(added),
+    arityChanged: Object.freeze(arityChanged),
+    changed: removed.length > 0 || added.length > 0 || arityChanged.length > 0,
+  });
+};
+
+/**
+ * Describe an export surface change
+ * @param {Object} diff - Result of compareExportSurface
+ * @returns {string} Human-readable description
+ */
+export const describeSurfaceChange = (diff) => {
+  const describeArity = (arity) => (arity === null ? 'not a function' : `${arity} parameter(s)`);
+
+  return [
+    diff.removed.length > 0 ? `removes export(s): ${diff.removed.join(', ')}` : null,
+    diff.added.length > 0 ? `adds export(s): ${diff.added.join(', ')}` : null,
+    ...diff.arityChanged.map(
+      (change) =>
+        `changes ${change.name} from ${describeArity(change.before)} to ${describeArity(change.after)}`
+    ),
+  ]
+    .filter(Boolean)
+    .join('; ');
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Validation
+// ============================================================================
+
+/**
+ * Check that generated code keeps the export surface of the original
+ * @param {string} originalCode - Original code
+ * @param {string} fixedCode - Code proposed by the model
+ * @param {string} filename - File path
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowApiChanges=false] - Accept added, removed or re-shaped exports
+ * @returns {Object} Frozen result with success, and stage 'api', error and surface on failure
+ */
+export const validateExportSurface = (originalCode, fixedCode, filename, options = {}) => {
+  if (options.allowApiChanges || !isParseable(filename)) {
+    return Object.freeze({ success: true });
+  }
+
+  const surface = compareExportSurface(
+    extractExportSurface(originalCode, filename),
+    extractExportSurface(fixedCode, filename)
+  );
+  if (!surface.changed) {
+    return Object.freeze({ success: true });
+  }
+
+  return Object.freeze({
+    success: false,
+    stage: 'api',
+    error: `Fix changes the public API: ${describeSurfaceChange(surface)}`,
+    surface,
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - External Parsers (Isolated)
+// ============================================================================
+
+/**
+ * Extract error lines from external parser output
+ * @param {string} output - Combined stdout and stderr
+ * @returns {Array<string>} Error lines ("line:column message" where the parser reports them)
+ */
+const parseExternalErrors = (output) => {
+  const lines = output
+    .split('\n')
+    .map((line) => line.trim().replace(/<(?:standard input|stdin)>:/, ''))
+    .filter(Boolean);
+  const errors = lines.filter((line) => /^(?:error\b|-->|\d+:\d+)/.test(line));
+
+  return errors.length > 0 ? errors : lines.slice(0, 1);
+};
+
+/**
+ * Check code for syntax errors with an external parser that reads stdin
+ * @param {string} code - Source code
+ * @param {Object} parser - Parser from a language profile (command and args)
+ * @returns {Object|null} Frozen result with success and errors, or null if the parser could not run
+ */
+export const runExternalParser = (code, parser) => {
+  const result = spawnSync(parser.command, parser.args, {
+    input: code,
+    encoding: 'utf8',
+    timeout: EXTERNAL_PARSER_TIMEOUT,
+  });
+
+  // Not installed, or timed out
+  if (result.error) {
+    return null;
+  }
+
+  const errors = result.status === 0 ? [] : parseExternalErrors(`${result.stdout}${result.stderr}`);
+  return Object.freeze({ success: errors.length === 0, errors: Object.freeze(errors) });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Syntax Validation (Isolated)
+// ============================================================================
+
+/**
+ * Check code for syntax errors with whichever parser its language uses
+ * @param {string} code - Source code
+ * @param {string} filename - File path
+ * @returns {Object|null} Result with success and errors, or null if the code cannot be checked
+ */
+const findSyntaxErrors = (code, filename) => {
+  if (isParseable(filename)) {
+    return checkSyntax(code, filename);
+  }
+
+  const parser = getLanguageProfile(filename)?.syntax;
+  return parser?.command ? runExternalParser(code, parser) : null;
+};
+
+/**
+ * Check that generated code parses
+ *
+ * Files without a parser, or whose parser is not installed, pass unchecked.
+ * A file the parser already rejects (e.g. Flow annotations) only fails when
+ * the fix adds errors.
+ * @param {string} originalCode - Original code
+ * @param {string} fixedCode - Code proposed by the model
+ * @param {string} filename - File path
+ * @returns {Object} Frozen result with success, and stage 'syntax', error and errors on failure
+ */
+export const validateSyntax = (originalCode, fixedCode, filename) => {
+  const syntax = findSyntaxErrors(fixedCode, filename);
+  if (!syntax || syntax.success) {
+    return Object.freeze({ success: true });
+  }
+
+  const baseline = findSyntaxErrors(originalCode, filename)?.errors.length ?? 0;
+  if (syntax.errors.length <= baseline) {
+    return Object.freeze({ success: true });
+  }
+
+  const shown = syntax.errors.slice(0, MAX_REPORTED_ERRORS);
+  const more = syntax.errors.length - shown.length;
+  return Object.freeze({
+    success: false,
+    stage: 'syntax',
+    error: [
+      `Generated code for ${filename} does not parse:`,
+      ...shown,
+      ...(more > 0 ? [`... and ${more} more`] : []),
+      'Return only code, with no prose or truncation.',
+    ].join('\n'),
+    errors: syntax.errors,
+  });
+};
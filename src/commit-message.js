@@ -0,0 +1,156 @@
+/**
+ * Commit Messages - Functional Programming Implementation
+ *
+ * Builds conventional-commit messages from fix results: the files touched,
+ * the failing tests that were fixed and where each failure originated.
+ * Implements strict functional programming principles:
+ * - Pure functions with no side effects
+ * - Immutability with Object.freeze()
+ */
+
+import { basename, extname } from 'node:path';
+import { findSourceFrames } from './stack-trace.js';
+
+/**
+ * Template used unless configured otherwise
+ *
+ * Placeholders: {type}, {scope} ("(cart)" or empty), {summary}, {body},
+ * {files}, {tests} and {rootCause}.
+ */
+export const DEFAULT_COMMIT_TEMPLATE = '{type}{scope}: {summary}\n\n{body}';
+
+/**
+ * Conventional-commit type used unless configured otherwise
+ */
+export const DEFAULT_COMMIT_TYPE = 'fix';
+
+// ============================================================================
+// PURE FUNCTIONS - Message Parts
+// ============================================================================
+
+/**
+ * Strip the "./" prefix of repository paths
+ * @param {string} filename - File path
+ * @returns {string} Display path
+ */
+const displayPath = (filename) => filename.replace(/^\.\//, '');
+
+/**
+ * Conventional-commit scope: the file name when a single file was fixed
+ * @param {Array<string>} files - Fixed files
+ * @returns {string} Scope in parentheses, or an empty string
+ */
+export const commitScope = (files) => {
+  return files.length === 1 ? `(${basename(files[0], extname(files[0]))})` : '';
+};
+
+/**
+ * Describe where a failure originated in a fixed file
+ * @param {Object} failure - Normalized failure
+ * @param {string} file - Fixed file ("./" prefixed repository path)
+ * @param {Object} options - Frame options (rootDir, excludeGlobs)
+ * @returns {string|null} One-line summary, or null if the failure does not implicate the file
+ */
+export const summarizeRootCause = (failure, file, options = {}) => {
+  const frame = findSourceFrames(failure.stack.join('\n'), options).find(
+    (candidate) => candidate.path === file
+  );
+
+  if (!frame) {
+    return null;
+  }
+
+  const location = `${displayPath(file)}:${frame.line}${frame.function ? ` (${frame.function})` : ''}`;
+  const outcome =
+    failure.expected !== null && failure.received !== null
+      ? `expected ${failure.expected}, received ${failure.received}`
+      : failure.message.split('\n')[0];
+
+  return `${location}: ${outcome}`;
+};
+
+/**
+ * Names of the failing tests the fixes made pass
+ *
+ * Uses the regression check's outcome diff when available, otherwise the
+ * failures implicating a fixed file.
+ * @param {Array<Object>} fixes - Successful fix results
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Object} options - Frame options (rootDir, excludeGlobs)
+ * @returns {Array<string>} Frozen list of test names
+ */
+export const collectFixedTests = (fixes, failures, options = {}) => {
+  const recorded = fixes.flatMap((fix) => fix.outcomeDiff?.fixed ?? []);
+
+  if (recorded.length > 0) {
+    return Object.freeze([...new Set(recorded)]);
+  }
+
+  const implicated = failures.filter((failure) =>
+    fixes.some((fix) => summarizeRootCause(failure, fix.filename, options) !== null)
+  );
+  return Object.freeze([...new Set(implicated.map((failure) => failure.name))]);
+};
+
+/**
+ * Fill a template's {placeholders}; unknown placeholders are left as they are
+ * @param {string} template - Template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+export const renderCommitTemplate = (template, values) => {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Message Assembly
+// ============================================================================
+
+/**
+ * Build a commit message for the successful fixes of a CI run
+ * @param {Object} result - CI result (fixes and failures)
+ * @param {Object} options - Message options
+ * @param {string} [options.template] - Template (see DEFAULT_COMMIT_TEMPLATE)
+ * @param {string} [options.type] - Conventional-commit type
+ * @param {Object} [options.frameOptions] - Frame options (rootDir, excludeGlobs)
+ * @returns {string} Commit message
+ */
+export const buildCommitMessage = (result, options = {}) => {
+  const { template = DEFAULT_COMMIT_TEMPLATE, type = DEFAULT_COMMIT_TYPE } = options;
+  const fixes = result.fixes.filter((fix) => fix.success);
+  const failures = result.failures ?? [];
+  const files = fixes.map((fix) => displayPath(fix.filename));
+  const tests = collectFixedTests(fixes, failures, options.frameOptions);
+  const causes = fixes.flatMap((fix) =>
+    failures
+      .map((failure) => summarizeRootCause(failure, fix.filename, options.frameOptions))
+      .filter(Boolean)
+      .slice(0, 1)
+  );
+
+  const list = (items) => items.map((item) => `- ${item}`).join('\n');
+  const summary =
+    tests.length > 0
+      ? `resolve ${tests.length} failing test(s)${files.length === 1 ? '' : ` in ${files.length} files`}`
+      : `resolve test failures in ${files.length === 1 ? files[0] : `${files.length} files`}`;
+
+  const body = [
+    causes.length > 0 && `Root cause:\n${list(causes)}`,
+    `Files:\n${list(files)}`,
+    tests.length > 0 && `Fixed tests:\n${list(tests)}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return renderCommitTemplate(template, {
+    type,
+    scope: commitScope(files),
+    summary,
+    body,
+    files: list(files),
+    tests: list(tests),
+    rootCause: list(causes),
+  }).trim();
+};
@@ -8,6 +8,7 @@
 import { createBugFixerAdapter } from '@jordanbmowry/agent-configuration/adapter-factory';
 import { getBugFixerPreset } from '@jordanbmowry/agent-configuration/preset-configs';
 import { getPromptTemplate } from '@jordanbmowry/agent-configuration/prompt-templates';
+import { getLanguageProfile } from './languages.js';
 
 // ============================================================================
 // CREATE ADAPTER
@@ -82,15 +83,7 @@ export const buildBugFixPrompt = (
   const promptConfig = config.prompts || { template: 'default', customVariables: {} };
 
   // Detect language from filename
-  const ext = filename.split('.').pop();
-  const languageMap = {
-    js: 'javascript',
-    ts: 'typescript',
-    py: 'python',
-    go: 'go',
-    rs: 'rust',
-  };
-  const language = languageMap[ext] || 'javascript';
+  const language = getLanguageProfile(filename)?.name || 'javascript';
 
   // Prepare template variables
   const variables = {
@@ -107,3 +100,33 @@ export const buildBugFixPrompt = (
     templatesDir: promptConfig.templatesDir,
   });
 };
+
+/**
+ * Output format instructions appended to prompts in patch mode
+ */
+export const PATCH_OUTPUT_INSTRUCTIONS = `## Output Format
+
+Ignore any earlier instruction to return the complete file. Respond ONLY with a
+unified diff against the code above, in a single \`\`\`diff block:
+- Use \`--- a/<file>\` and \`+++ b/<file>\` headers followed by \`@@ -l,n +l,n @@\` hunks
+- Include 3 unchanged context lines around each change, copied exactly
+- Make sure the line counts in each hunk header match the hunk body
+- Do not include explanations outside the diff block`;
+
+/**
+ * Build bug fix prompt that asks for a unified diff instead of the whole file
+ * @param {string} code - Code to fix
+ * @param {string} filename - Filename
+ * @param {string} errorMessage - Error message
+ * @param {string} configPath - Path to .agent-config.json
+ * @returns {string} Bug fix prompt requesting a patch
+ */
+export const buildPatchFixPrompt = (
+  code,
+  filename,
+  errorMessage,
+  configPath = '.agent-config.json'
+) => {
+  const basePrompt = buildBugFixPrompt(code, filename, errorMessage, configPath);
+  return `${basePrompt}\n\n${PATCH_OUTPUT_INSTRUCTIONS}`;
+};
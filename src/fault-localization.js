@@ -0,0 +1,249 @@
+/**
+ * Fault Localization - Functional Programming Implementation
+ *
+ * Ranks candidate files (and the functions in them) by how likely they are to
+ * be at fault, so the CI fixer tries the most suspicious files first.
+ * Stack evidence scores each file by how many failing tests implicate it and
+ * how close to the top of the stack it appears. Optional per-test coverage
+ * adds spectrum-based suspiciousness (Ochiai or Tarantula).
+ * Implements strict functional programming principles:
+ * - Pure functions for scoring and ranking
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for reading coverage files
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { findSourceFrames, toRepoPath } from './stack-trace.js';
+import { CoverageReportSchema } from './validation-schemas.js';
+
+/**
+ * Supported spectrum-based suspiciousness formulas
+ */
+export const SUSPICIOUSNESS_FORMULAS = Object.freeze(['ochiai', 'tarantula']);
+
+// ============================================================================
+// PURE FUNCTIONS - Suspiciousness Formulas
+// ============================================================================
+
+/**
+ * Ochiai suspiciousness
+ * @param {number} failedCovering - Failing tests covering the element
+ * @param {number} passedCovering - Passing tests covering the element
+ * @param {number} totalFailed - All failing tests
+ * @returns {number} Score between 0 and 1
+ */
+export const ochiai = (failedCovering, passedCovering, totalFailed) => {
+  if (failedCovering === 0) {
+    return 0;
+  }
+
+  return failedCovering / Math.sqrt(totalFailed * (failedCovering + passedCovering));
+};
+
+/**
+ * Tarantula suspiciousness
+ * @param {number} failedCovering - Failing tests covering the element
+ * @param {number} passedCovering - Passing tests covering the element
+ * @param {number} totalFailed - All failing tests
+ * @param {number} totalPassed - All passing tests
+ * @returns {number} Score between 0 and 1
+ */
+export const tarantula = (failedCovering, passedCovering, totalFailed, totalPassed) => {
+  const failRatio = totalFailed > 0 ? failedCovering / totalFailed : 0;
+  const passRatio = totalPassed > 0 ? passedCovering / totalPassed : 0;
+
+  return failRatio + passRatio > 0 ? failRatio / (failRatio + passRatio) : 0;
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Evidence
+// ============================================================================
+
+/**
+ * Summarize per-test coverage into covering counts per file
+ * @param {Object} coverage - Coverage report ({ tests: [{ passed, files }] })
+ * @param {string} rootDir - Repository root the covered paths are resolved against
+ * @returns {Object} Frozen summary with totalFailed, totalPassed and files (path → counts)
+ */
+export const summarizeCoverage = (coverage, rootDir) => {
+  const files = {};
+
+  for (const test of coverage.tests) {
+    const paths = new Set(test.files.map((file) => toRepoPath(file, rootDir)).filter(Boolean));
+
+    for (const path of paths) {
+      const counts = files[path] || { failed: 0, passed: 0 };
+      files[path] = test.passed
+        ? { ...counts, passed: counts.passed + 1 }
+        : { ...counts, failed: counts.failed + 1 };
+    }
+  }
+
+  return Object.freeze({
+    totalFailed: coverage.tests.filter((test) => !test.passed).length,
+    totalPassed: coverage.tests.filter((test) => test.passed).length,
+    files: Object.freeze(files),
+  });
+};
+
+/**
+ * Collect stack evidence for each failing test
+ *
+ * Depth is the position among the repository's source frames, so the frame
+ * closest to where the failure was thrown has depth 0.
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Object} options - Frame options (rootDir, excludeGlobs, sourceMapResolver)
+ * @returns {Array<Array<Object>>} Per failure, the source frames with their depth
+ */
+export const collectStackEvidence = (failures, options = {}) => {
+  return failures.map((failure) =>
+    findSourceFrames(failure.stack.join('\n'), options).map((frame, depth) => ({
+      ...frame,
+      depth,
+    }))
+  );
+};
+
+/**
+ * Score elements (files or functions) from stack evidence
+ *
+ * Each failing test contributes 1 / (1 + depth) for the shallowest frame of
+ * an element; the total is divided by the number of failures, so an element at
+ * the top of every failing stack scores 1.
+ * @param {Array<Array<Object>>} evidence - Result of collectStackEvidence
+ * @param {Function} keyOf - Maps a frame to the element it implicates
+ * @returns {Map<string, Object>} Element key → { score, failingTests, depth }
+ */
+const scoreStackEvidence = (evidence, keyOf) => {
+  const scores = new Map();
+
+  for (const frames of evidence) {
+    const shallowest = new Map();
+    for (const frame of frames) {
+      const key = keyOf(frame);
+      if (!shallowest.has(key)) shallowest.set(key, frame.depth);
+    }
+
+    for (const [key, depth] of shallowest) {
+      const current = scores.get(key) || { score: 0, failingTests: 0, depth };
+      scores.set(key, {
+        score: current.score + 1 / (1 + depth) / evidence.length,
+        failingTests: current.failingTests + 1,
+        depth: Math.min(current.depth, depth),
+      });
+    }
+  }
+
+  return scores;
+};
+
+/**
+ * Compute the coverage-based suspiciousness of a file
+ * @param {Object|null} summary - Result of summarizeCoverage
+ * @param {string} file - Repository-relative path
+ * @param {string} formula - "ochiai" or "tarantula"
+ * @returns {number|null} Suspiciousness, or null without coverage data
+ */
+const coverageSuspiciousness = (summary, file, formula) => {
+  if (!summary) {
+    return null;
+  }
+
+  const counts = summary.files[file] || { failed: 0, passed: 0 };
+
+  return formula === 'tarantula'
+    ? tarantula(counts.failed, counts.passed, summary.totalFailed, summary.totalPassed)
+    : ochiai(counts.failed, counts.passed, summary.totalFailed);
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Ranking
+// ============================================================================
+
+/**
+ * Rank candidate files by suspiciousness
+ *
+ * Without coverage the score is the stack score; with coverage it is the mean
+ * of the stack score and the formula's suspiciousness. Ties keep the
+ * candidates' original order.
+ * @param {Array<string>} files - Candidate files (repository-relative, "./" prefixed)
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Object} options - Ranking options
+ * @param {string} [options.rootDir] - Repository root
+ * @param {Array<string>} [options.excludeGlobs] - Globs for files that are never fixed
+ * @param {Object} [options.sourceMapResolver] - Maps generated frames to their original source
+ * @param {Object} [options.coverage] - Per-test coverage report ({ tests: [{ passed, files }] })
+ * @param {string} [options.formula] - Suspiciousness formula (default "ochiai")
+ * @returns {Array<Object>} Frozen suspects, most suspicious first
+ */
+export const rankSuspects = (files, failures, options = {}) => {
+  const rootDir = options.rootDir || process.cwd();
+  const formula = options.formula || 'ochiai';
+  const evidence = collectStackEvidence(failures, options);
+  const fileScores = scoreStackEvidence(evidence, (frame) => frame.path);
+  const functionScores = scoreStackEvidence(
+    evidence,
+    (frame) => `${frame.path}#${frame.function || '<anonymous>'}`
+  );
+  const summary = options.coverage ? summarizeCoverage(options.coverage, rootDir) : null;
+
+  const suspects = files.map((file, index) => {
+    const stack = fileScores.get(file) || { score: 0, failingTests: 0, depth: null };
+    const suspiciousness = coverageSuspiciousness(summary, file, formula);
+    const functions = [...functionScores]
+      .filter(([key]) => key.startsWith(`${file}#`))
+      .map(([key, value]) =>
+        Object.freeze({
+          name: key.slice(file.length + 1),
+          score: value.score,
+          failingTests: value.failingTests,
+        })
+      )
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      index,
+      suspect: Object.freeze({
+        file,
+        score: suspiciousness === null ? stack.score : (stack.score + suspiciousness) / 2,
+        stackScore: stack.score,
+        suspiciousness,
+        failingTests: stack.failingTests,
+        depth: stack.depth,
+        functions: Object.freeze(functions),
+      }),
+    };
+  });
+
+  return Object.freeze(
+    suspects
+      .sort((a, b) => b.suspect.score - a.suspect.score || a.index - b.index)
+      .map(({ suspect }) => suspect)
+  );
+};
+
+// ============================================================================
+// SIDE EFFECTS - Coverage Files (Isolated)
+// ============================================================================
+
+/**
+ * Read a per-test coverage report
+ * @param {string|undefined} path - Coverage report path
+ * @returns {Promise<Object|null>} Coverage report, or null if not configured or missing
+ * @throws {Error} If the report is malformed
+ */
+export const readCoverageFile = async (path) => {
+  if (!path || !existsSync(path)) {
+    return null;
+  }
+
+  const parsed = CoverageReportSchema.safeParse(JSON.parse(await readFile(path, 'utf8')));
+
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid coverage report ${path}: ${issue.path.join('.')} ${issue.message}`);
+  }
+
+  return parsed.data;
+};
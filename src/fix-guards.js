@@ -0,0 +1,194 @@
+/**
+ * Fix Guards - Functional Programming Implementation
+ *
+ * Rejects degenerate AI fixes before they are applied: fixes that delete most
+ * of the file, drop exported symbols, silence the type checker or linter, or
+ * make the program exit. Such "fixes" can turn a test green without fixing
+ * the bug.
+ * Implements strict functional programming principles:
+ * - Pure functions with no side effects
+ * - Immutability with Object.freeze()
+ */
+
+import { createUnifiedDiff, parseUnifiedDiff, toLines } from './patch.js';
+
+/**
+ * Guards applied when a fix configuration does not override them
+ */
+export const DEFAULT_FIX_GUARDS = Object.freeze({
+  // Largest share of the original lines a fix may delete, once it deletes more than minDeletedLines
+  maxDeletedLineRatio: 0.5,
+  minDeletedLines: 5,
+  preserveExports: true,
+  forbidSuppressions: true,
+  forbidProcessExit: true,
+});
+
+/**
+ * Comments and attributes that silence type checkers, linters or coverage
+ */
+export const SUPPRESSION_PATTERNS = Object.freeze([
+  /@ts-(?:ignore|nocheck|expect-error)\b/g,
+  /\beslint-disable(?:-next-line|-line)?\b/g,
+  /\bbiome-ignore\b/g,
+  /\bjshint\s+ignore\b/g,
+  /#\s*type:\s*ignore\b/g,
+  /#\s*noqa\b/g,
+  /\/\/\s*nolint\b/g,
+  /#!?\[allow\(/g,
+]);
+
+// process.exit() / sys.exit() / os._exit() / os.Exit() / std::process::exit()
+const PROCESS_EXIT_PATTERN =
+  /\b(?:process\.(?:exit|abort)|sys\.exit|os\._?[eE]xit|process::exit)\s*\(/g;
+
+// export function f / export const c / export class C (and TypeScript declarations)
+const DECLARED_EXPORT_PATTERN =
+  /\bexport\s+(?:declare\s+)?(?:async\s+)?(?:function\s*\*?|const|let|var|class|interface|type|enum)\s+([\w$]+)/g;
+
+// export { a, b as c }
+const EXPORT_CLAUSE_PATTERN = /\bexport\s*(?:type\s*)?\{([^}]*)\}/g;
+
+// module.exports.name = / exports.name =
+const COMMONJS_EXPORT_PATTERN = /\b(?:module\.)?exports\.([\w$]+)\s*=/g;
+
+// ============================================================================
+// PURE FUNCTIONS - Guard Configuration
+// ============================================================================
+
+/**
+ * Resolve guard settings from configuration
+ * @param {Object|boolean|undefined} guards - Guard overrides, or false to disable all guards
+ * @returns {Object} Frozen guard settings
+ */
+export const resolveFixGuards = (guards) => {
+  if (guards === false) {
+    return Object.freeze({
+      maxDeletedLineRatio: null,
+      minDeletedLines: 0,
+      preserveExports: false,
+      forbidSuppressions: false,
+      forbidProcessExit: false,
+    });
+  }
+
+  return Object.freeze({ ...DEFAULT_FIX_GUARDS, ...(guards || {}) });
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Code Inspection
+// ============================================================================
+
+/**
+ * Count the lines of the original code removed by a fix
+ *
+ * Counted from the parsed hunks, so deleted lines that themselves start with
+ * "--" (CLI flags, SQL comments) are not mistaken for the file header.
+ * @param {string} originalCode - Original code
+ * @param {string} fixedCode - Fixed code
+ * @returns {number} Number of deleted lines
+ */
+export const countDeletedLines = (originalCode, fixedCode) => {
+  const diff = parseUnifiedDiff(createUnifiedDiff(originalCode, fixedCode));
+  if (!diff.success) {
+    return 0;
+  }
+
+  return diff.hunks.flatMap((hunk) => hunk.lines).filter((line) => line.type === '-').length;
+};
+
+/**
+ * Names listed in an export clause, e.g. "a, b as c" → ["a", "c"]
+ * @param {string} list - Contents of the braces
+ * @returns {Array<string>} Exported names
+ */
+const exportClauseNames = (list) => {
+  return list
+    .split(',')
+    .map((entry) => entry.replace(/^.*\s+as\s+/, '').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Extract the names a module exports (ESM and CommonJS)
+ * @param {string} code - Source code
+ * @returns {Array<string>} Frozen, sorted list of exported names ("default" for default exports)
+ */
+export const extractExportedSymbols = (code) => {
+  const names = [
+    ...Array.from(code.matchAll(DECLARED_EXPORT_PATTERN), (match) => match[1]),
+    ...Array.from(code.matchAll(/\bexport\s+default\b/g), () => 'default'),
+    ...Array.from(code.matchAll(EXPORT_CLAUSE_PATTERN), (match) =>
+      exportClauseNames(match[1])
+    ).flat(),
+    ...Array.from(code.matchAll(COMMONJS_EXPORT_PATTERN), (match) => match[1]),
+  ];
+
+  return Object.freeze([...new Set(names)].sort());
+};
+
+/**
+ * Count the matches of global patterns in code
+ * @param {string} code - Source code
+ * @param {Array<RegExp>} patterns - Global regular expressions
+ * @returns {number} Total number of matches
+ */
+const countMatches = (code, patterns) => {
+  return patterns.reduce((total, pattern) => total + (code.match(pattern) || []).length, 0);
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Guard Checks
+// ============================================================================
+
+/**
+ * Check a fix against the guards
+ * @param {string} originalCode - Original code
+ * @param {string} fixedCode - Fixed code proposed by the model
+ * @param {Object} guards - Guard settings (see resolveFixGuards)
+ * @returns {Object} Frozen result with passed, violations and rejectedReason
+ */
+export const checkFixGuards = (originalCode, fixedCode, guards = DEFAULT_FIX_GUARDS) => {
+  const violations = [];
+  const originalLines = toLines(originalCode).lines.length;
+
+  if (guards.maxDeletedLineRatio !== null && originalLines > 0) {
+    const deleted = countDeletedLines(originalCode, fixedCode);
+    const ratio = deleted / originalLines;
+    if (deleted > guards.minDeletedLines && ratio > guards.maxDeletedLineRatio) {
+      const limit = Math.round(guards.maxDeletedLineRatio * 100);
+      violations.push(
+        `deletes ${Math.round(ratio * 100)}% of the original lines (limit ${limit}%)`
+      );
+    }
+  }
+
+  if (guards.preserveExports) {
+    const remaining = new Set(extractExportedSymbols(fixedCode));
+    const dropped = extractExportedSymbols(originalCode).filter((name) => !remaining.has(name));
+    if (dropped.length > 0) {
+      violations.push(`removes exported symbol(s): ${dropped.join(', ')}`);
+    }
+  }
+
+  if (
+    guards.forbidSuppressions &&
+    countMatches(fixedCode, SUPPRESSION_PATTERNS) > countMatches(originalCode, SUPPRESSION_PATTERNS)
+  ) {
+    violations.push('adds a lint or type-check suppression comment');
+  }
+
+  if (
+    guards.forbidProcessExit &&
+    countMatches(fixedCode, [PROCESS_EXIT_PATTERN]) >
+      countMatches(originalCode, [PROCESS_EXIT_PATTERN])
+  ) {
+    violations.push('adds a process.exit() call');
+  }
+
+  return Object.freeze({
+    passed: violations.length === 0,
+    violations: Object.freeze(violations),
+    rejectedReason: violations.length > 0 ? `Fix ${violations.join('; ')}` : undefined,
+  });
+};
@@ -0,0 +1,207 @@
+/**
+ * Flaky Failure Detection - Functional Programming Implementation
+ *
+ * Re-runs failing tests before any money is spent on a fix and classifies each
+ * failure as deterministic (fails every time), flaky (passes on a re-run) or
+ * environment-related (connection errors, timeouts). Only deterministic
+ * failures are worth handing to the model.
+ * Implements strict functional programming principles:
+ * - Pure functions for classification and re-run planning
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for re-running tests
+ */
+
+import { parseTestReport, readReportFile, removeReportFile } from './test-reporters.js';
+import { runTests } from './test-runner.js';
+import { buildTestNamePattern, renderTestCommand } from './test-selection.js';
+
+/**
+ * Failure classifications
+ */
+export const FAILURE_CLASSES = Object.freeze(['deterministic', 'flaky', 'environment']);
+
+/**
+ * Failure messages that point at the environment rather than the code under test
+ *
+ * Timeouts only count in the test runners' own wording: stacks of code run
+ * from timers and assertion messages mention timeouts too.
+ */
+export const ENVIRONMENT_FAILURE_PATTERNS = Object.freeze([
+  /\bE(?:CONNREFUSED|CONNRESET|TIMEDOUT|NOTFOUND|ADDRINUSE|AI_AGAIN|PIPE|HOSTUNREACH)\b/,
+  /socket hang up/i,
+  /test timed out in \d+ ?ms/i,
+  /timeout of \d+ ?ms exceeded/i,
+  /exceeded timeout of \d+ ?ms/i,
+]);
+
+// ============================================================================
+// PURE FUNCTIONS - Classification
+// ============================================================================
+
+/**
+ * Check whether a failure was caused by the environment
+ * @param {Object} failure - Normalized failure
+ * @returns {boolean} True if the message matches an environment pattern
+ */
+export const isEnvironmentFailure = (failure) => {
+  return ENVIRONMENT_FAILURE_PATTERNS.some((pattern) => pattern.test(failure.message ?? ''));
+};
+
+/**
+ * Normalize a test name across reporters
+ *
+ * JSON reporters join suite and test titles with spaces ("Cart adds items"),
+ * console output with arrows ("Cart › adds items").
+ * @param {string} name - Test name
+ * @returns {string} Lower-case name with single spaces
+ */
+const normalizeTestName = (name) => {
+  return name
+    .split(/\s*[>›]\s*|\s+/)
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+};
+
+/**
+ * Check whether two failures are the same test, whatever reporter produced them
+ * @param {Object} a - Normalized failure
+ * @param {Object} b - Normalized failure
+ * @returns {boolean} True if the names match and the files (when both known) agree
+ */
+export const isSameTest = (a, b) => {
+  if (normalizeTestName(a.name) !== normalizeTestName(b.name)) {
+    return false;
+  }
+
+  // Absolute report paths vs. repository-relative console paths
+  return !a.file || !b.file || a.file.endsWith(b.file) || b.file.endsWith(a.file);
+};
+
+/**
+ * Check whether a failure failed again in a re-run
+ *
+ * A re-run that fails without any parseable failures (a crash, a compile
+ * error) counts as failing again for every test.
+ * @param {Object} failure - Normalized failure from the original run
+ * @param {Object} run - Re-run with success and failures
+ * @returns {boolean} True if the failure reproduced
+ */
+export const failedInRun = (failure, run) => {
+  if (run.success) {
+    return false;
+  }
+
+  if (run.failures.length === 0) {
+    return true;
+  }
+
+  return run.failures.some((rerun) => isSameTest(rerun, failure));
+};
+
+/**
+ * Classify a failure from its re-runs
+ *
+ * A failure that reproduces on every re-run is deterministic, whatever its
+ * message says; only failures that came and went can be blamed on the environment.
+ * @param {Object} failure - Normalized failure from the original run
+ * @param {Array<Object>} runs - Re-runs with success and failures
+ * @returns {Object} Frozen classification with failure, classification, reproduced and runs
+ */
+export const classifyFailure = (failure, runs) => {
+  const reproduced = runs.filter((run) => failedInRun(failure, run)).length;
+  const classification =
+    reproduced === runs.length
+      ? 'deterministic'
+      : isEnvironmentFailure(failure)
+        ? 'environment'
+        : 'flaky';
+
+  return Object.freeze({ failure, classification, reproduced, runs: runs.length });
+};
+
+/**
+ * Classify every failure from the same set of re-runs
+ * @param {Array<Object>} failures - Normalized failures from the original run
+ * @param {Array<Object>} runs - Re-runs with success and failures
+ * @returns {Object} Frozen result with classifications and failures per class
+ */
+export const classifyFailures = (failures, runs) => {
+  const classifications = failures.map((failure) => classifyFailure(failure, runs));
+  const byClass = (name) =>
+    Object.freeze(
+      classifications.filter((entry) => entry.classification === name).map((entry) => entry.failure)
+    );
+
+  return Object.freeze({
+    classifications: Object.freeze(classifications),
+    deterministic: byClass('deterministic'),
+    flaky: byClass('flaky'),
+    environment: byClass('environment'),
+  });
+};
+
+/**
+ * Build the command that re-runs only the failing tests
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Object} config - CI configuration
+ * @param {string} [config.rerunTestCommand] - Template with {files} and {testNamePattern}
+ * @param {string} config.testCommand - Full test command (fallback)
+ * @returns {string} Command to run
+ */
+export const buildRerunCommand = (failures, config) => {
+  if (!config.rerunTestCommand) {
+    return config.testCommand;
+  }
+
+  const files = [...new Set(failures.map((failure) => failure.file).filter(Boolean))];
+  const testNamePattern = buildTestNamePattern(failures.map((failure) => failure.name));
+
+  return (
+    renderTestCommand(config.rerunTestCommand, { files, testNamePattern }) || config.testCommand
+  );
+};
+
+// ============================================================================
+// SIDE EFFECTS - Re-runs (Isolated)
+// ============================================================================
+
+/**
+ * Re-run a test command and parse its failures
+ * @param {string} command - Test command
+ * @param {Object} runOptions - runTests options
+ * @param {string} [reportFile] - Reporter output file written by the command
+ * @returns {Promise<Object>} Frozen run with success, timedOut and failures
+ */
+export const rerunTests = async (command, runOptions, reportFile) => {
+  await removeReportFile(reportFile);
+  const result = await runTests(command, runOptions);
+  const report = parseTestReport((await readReportFile(reportFile)) ?? result.output);
+
+  return Object.freeze({
+    success: result.success,
+    timedOut: result.timedOut,
+    failures: result.success ? Object.freeze([]) : report.failures,
+  });
+};
+
+/**
+ * Re-run failing tests and classify each failure
+ * @param {Array<Object>} failures - Normalized failures from the original run
+ * @param {Object} config - CI configuration (flakyReruns, rerunTestCommand, testCommand, reportFile)
+ * @param {Object} runOptions - runTests options
+ * @returns {Promise<Object>} Frozen classification result with the re-run command
+ */
+export const confirmFailures = async (failures, config, runOptions = {}) => {
+  const command = buildRerunCommand(failures, config);
+  const runs = [];
+
+  // Sequential on purpose: parallel runs of one suite would fight over ports and files.
+  // The report file is removed before each run, so a targeted command that writes none
+  // falls back to its console output instead of the original run's report
+  for (let run = 0; run < config.flakyReruns; run++) {
+    runs.push(await rerunTests(command, runOptions, config.reportFile));
+  }
+
+  return Object.freeze({ command, ...classifyFailures(failures, runs) });
+};
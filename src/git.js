@@ -0,0 +1,259 @@
+/**
+ * Git Operations - Functional Programming Implementation
+ *
+ * Runs git with argument arrays and no shell, so names, emails, messages,
+ * branch names and paths are passed to git verbatim and never interpreted
+ * by a shell.
+ * Implements strict functional programming principles:
+ * - Pure validation of branch names
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for running git
+ */
+
+import { execFileSync } from 'node:child_process';
+
+// Staged file contents can be large
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+/**
+ * Identity the fixer commits with
+ */
+export const DEFAULT_GIT_USER = Object.freeze({
+  name: 'Auto Bug Fixer',
+  email: 'action@github.com',
+});
+
+// ============================================================================
+// PURE FUNCTIONS - Validation
+// ============================================================================
+
+/**
+ * Check whether a branch name is safe to pass to git
+ *
+ * Names starting with "-" would be read as options, and git rejects "..",
+ * "@{", control characters and a few more in ref names.
+ * @param {string} name - Branch name
+ * @returns {boolean} True for valid branch names
+ */
+export const isValidBranchName = (name) => {
+  return (
+    typeof name === 'string' &&
+    /^[\w.\-/]+$/.test(name) &&
+    !/^[-/.]|\/\/|\.\.|\.lock$|[/.]$/.test(name)
+  );
+};
+
+// ============================================================================
+// SIDE EFFECTS - Git Commands (Isolated)
+// ============================================================================
+
+/**
+ * Run git and return its output
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {string} [input] - Standard input
+ * @returns {string} Standard output
+ * @throws {Error} When git exits non-zero (the message includes git's stderr)
+ */
+export const runGit = (args, input) => {
+  try {
+    return execFileSync('git', args, {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      maxBuffer: MAX_GIT_OUTPUT,
+      input,
+    });
+  } catch (error) {
+    const stderr = error.stderr?.toString().trim();
+    throw new Error(stderr ? `git ${args[0]} failed: ${stderr}` : error.message);
+  }
+};
+
+/**
+ * Run git and wrap the outcome in a result object
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {string} message - Message on success
+ * @param {string} [input] - Standard input
+ * @returns {Object} Result with success flag
+ */
+const gitResult = (args, message, input) => {
+  try {
+    runGit(args, input);
+
+    return Object.freeze({
+      success: true,
+      message,
+    });
+  } catch (error) {
+    return Object.freeze({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Configure git with user information
+ * @param {string} name - Git user name
+ * @param {string} email - Git user email
+ * @returns {Object} Result with success flag
+ */
+export const configureGit = (name = DEFAULT_GIT_USER.name, email = DEFAULT_GIT_USER.email) => {
+  const named = gitResult(['config', 'user.name', name], 'Git configured successfully');
+  return named.success
+    ? gitResult(['config', 'user.email', email], 'Git configured successfully')
+    : named;
+};
+
+/**
+ * Stage the given files only
+ * @param {Array<string>} files - Paths to stage
+ * @returns {Object} Result with success flag
+ */
+export const stageChanges = (files) => {
+  return gitResult(['add', '--', ...files], 'Changes staged');
+};
+
+/**
+ * Read the staged files and their staged content
+ * @returns {Object} Frozen object with rootDir (repository root) and files (path → content, null for deletions)
+ */
+export const readStagedChanges = () => {
+  const rootDir = runGit(['rev-parse', '--show-toplevel']).trim();
+  const paths = runGit(['diff', '--cached', '--name-only', '--no-renames', '-z'])
+    .split('\0')
+    .filter(Boolean);
+
+  const files = paths.map((path) => {
+    try {
+      return [path, runGit(['show', `:${path}`])];
+    } catch {
+      return [path, null];
+    }
+  });
+
+  return Object.freeze({ rootDir, files: Object.freeze(Object.fromEntries(files)) });
+};
+
+/**
+ * Commit the staged changes
+ * @param {string} message - Commit message (passed verbatim)
+ * @returns {Object} Result with success flag
+ */
+export const commitChanges = (message) => {
+  return gitResult(['commit', '--message', message], 'Changes committed');
+};
+
+/**
+ * Push the current branch to its upstream
+ * @returns {Object} Result with success flag
+ */
+export const pushChanges = () => {
+  return gitResult(['push'], 'Changes pushed');
+};
+
+/**
+ * Create a branch (or reset an existing one) at HEAD and check it out
+ * @param {string} name - Branch name
+ * @returns {Object} Result with success flag
+ */
+export const createBranch = (name) => {
+  if (!isValidBranchName(name)) {
+    return Object.freeze({
+      success: false,
+      error: `Invalid branch name: ${name}`,
+    });
+  }
+
+  return gitResult(['checkout', '-B', name], `Switched to branch ${name}`);
+};
+
+/**
+ * Push a branch to origin and set it as upstream
+ * @param {string} name - Branch name
+ * @returns {Object} Result with success flag
+ */
+export const pushBranch = (name) => {
+  if (!isValidBranchName(name)) {
+    return Object.freeze({
+      success: false,
+      error: `Invalid branch name: ${name}`,
+    });
+  }
+
+  return gitResult(
+    ['push', '--set-upstream', 'origin', `refs/heads/${name}`],
+    `Branch ${name} pushed`
+  );
+};
+
+/**
+ * Read the author and message of a commit
+ * @param {string} ref - Commit reference
+ * @returns {Object|null} Frozen commit with sha, authorName, authorEmail and message, or null if unavailable
+ */
+export const readCommit = (ref) => {
+  try {
+    const [sha, authorName, authorEmail, message] = runGit([
+      'log',
+      '-1',
+      '--format=%H%x00%an%x00%ae%x00%B',
+      ref,
+      '--',
+    ]).split('\0');
+
+    return Object.freeze({ sha, authorName, authorEmail, message: message.trim() });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store content as a blob and return its object name
+ * @param {string} content - Blob content
+ * @returns {string} Object name (the same for the same content in every clone)
+ */
+export const hashObject = (content) => {
+  return runGit(['hash-object', '-w', '--stdin'], content).trim();
+};
+
+/**
+ * Read the note attached to an object
+ * @param {string} notesRef - Notes ref, e.g. "refs/notes/bug-fixer"
+ * @param {string} object - Annotated object name
+ * @returns {string|null} Note content, or null if there is none
+ */
+export const readNote = (notesRef, object) => {
+  try {
+    return runGit(['notes', `--ref=${notesRef}`, 'show', object]);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Attach a note to an object, replacing any existing note
+ *
+ * The notes commit is made as the fixer, since no identity may be configured yet.
+ * @param {string} notesRef - Notes ref
+ * @param {string} object - Annotated object name
+ * @param {string} content - Note content
+ * @returns {Object} Result with success flag
+ */
+export const writeNote = (notesRef, object, content) => {
+  return gitResult(
+    [
+      '-c',
+      `user.name=${DEFAULT_GIT_USER.name}`,
+      '-c',
+      `user.email=${DEFAULT_GIT_USER.email}`,
+      'notes',
+      `--ref=${notesRef}`,
+      'add',
+      '--force',
+      '--file=-',
+      object,
+    ],
+    'Note written',
+    content
+  );
+};
@@ -0,0 +1,235 @@
+/**
+ * GitHub Actions Reporting - Functional Programming Implementation
+ *
+ * Reports a CI fix run to GitHub Actions: workflow commands that annotate
+ * failures and fixes in the changed files, a Markdown job summary, and step
+ * outputs that later steps of the workflow can branch on.
+ * Implements strict functional programming principles:
+ * - Pure functions for building commands, summaries and outputs
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for writing to the runner
+ */
+
+import { appendFileSync } from 'node:fs';
+import { sumFixCost } from './pull-request.js';
+import { createChangeBlocks } from './review.js';
+import { findSourceFrames } from './stack-trace.js';
+
+// ============================================================================
+// PURE FUNCTIONS - Workflow Commands
+// ============================================================================
+
+/**
+ * Escape a workflow command message
+ * @param {*} value - Message
+ * @returns {string} Escaped message
+ */
+export const escapeCommandData = (value) => {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+};
+
+/**
+ * Escape a workflow command property value
+ * @param {*} value - Property value
+ * @returns {string} Escaped value
+ */
+export const escapeCommandProperty = (value) => {
+  return escapeCommandData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+};
+
+/**
+ * Format a workflow command, e.g. "::error file=src/cart.js,line=3::message"
+ * @param {string} command - Command name (error, warning, notice)
+ * @param {Object} properties - Properties; null and undefined values are left out
+ * @param {string} message - Message
+ * @returns {string} Workflow command line
+ */
+export const formatWorkflowCommand = (command, properties, message) => {
+  const props = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}=${escapeCommandProperty(value)}`)
+    .join(',');
+
+  return `::${command}${props ? ` ${props}` : ''}::${escapeCommandData(message)}`;
+};
+
+/**
+ * Strip the "./" prefix of repository paths
+ * @param {string} filename - File path
+ * @returns {string} Repository path
+ */
+const repoPath = (filename) => filename.replace(/^\.\//, '');
+
+/**
+ * Annotate each test failure at the source line it originated from
+ * @param {Array<Object>} failures - Normalized failures
+ * @param {Object} frameOptions - Frame options (rootDir, excludeGlobs)
+ * @returns {Array<string>} Frozen list of ::error commands
+ */
+export const createFailureAnnotations = (failures = [], frameOptions = {}) => {
+  return Object.freeze(
+    failures.map((failure) => {
+      const frame = findSourceFrames(failure.stack.join('\n'), frameOptions)[0];
+
+      return formatWorkflowCommand(
+        'error',
+        {
+          file: frame ? repoPath(frame.path) : failure.file,
+          line: frame?.line,
+          title: `Test failed: ${failure.name}`,
+        },
+        failure.message || 'Test failed'
+      );
+    })
+  );
+};
+
+/**
+ * Annotate each fix at its first changed line, and each file that could not be fixed
+ * @param {Array<Object>} fixes - Fix results
+ * @returns {Array<string>} Frozen list of ::notice and ::warning commands
+ */
+export const createFixAnnotations = (fixes = []) => {
+  return Object.freeze(
+    fixes.map((fix) => {
+      if (!fix.success) {
+        return formatWorkflowCommand(
+          'warning',
+          { file: repoPath(fix.filename), title: 'Bug fixer could not fix this file' },
+          fix.error ?? fix.reason ?? 'Fix failed'
+        );
+      }
+
+      const [firstBlock] = createChangeBlocks(fix.originalCode, fix.fixedCode);
+      return formatWorkflowCommand(
+        'notice',
+        { file: repoPath(fix.filename), line: firstBlock?.startLine, title: 'Fixed by bug fixer' },
+        `${fix.linesChanged ?? 0} line(s) changed after ${fix.attempts?.length ?? 1} attempt(s)`
+      );
+    })
+  );
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Job Summary and Outputs
+// ============================================================================
+
+/**
+ * Cost of one fix in USD, preferring the actual cost over the estimate
+ * @param {Object} fix - Fix result
+ * @returns {string} Formatted cost
+ */
+const formatCost = (fix) => `$${sumFixCost([fix]).toFixed(4)}`;
+
+/**
+ * Build the Markdown job summary of a CI fix run
+ * @param {Object} result - CI result
+ * @returns {string} Markdown
+ */
+export const buildStepSummary = (result) => {
+  const fixes = result.fixes ?? [];
+  const rows = fixes.map((fix) => {
+    const error = (fix.error?.split('\n')[0] ?? 'Not fixed').replace(/\|/g, '\\|');
+    const outcome = fix.success ? '✅ Fixed' : `❌ ${error}`;
+    return `| \`${repoPath(fix.filename)}\` | ${outcome} | ${fix.attempts?.length ?? 0} | ${formatCost(fix)} |`;
+  });
+
+  const diffs = fixes
+    .filter((fix) => fix.success && fix.patch)
+    .flatMap((fix) => [
+      `<details><summary><code>${repoPath(fix.filename)}</code></summary>`,
+      '',
+      '```diff',
+      fix.patch.trim(),
+      '```',
+      '',
+      '</details>',
+      '',
+    ]);
+
+  const delivery = [
+    result.skipped && `- Skipped: ${result.skipReason}`,
+    result.committed && '- Changes committed',
+    result.pullRequest && `- Pull request: ${result.pullRequest.url}`,
+    result.review && `- Review: ${result.review.url}`,
+    (result.commitError || result.reviewError) &&
+      `- Delivery failed: ${result.commitError || result.reviewError}`,
+  ].filter(Boolean);
+
+  return [
+    '## 🤖 Bug Fixer',
+    '',
+    `- Tests passing: ${result.finalTestsPassed ? '✅' : '❌'}`,
+    `- Files fixed: ${result.successful ?? 0} of ${result.totalAttempted ?? 0}`,
+    `- Runs: ${result.attempts ?? 1}`,
+    `- Cost: $${sumFixCost(fixes).toFixed(4)}`,
+    ...delivery,
+    '',
+    ...(rows.length > 0
+      ? [
+          '| File | Outcome | Attempts | Cost |',
+          '|------|---------|----------|------|',
+          ...rows,
+          '',
+        ]
+      : []),
+    ...diffs,
+  ].join('\n');
+};
+
+/**
+ * Step outputs of a CI fix run
+ * @param {Object} result - CI result
+ * @returns {Object} Frozen outputs: fixed, committed and attempts
+ */
+export const createStepOutputs = (result) => {
+  return Object.freeze({
+    fixed: String((result.successful ?? 0) > 0),
+    committed: String(Boolean(result.committed)),
+    attempts: String(result.attempts ?? 1),
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Runner Files (Isolated)
+// ============================================================================
+
+/**
+ * Report a CI fix run to GitHub Actions
+ *
+ * Does nothing outside GitHub Actions. The summary and outputs are appended
+ * to the files named by GITHUB_STEP_SUMMARY and GITHUB_OUTPUT.
+ * @param {Object} result - CI result
+ * @param {Object} options - Reporting options
+ * @param {Object} [options.env] - Environment variables
+ * @param {Object} [options.frameOptions] - Frame options used to locate failures
+ * @param {Function} [options.write] - Writes workflow commands to stdout
+ * @returns {boolean} True if the run was reported
+ */
+export const reportToGitHubActions = (result, options = {}) => {
+  const { env = process.env, frameOptions = {}, write = console.log } = options;
+
+  if (env.GITHUB_ACTIONS !== 'true') {
+    return false;
+  }
+
+  for (const command of [
+    ...createFailureAnnotations(result.failures, frameOptions),
+    ...createFixAnnotations(result.fixes),
+  ]) {
+    write(command);
+  }
+
+  if (env.GITHUB_STEP_SUMMARY) {
+    appendFileSync(env.GITHUB_STEP_SUMMARY, `${buildStepSummary(result)}\n`);
+  }
+
+  if (env.GITHUB_OUTPUT) {
+    const lines = Object.entries(createStepOutputs(result)).map(
+      ([key, value]) => `${key}=${value}`
+    );
+    appendFileSync(env.GITHUB_OUTPUT, `${lines.join('\n')}\n`);
+  }
+
+  return true;
+};
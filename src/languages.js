@@ -0,0 +1,180 @@
+/**
+ * Language Profiles - Functional Programming Implementation
+ *
+ * Describes each supported language in one place: file extensions, code
+ * fence tags, the default test command, the files that mark a project root,
+ * paths that are never fixed and how to check syntax. Stack frames and test
+ * output of every language are parsed in stack-trace.js and test-reporters.js.
+ * Implements strict functional programming principles:
+ * - Pure functions for profile lookup
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for project detection
+ */
+
+import { existsSync } from 'node:fs';
+import { extname, join } from 'node:path';
+
+// Prints "line:column message" for the first syntax error and exits 1
+const PYTHON_SYNTAX_CHECK = [
+  'import ast, sys',
+  'try:',
+  '    ast.parse(sys.stdin.read())',
+  'except SyntaxError as error:',
+  '    print(f"{error.lineno}:{error.offset} {error.msg}")',
+  '    sys.exit(1)',
+].join('\n');
+
+/**
+ * Supported languages, in project detection order
+ *
+ * syntax is 'typescript' for files parsed in-process, or a command that reads
+ * the code on stdin and exits non-zero on syntax errors.
+ */
+export const LANGUAGE_PROFILES = Object.freeze({
+  javascript: Object.freeze({
+    name: 'javascript',
+    extensions: Object.freeze(['.js', '.mjs', '.cjs', '.jsx']),
+    fences: Object.freeze(['javascript', 'js', 'jsx', 'mjs', 'cjs']),
+    testCommand: 'npm test',
+    markers: Object.freeze(['package.json']),
+    excludeGlobs: Object.freeze([
+      '**/node_modules/**',
+      '**/*.test.*',
+      '**/*.spec.*',
+      '**/__tests__/**',
+    ]),
+    syntax: 'typescript',
+  }),
+  typescript: Object.freeze({
+    name: 'typescript',
+    extensions: Object.freeze(['.ts', '.mts', '.cts', '.tsx']),
+    fences: Object.freeze(['typescript', 'ts', 'tsx']),
+    testCommand: 'npm test',
+    markers: Object.freeze(['tsconfig.json']),
+    excludeGlobs: Object.freeze([]),
+    syntax: 'typescript',
+  }),
+  python: Object.freeze({
+    name: 'python',
+    extensions: Object.freeze(['.py']),
+    fences: Object.freeze(['python', 'py', 'python3']),
+    testCommand: 'pytest',
+    markers: Object.freeze([
+      'pyproject.toml',
+      'setup.py',
+      'setup.cfg',
+      'pytest.ini',
+      'requirements.txt',
+    ]),
+    excludeGlobs: Object.freeze([
+      '**/test_*.py',
+      '**/*_test.py',
+      '**/conftest.py',
+      '**/.venv/**',
+      '**/venv/**',
+      '**/site-packages/**',
+    ]),
+    syntax: Object.freeze({ command: 'python3', args: Object.freeze(['-c', PYTHON_SYNTAX_CHECK]) }),
+  }),
+  go: Object.freeze({
+    name: 'go',
+    extensions: Object.freeze(['.go']),
+    fences: Object.freeze(['go', 'golang']),
+    testCommand: 'go test ./...',
+    markers: Object.freeze(['go.mod']),
+    excludeGlobs: Object.freeze(['**/*_test.go', '**/vendor/**']),
+    syntax: Object.freeze({ command: 'gofmt', args: Object.freeze(['-e']) }),
+  }),
+  rust: Object.freeze({
+    name: 'rust',
+    extensions: Object.freeze(['.rs']),
+    fences: Object.freeze(['rust', 'rs']),
+    testCommand: 'cargo test',
+    markers: Object.freeze(['Cargo.toml']),
+    excludeGlobs: Object.freeze(['**/target/**']),
+    syntax: Object.freeze({
+      command: 'rustfmt',
+      args: Object.freeze(['--emit', 'stdout', '--edition', '2021']),
+    }),
+  }),
+});
+
+// ============================================================================
+// PURE FUNCTIONS - Profile Lookup
+// ============================================================================
+
+/**
+ * Find the language profile of a file
+ * @param {string} filename - File path
+ * @returns {Object|null} Language profile, or null for unsupported files
+ */
+export const getLanguageProfile = (filename = '') => {
+  const extension = extname(filename).toLowerCase();
+  return (
+    Object.values(LANGUAGE_PROFILES).find((profile) => profile.extensions.includes(extension)) ??
+    null
+  );
+};
+
+/**
+ * Check whether a path names a source file of a supported language
+ * @param {string} path - File path
+ * @returns {boolean} True for supported source files
+ */
+export const isSourceFile = (path) => getLanguageProfile(path) !== null;
+
+/**
+ * Paths never treated as files to fix, across all languages
+ * @returns {Array<string>} Frozen list of globs
+ */
+export const languageExcludeGlobs = () => {
+  return Object.freeze(Object.values(LANGUAGE_PROFILES).flatMap((profile) => profile.excludeGlobs));
+};
+
+/**
+ * Remove a markdown code fence around code
+ *
+ * Only an untagged fence or one tagged with the file's language is removed,
+ * so a reply in another language is left for the syntax check to reject.
+ * @param {string} text - Model reply
+ * @param {string} [filename] - File the code belongs to (defaults to JavaScript)
+ * @returns {string} Code without the fence
+ */
+export const stripCodeFence = (text, filename) => {
+  const profile = getLanguageProfile(filename) ?? LANGUAGE_PROFILES.javascript;
+  const opening = text.match(/^```([\w+-]*)[^\S\n]*\n?/);
+
+  if (!opening || (opening[1] && !profile.fences.includes(opening[1].toLowerCase()))) {
+    return text;
+  }
+
+  return text.slice(opening[0].length).replace(/\n?```$/, '');
+};
+
+// ============================================================================
+// SIDE EFFECTS - Project Detection (Isolated)
+// ============================================================================
+
+/**
+ * Detect the language of the project in a directory from its marker files
+ * @param {string} rootDir - Project root
+ * @returns {Object|null} Language profile, or null if no marker file exists
+ */
+export const detectProjectLanguage = (rootDir) => {
+  return (
+    Object.values(LANGUAGE_PROFILES).find((profile) =>
+      profile.markers.some((marker) => existsSync(join(rootDir, marker)))
+    ) ?? null
+  );
+};
+
+/**
+ * Default test command for a project
+ * @param {string} rootDir - Project root
+ * @param {string} [language] - Language name that overrides detection
+ * @returns {string} Test command (npm test when the language is unknown)
+ */
+export const defaultTestCommand = (rootDir, language) => {
+  const profile = LANGUAGE_PROFILES[language] ?? detectProjectLanguage(rootDir);
+  return profile?.testCommand ?? LANGUAGE_PROFILES.javascript.testCommand;
+};
@@ -0,0 +1,293 @@
+/**
+ * Fix Loop Guard - Functional Programming Implementation
+ *
+ * Stops the CI fixer from feeding itself. A pushed fix triggers another
+ * workflow run; if that fix was bad, the next run pushes another fix, and so
+ * on. Runs are skipped when the commit under test was made by the fixer, when
+ * a pull request or branch has used up its attempts, and during a cooldown
+ * after each attempt. Attempts are kept per pull request or branch in git
+ * notes that travel with the remote (the default in GitHub Actions), or in a
+ * state file inside the git directory.
+ * Implements strict functional programming principles:
+ * - Pure functions for detecting fixer commits and evaluating the guard
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for reading commits and the attempt state
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { DEFAULT_GIT_USER, hashObject, readCommit, readNote, runGit, writeNote } from './git.js';
+
+/**
+ * Trailer added to every commit the fixer makes, naming the run that made it
+ */
+export const FIXER_TRAILER = 'Bug-Fixer-Run';
+
+/**
+ * Default guard settings
+ */
+export const DEFAULT_LOOP_GUARD = Object.freeze({
+  // Workflow runs allowed to attempt fixes per pull request or branch
+  maxAttempts: 3,
+  // Minutes a pull request or branch waits after an attempt before the next run may fix it
+  cooldownMinutes: 10,
+  // 'file' keeps state in the git directory; 'git-notes' fetches and pushes it with the remote.
+  // Inside GitHub Actions, where every run starts from a fresh checkout, the default is 'git-notes'
+  store: 'file',
+  // Defaults to bug-fixer-state.json in the git directory
+  stateFile: undefined,
+  notesRef: 'refs/notes/bug-fixer',
+});
+
+const TRAILER_PATTERN = new RegExp(`^${FIXER_TRAILER}:\\s*(\\S+)\\s*$`, 'm');
+
+// The note holding the state is attached to this blob, which has the same name in every clone
+const NOTES_ANCHOR = 'bug-fixer-state';
+
+// ============================================================================
+// PURE FUNCTIONS - Configuration and Detection
+// ============================================================================
+
+/**
+ * Merge guard options over the defaults
+ * @param {Object|false} [options] - Guard options, or false to disable the guard
+ * @param {Object} [env] - Environment variables
+ * @returns {Object|null} Frozen guard settings, or null when disabled
+ */
+export const resolveLoopGuard = (options = {}, env = process.env) => {
+  if (options === false) {
+    return null;
+  }
+
+  const store = env.GITHUB_ACTIONS === 'true' ? 'git-notes' : DEFAULT_LOOP_GUARD.store;
+  const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+  return Object.freeze({ ...DEFAULT_LOOP_GUARD, store, ...Object.fromEntries(defined) });
+};
+
+/**
+ * Mark a commit message as written by a fixer run
+ * @param {string} message - Commit message
+ * @param {string|number} runId - Run identifier
+ * @returns {string} Message ending in a Bug-Fixer-Run trailer
+ */
+export const addFixerTrailer = (message, runId) => {
+  return `${message.trimEnd()}\n\n${FIXER_TRAILER}: ${runId}`;
+};
+
+/**
+ * Read the run a commit message was written by
+ * @param {string} message - Commit message
+ * @returns {string|null} Run identifier, or null for commits without the trailer
+ */
+export const readFixerTrailer = (message = '') => {
+  return message.match(TRAILER_PATTERN)?.[1] ?? null;
+};
+
+/**
+ * Check whether a commit was made by an earlier fixer run
+ *
+ * Commits of the current run are not a loop: retries within a run test the
+ * fixes the run itself committed. Commits without the trailer count when they
+ * carry the fixer's git identity.
+ * @param {Object|null} commit - Commit with authorName, authorEmail and message
+ * @param {string|number} runId - Current run identifier
+ * @returns {boolean} True if the commit came from another fixer run
+ */
+export const isFixerCommit = (commit, runId) => {
+  if (!commit) {
+    return false;
+  }
+
+  const trailer = readFixerTrailer(commit.message);
+  if (trailer) {
+    return trailer !== String(runId);
+  }
+
+  return (
+    commit.authorName === DEFAULT_GIT_USER.name && commit.authorEmail === DEFAULT_GIT_USER.email
+  );
+};
+
+/**
+ * Key attempts are counted under
+ * @param {Object} context - GitHub context (see readGitHubContext)
+ * @returns {string} "pr-<number>", "branch-<name>" or "local"
+ */
+export const createStateKey = (context = {}) => {
+  if (context.pullRequest?.number) {
+    return `pr-${context.pullRequest.number}`;
+  }
+
+  return context.refName ? `branch-${context.refName}` : 'local';
+};
+
+/**
+ * Decide whether a run may attempt fixes
+ * @param {Object} input - Guard input
+ * @param {Object} input.guard - Guard settings
+ * @param {string} input.key - State key of the pull request or branch
+ * @param {string|number} input.runId - Current run identifier
+ * @param {Object|null} [input.fixerCommit] - Commit under test made by another fixer run
+ * @param {Object} [input.entry] - State entry of the key: { runs, lastAttemptAt }
+ * @param {number} input.now - Current time in milliseconds
+ * @returns {Object} Frozen decision with allowed, and reason when not allowed
+ */
+export const evaluateLoopGuard = (input) => {
+  const { guard, key, runId, fixerCommit, entry, now } = input;
+  const deny = (reason) => Object.freeze({ allowed: false, reason });
+
+  if (fixerCommit) {
+    return deny(`Commit ${fixerCommit.sha.slice(0, 7)} was made by the bug fixer`);
+  }
+
+  // Retries within a run were already counted when the run started
+  if (!entry || entry.runs.includes(String(runId))) {
+    return Object.freeze({ allowed: true });
+  }
+
+  if (entry.runs.length >= guard.maxAttempts) {
+    return deny(`Attempt limit reached for ${key} (${entry.runs.length} of ${guard.maxAttempts})`);
+  }
+
+  const elapsedMinutes = Math.floor((now - Date.parse(entry.lastAttemptAt)) / 60000);
+  if (elapsedMinutes < guard.cooldownMinutes) {
+    return deny(
+      `Cooling down: the last attempt for ${key} was ${elapsedMinutes} minute(s) ago (cooldown ${guard.cooldownMinutes} minute(s))`
+    );
+  }
+
+  return Object.freeze({ allowed: true });
+};
+
+/**
+ * Record that a run attempted fixes
+ * @param {Object} state - Attempt state: key → { runs, lastAttemptAt }
+ * @param {string} key - State key
+ * @param {string|number} runId - Run identifier
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Frozen state (unchanged if the run was already recorded)
+ */
+export const recordAttempt = (state, key, runId, now) => {
+  const runs = state[key]?.runs ?? [];
+  if (runs.includes(String(runId))) {
+    return state;
+  }
+
+  return Object.freeze({
+    ...state,
+    [key]: Object.freeze({
+      runs: Object.freeze([...runs, String(runId)]),
+      lastAttemptAt: new Date(now).toISOString(),
+    }),
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Attempt State (Isolated)
+// ============================================================================
+
+/**
+ * Path of the state file
+ * @param {Object} guard - Guard settings
+ * @returns {string} Configured path, or bug-fixer-state.json in the git directory
+ */
+const stateFilePath = (guard) => {
+  return (
+    guard.stateFile ||
+    join(runGit(['rev-parse', '--absolute-git-dir']).trim(), 'bug-fixer-state.json')
+  );
+};
+
+/**
+ * Parse stored state, treating anything unreadable as empty
+ * @param {string|null} content - Stored JSON
+ * @returns {Object} Attempt state
+ */
+const parseState = (content) => {
+  try {
+    const state = JSON.parse(content);
+    return state && typeof state === 'object' ? state : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Read the attempt state
+ *
+ * The git notes store fetches the notes ref first, so attempts made by runs
+ * on other machines count.
+ * @param {Object} guard - Guard settings
+ * @returns {Object} Attempt state (empty when nothing was stored or it cannot be read)
+ */
+export const readLoopState = (guard) => {
+  try {
+    if (guard.store === 'git-notes') {
+      try {
+        runGit(['fetch', '--quiet', 'origin', `+${guard.notesRef}:${guard.notesRef}`]);
+      } catch {
+        // Nothing pushed yet, or no remote
+      }
+      return parseState(readNote(guard.notesRef, hashObject(NOTES_ANCHOR)));
+    }
+
+    const path = stateFilePath(guard);
+    return existsSync(path) ? parseState(readFileSync(path, 'utf8')) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Store the attempt state
+ * @param {Object} guard - Guard settings
+ * @param {Object} state - Attempt state
+ * @returns {Object} Result with success flag
+ */
+export const writeLoopState = (guard, state) => {
+  const content = `${JSON.stringify(state, null, 2)}\n`;
+
+  try {
+    if (guard.store === 'git-notes') {
+      const written = writeNote(guard.notesRef, hashObject(NOTES_ANCHOR), content);
+      if (!written.success) {
+        return written;
+      }
+      runGit(['push', '--quiet', 'origin', `${guard.notesRef}:${guard.notesRef}`]);
+    } else {
+      writeFileSync(stateFilePath(guard), content);
+    }
+
+    return Object.freeze({ success: true, message: 'Loop guard state saved' });
+  } catch (error) {
+    return Object.freeze({ success: false, error: error.message });
+  }
+};
+
+// ============================================================================
+// ORCHESTRATION
+// ============================================================================
+
+/**
+ * Check whether a run may attempt fixes
+ * @param {Object} guard - Guard settings
+ * @param {Object} run - Run details
+ * @param {string} run.key - State key of the pull request or branch
+ * @param {string|number} run.runId - Current run identifier
+ * @param {Array<string>} run.refs - Commits under test (e.g. HEAD and the pull request head)
+ * @param {number} [run.now] - Current time in milliseconds
+ * @returns {Object} Frozen decision with allowed, reason and the state that was read
+ */
+export const checkLoopGuard = (guard, run) => {
+  const { key, runId, refs, now = Date.now() } = run;
+  const fixerCommit = refs
+    .filter(Boolean)
+    .map(readCommit)
+    .find((commit) => isFixerCommit(commit, runId));
+  const state = readLoopState(guard);
+
+  return Object.freeze({
+    ...evaluateLoopGuard({ guard, key, runId, fixerCommit, entry: state[key], now }),
+    state,
+  });
+};
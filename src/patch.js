@@ -0,0 +1,555 @@
+/**
+ * Patch Utilities - Functional Programming Implementation
+ *
+ * Unified diff parsing, application and generation for patch-based fixes.
+ * Implements strict functional programming principles:
+ * - Pure functions with no side effects
+ * - Immutability with Object.freeze()
+ * - Result objects instead of thrown exceptions
+ */
+
+// ============================================================================
+// PURE FUNCTIONS - Line Handling
+// ============================================================================
+
+/**
+ * Split text into lines, remembering whether it ended with a newline
+ * @param {string} text - Text to split
+ * @returns {Object} Frozen object with lines array and trailingNewline flag
+ */
+export const toLines = (text) => {
+  if (text === '') {
+    return Object.freeze({ lines: Object.freeze([]), trailingNewline: false });
+  }
+
+  const trailingNewline = text.endsWith('\n');
+  const body = trailingNewline ? text.slice(0, -1) : text;
+
+  return Object.freeze({
+    lines: Object.freeze(body.split('\n')),
+    trailingNewline,
+  });
+};
+
+/**
+ * Join lines back into text
+ * @param {Array<string>} lines - Lines to join
+ * @param {boolean} trailingNewline - Whether to end with a newline
+ * @returns {string} Joined text
+ */
+export const fromLines = (lines, trailingNewline) => {
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return lines.join('\n') + (trailingNewline ? '\n' : '');
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Parsing
+// ============================================================================
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const FILE_HEADER = /^(?:diff --git |index |--- |\+\+\+ |new file mode |deleted file mode )/;
+
+/**
+ * Extract patch text from an AI response, stripping markdown fences
+ * @param {string} aiResponse - Raw AI response
+ * @returns {string} Patch text
+ */
+export const extractPatch = (aiResponse) => {
+  const trimmed = aiResponse.trim();
+  const fenced = trimmed.match(/```(?:diff|patch|udiff)?\n([\s\S]*?)\n?```/);
+  const patch = fenced ? fenced[1] : trimmed;
+
+  return patch.endsWith('\n') ? patch : `${patch}\n`;
+};
+
+const LINE_COUNTS = Object.freeze({
+  ' ': Object.freeze({ old: 1, new: 1 }),
+  '-': Object.freeze({ old: 1, new: 0 }),
+  '+': Object.freeze({ old: 0, new: 1 }),
+});
+
+/**
+ * Mark the last parsed hunk line as lacking a trailing newline
+ * @param {Array<Object>} hunkLines - Hunk lines parsed so far
+ * @returns {Array<Object>} Hunk lines with the last one marked
+ */
+const markLastNoEol = (hunkLines) =>
+  hunkLines.length === 0
+    ? hunkLines
+    : [...hunkLines.slice(0, -1), { ...hunkLines.at(-1), noEol: true }];
+
+/**
+ * Parse a single hunk body starting after its header line
+ * @param {Array<string>} lines - All patch lines
+ * @param {number} start - Index of the first body line
+ * @param {Object} header - Parsed hunk header counts
+ * @returns {Object} Frozen object with hunk lines, next index and optional error
+ */
+const parseHunkBody = (lines, start, header) => {
+  let hunkLines = [];
+  let oldRemaining = header.oldLines;
+  let newRemaining = header.newLines;
+  let index = start;
+
+  while (index < lines.length && (oldRemaining > 0 || newRemaining > 0)) {
+    const line = lines[index];
+    // Blank lines are context lines whose leading space was stripped
+    const type = line === '' ? ' ' : line[0];
+
+    if (type === '\\') {
+      hunkLines = markLastNoEol(hunkLines);
+    } else if (LINE_COUNTS[type]) {
+      hunkLines.push({ type, text: line.slice(1) });
+      oldRemaining -= LINE_COUNTS[type].old;
+      newRemaining -= LINE_COUNTS[type].new;
+    } else {
+      break;
+    }
+
+    index++;
+  }
+
+  // Trailing "\ No newline at end of file" marker belongs to the last line
+  if (lines[index]?.startsWith('\\')) {
+    hunkLines = markLastNoEol(hunkLines);
+    index++;
+  }
+
+  if (oldRemaining !== 0 || newRemaining !== 0) {
+    return Object.freeze({ index, error: 'is truncated or its line counts do not match' });
+  }
+
+  return Object.freeze({ index, lines: Object.freeze(hunkLines.map((l) => Object.freeze(l))) });
+};
+
+/**
+ * Parse unified diff text into hunks
+ * @param {string} patchText - Unified diff text
+ * @returns {Object} Frozen result with success flag and hunks or error
+ */
+export const parseUnifiedDiff = (patchText) => {
+  const lines = toLines(patchText).lines;
+  const hunks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const header = line.match(HUNK_HEADER);
+
+    if (!header) {
+      if (line.trim() !== '' && !FILE_HEADER.test(line) && hunks.length > 0) {
+        return Object.freeze({
+          success: false,
+          error: `Unexpected content after hunk ${hunks.length}: ${line.slice(0, 80)}`,
+        });
+      }
+      index++;
+      continue;
+    }
+
+    const counts = {
+      oldStart: Number(header[1]),
+      oldLines: header[2] === undefined ? 1 : Number(header[2]),
+      newStart: Number(header[3]),
+      newLines: header[4] === undefined ? 1 : Number(header[4]),
+    };
+    const body = parseHunkBody(lines, index + 1, counts);
+
+    if (body.error) {
+      return Object.freeze({
+        success: false,
+        error: `Hunk ${hunks.length + 1} ${body.error}`,
+      });
+    }
+
+    hunks.push(Object.freeze({ ...counts, lines: body.lines }));
+    index = body.index;
+  }
+
+  if (hunks.length === 0) {
+    return Object.freeze({ success: false, error: 'Patch contains no hunks' });
+  }
+
+  return Object.freeze({ success: true, hunks: Object.freeze(hunks) });
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Application
+// ============================================================================
+
+/**
+ * Check whether a block of lines matches the source at a position
+ * @param {Array<string>} source - Source lines
+ * @param {Array<string>} block - Lines to match
+ * @param {number} position - Start index in source
+ * @param {boolean} loose - Ignore trailing whitespace differences
+ * @returns {boolean} True if the block matches
+ */
+const matchesAt = (source, block, position, loose) => {
+  if (position < 0 || position + block.length > source.length) {
+    return false;
+  }
+
+  return block.every((line, i) =>
+    loose ? source[position + i].trimEnd() === line.trimEnd() : source[position + i] === line
+  );
+};
+
+/**
+ * Find the position closest to the expected one where a block matches
+ * @param {Array<string>} source - Source lines
+ * @param {Array<string>} block - Lines to locate
+ * @param {number} expected - Position suggested by the hunk header
+ * @param {number} minPosition - Earliest allowed position
+ * @returns {number} Matching position or -1
+ */
+export const locateBlock = (source, block, expected, minPosition = 0) => {
+  const maxDistance = Math.max(expected - minPosition, source.length - expected);
+
+  for (const loose of [false, true]) {
+    for (let distance = 0; distance <= maxDistance; distance++) {
+      for (const position of [expected - distance, expected + distance]) {
+        if (position >= minPosition && matchesAt(source, block, position, loose)) {
+          return position;
+        }
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Resolve the trailing newline state after applying hunks
+ * @param {Array<Object>} hunks - Parsed hunks
+ * @param {boolean} original - Original trailing newline state
+ * @returns {boolean} New trailing newline state
+ */
+const resolveTrailingNewline = (hunks, original) => {
+  const lines = hunks.flatMap((hunk) => hunk.lines);
+
+  if (lines.some((line) => line.noEol && line.type !== '-')) {
+    return false;
+  }
+  if (lines.some((line) => line.noEol && line.type === '-')) {
+    return true;
+  }
+
+  return original;
+};
+
+/**
+ * Apply parsed hunks to source code with context matching
+ * @param {string} source - Original source code
+ * @param {Array<Object>} hunks - Parsed hunks
+ * @returns {Object} Frozen result with success flag and code or error
+ */
+export const applyHunks = (source, hunks) => {
+  const { lines, trailingNewline } = toLines(source);
+  const result = [];
+  let cursor = 0;
+
+  for (const [i, hunk] of hunks.entries()) {
+    const oldBlock = hunk.lines.filter((l) => l.type !== '+').map((l) => l.text);
+    const newBlock = hunk.lines.filter((l) => l.type !== '-').map((l) => l.text);
+    const expected = oldBlock.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const position = locateBlock(lines, oldBlock, Math.max(expected, cursor), cursor);
+
+    if (position === -1) {
+      return Object.freeze({
+        success: false,
+        error: `Hunk ${i + 1} does not apply: context near line ${hunk.oldStart} not found`,
+        failedHunk: i + 1,
+      });
+    }
+
+    result.push(...lines.slice(cursor, position), ...newBlock);
+    cursor = position + oldBlock.length;
+  }
+
+  result.push(...lines.slice(cursor));
+
+  return Object.freeze({
+    success: true,
+    code: fromLines(result, resolveTrailingNewline(hunks, trailingNewline)),
+  });
+};
+
+/**
+ * Parse and apply a unified diff to source code
+ * @param {string} source - Original source code
+ * @param {string} patchText - Unified diff text
+ * @returns {Object} Frozen result with success flag and code or error
+ */
+export const applyPatch = (source, patchText) => {
+  const parsed = parseUnifiedDiff(patchText);
+  if (!parsed.success) {
+    return parsed;
+  }
+
+  return applyHunks(source, parsed.hunks);
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Diff Generation
+// ============================================================================
+
+const NO_EOL = '\u0000';
+const NO_EOL_MARKER = '\\ No newline at end of file';
+
+// Largest LCS table (lines × lines) built for the changed middle of a file: 16 MB.
+// Bigger rewrites are diffed as one replaced block.
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Split text into lines, tagging a final line that lacks a newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Comparable lines
+ */
+const markMissingNewline = (text) => {
+  const { lines, trailingNewline } = toLines(text);
+  if (trailingNewline || lines.length === 0) {
+    return lines;
+  }
+
+  return [...lines.slice(0, -1), `${lines[lines.length - 1]}${NO_EOL}`];
+};
+
+/**
+ * Count lines shared at the start of two arrays
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @returns {number} Length of the common prefix
+ */
+const countCommonPrefix = (a, b) => {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return prefix;
+};
+
+/**
+ * Count lines shared at the end of two arrays, not overlapping a prefix
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @param {number} prefix - Length of the common prefix
+ * @returns {number} Length of the common suffix
+ */
+const countCommonSuffix = (a, b, prefix) => {
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return suffix;
+};
+
+/**
+ * Build a longest-common-subsequence length table (suffix-based)
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @returns {Function} Lookup returning the LCS length of a[i..] and b[j..]
+ */
+const buildLcsTable = (a, b) => {
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  return (i, j) => table[i * width + j];
+};
+
+/**
+ * Compute the edit script of the lines between the common prefix and suffix
+ *
+ * Above MAX_LCS_CELLS every original line is removed and every new line added,
+ * which keeps whole-file rewrites of large files in bounded memory.
+ * @param {Array<string>} midA - Original lines
+ * @param {Array<string>} midB - New lines
+ * @returns {Array<Object>} Operations of type ' ', '-' or '+'
+ */
+const diffMiddle = (midA, midB) => {
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    return [
+      ...midA.map((text) => ({ type: '-', text })),
+      ...midB.map((text) => ({ type: '+', text })),
+    ];
+  }
+
+  const lcs = buildLcsTable(midA, midB);
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ type: ' ', text: midA[i] });
+      i++;
+      j++;
+    } else if (j >= midB.length || (i < midA.length && lcs(i + 1, j) >= lcs(i, j + 1))) {
+      ops.push({ type: '-', text: midA[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', text: midB[j] });
+      j++;
+    }
+  }
+
+  return ops;
+};
+
+/**
+ * Compute a line edit script
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Operations of type ' ', '-' or '+'
+ */
+const computeEditScript = (a, b) => {
+  const prefix = countCommonPrefix(a, b);
+  const suffix = countCommonSuffix(a, b, prefix);
+
+  return [
+    ...a.slice(0, prefix).map((text) => ({ type: ' ', text })),
+    ...diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map((text) => ({ type: ' ', text })),
+  ];
+};
+
+/**
+ * Group edit operations into hunks with surrounding context
+ * @param {Array<Object>} ops - Edit script
+ * @param {number} context - Context lines around each change
+ * @returns {Array<Object>} Hunks with start positions and lines
+ */
+const groupIntoHunks = (ops, context) => {
+  const ranges = [];
+
+  ops.forEach((op, index) => {
+    if (op.type === ' ') {
+      return;
+    }
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const before = ops.slice(0, start);
+    return {
+      oldStart: before.filter((op) => op.type !== '+').length + 1,
+      newStart: before.filter((op) => op.type !== '-').length + 1,
+      lines: ops.slice(start, end),
+    };
+  });
+};
+
+/**
+ * Format a hunk range for a unified diff header
+ * @param {number} start - 1-based start line
+ * @param {number} count - Number of lines
+ * @returns {string} Range text
+ */
+const formatRange = (start, count) => {
+  const displayStart = count === 0 ? start - 1 : start;
+  return count === 1 ? `${displayStart}` : `${displayStart},${count}`;
+};
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} original - Original code
+ * @param {string} fixed - Fixed code
+ * @param {string} filename - File name for the diff headers
+ * @param {number} context - Number of context lines
+ * @returns {string} Unified diff text (empty when identical)
+ */
+export const createUnifiedDiff = (original, fixed, filename = 'file', context = 3) => {
+  if (original === fixed) {
+    return '';
+  }
+
+  const ops = computeEditScript(markMissingNewline(original), markMissingNewline(fixed));
+  const output = [`--- a/${filename}`, `+++ b/${filename}`];
+
+  for (const hunk of groupIntoHunks(ops, context)) {
+    const oldCount = hunk.lines.filter((l) => l.type !== '+').length;
+    const newCount = hunk.lines.filter((l) => l.type !== '-').length;
+    output.push(
+      `@@ -${formatRange(hunk.oldStart, oldCount)} +${formatRange(hunk.newStart, newCount)} @@`
+    );
+
+    for (const line of hunk.lines) {
+      if (line.text.endsWith(NO_EOL)) {
+        output.push(`${line.type}${line.text.slice(0, -1)}`, NO_EOL_MARKER);
+      } else {
+        output.push(`${line.type}${line.text}`);
+      }
+    }
+  }
+
+  return `${output.join('\n')}\n`;
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Display
+// ============================================================================
+
+const ANSI = Object.freeze({
+  bold: '\u001b[1m',
+  red: '\u001b[31m',
+  green: '\u001b[32m',
+  cyan: '\u001b[36m',
+  reset: '\u001b[0m',
+});
+
+/**
+ * Pick the ANSI style for a diff line
+ * @param {string} line - Diff line
+ * @returns {string|null} ANSI style or null for plain lines
+ */
+const styleForDiffLine = (line) => {
+  if (line.startsWith('---') || line.startsWith('+++')) return ANSI.bold;
+  if (line.startsWith('@@')) return ANSI.cyan;
+  if (line.startsWith('+')) return ANSI.green;
+  if (line.startsWith('-')) return ANSI.red;
+  return null;
+};
+
+/**
+ * Add terminal colors to a unified diff
+ * @param {string} diff - Unified diff text
+ * @param {boolean} enabled - Whether to add colors
+ * @returns {string} Colored diff text
+ */
+export const colorizeDiff = (diff, enabled = true) => {
+  if (!enabled) {
+    return diff;
+  }
+
+  return diff
+    .split('\n')
+    .map((line) => {
+      const style = styleForDiffLine(line);
+      return style ? `${style}${line}${ANSI.reset}` : line;
+    })
+    .join('\n');
+};
@@ -0,0 +1,200 @@
+/**
+ * AI Providers - Functional Programming Implementation
+ *
+ * Selects the language model used for fixes (OpenAI, Anthropic or any
+ * OpenAI-compatible endpoint such as a local llama.cpp/Ollama server) and
+ * prices its usage for the cost checks.
+ * Implements strict functional programming principles:
+ * - Pure functions for provider resolution and pricing
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for model client creation
+ */
+
+import { createAnthropic } from '@ai-sdk/anthropic';
+import { createOpenAI, openai } from '@ai-sdk/openai';
+import { calculateCost, estimateCost } from '@jordanbmowry/agent-configuration/cost-monitor';
+
+/**
+ * Supported provider names
+ */
+export const PROVIDERS = Object.freeze(['openai', 'anthropic', 'openai-compatible']);
+
+/**
+ * Provider used when none is configured
+ */
+export const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * Anthropic pricing in USD per million tokens, keyed by model name prefix
+ */
+export const ANTHROPIC_PRICING = Object.freeze({
+  'claude-opus-4': Object.freeze({ input: 15, output: 75 }),
+  'claude-sonnet-4': Object.freeze({ input: 3, output: 15 }),
+  'claude-3-7-sonnet': Object.freeze({ input: 3, output: 15 }),
+  'claude-3-5-sonnet': Object.freeze({ input: 3, output: 15 }),
+  'claude-3-5-haiku': Object.freeze({ input: 0.8, output: 4 }),
+  'claude-3-opus': Object.freeze({ input: 15, output: 75 }),
+  'claude-3-haiku': Object.freeze({ input: 0.25, output: 1.25 }),
+});
+
+/**
+ * Pricing assumed for OpenAI-compatible endpoints without configured pricing (self-hosted)
+ */
+export const FREE_PRICING = Object.freeze({ input: 0, output: 0 });
+
+// ============================================================================
+// PURE FUNCTIONS - Provider Resolution & Pricing
+// ============================================================================
+
+/**
+ * Resolve and validate the provider settings of a fix configuration
+ * @param {Object} config - Fix configuration
+ * @param {string} [config.provider] - Provider name (see PROVIDERS)
+ * @param {string} config.model - Model name
+ * @param {string} [config.baseURL] - API base URL (required for openai-compatible)
+ * @param {string} [config.apiKeyEnv] - Environment variable holding the API key
+ * @returns {Object} Frozen provider settings
+ * @throws {Error} If the provider is unknown or misconfigured
+ */
+export const resolveProviderConfig = (config) => {
+  const name = config.provider || DEFAULT_PROVIDER;
+
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI provider: ${name} (expected one of ${PROVIDERS.join(', ')})`);
+  }
+
+  if (name === 'openai-compatible' && !config.baseURL) {
+    throw new Error('The openai-compatible provider requires a baseURL');
+  }
+
+  return Object.freeze({
+    name,
+    model: config.model,
+    baseURL: config.baseURL,
+    apiKeyEnv: config.apiKeyEnv,
+  });
+};
+
+/**
+ * Look up Anthropic pricing by the longest matching model prefix
+ * @param {string} model - Model name, e.g. "claude-3-5-haiku-latest"
+ * @returns {Object|null} Pricing per million tokens, or null if unknown
+ */
+export const getAnthropicPricing = (model = '') => {
+  const prefix = Object.keys(ANTHROPIC_PRICING)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? ANTHROPIC_PRICING[prefix] : null;
+};
+
+/**
+ * Get the pricing used for a provider's cost checks
+ *
+ * Returns null for OpenAI, whose pricing comes from the shared cost monitor.
+ * Explicit config.pricing ({input, output} in USD per million tokens) always wins.
+ * @param {Object} config - Fix configuration
+ * @returns {Object|null} Frozen pricing per million tokens, or null for the shared cost monitor
+ */
+export const getProviderPricing = (config) => {
+  if (config.pricing) {
+    return Object.freeze({ input: config.pricing.input, output: config.pricing.output });
+  }
+
+  const { name } = resolveProviderConfig(config);
+
+  if (name === 'anthropic') {
+    return getAnthropicPricing(config.model);
+  }
+
+  return name === 'openai-compatible' ? FREE_PRICING : null;
+};
+
+/**
+ * Price a token count with per-million-token pricing
+ * @param {Object} pricing - Pricing per million tokens
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {number} Cost in USD
+ */
+export const priceTokens = (pricing, promptTokens, completionTokens) => {
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+};
+
+/**
+ * Estimate the cost of a fix request before sending it
+ * @param {Object} config - Fix configuration
+ * @param {string} code - Code sent to the model
+ * @param {number} maxTokens - Maximum response tokens
+ * @returns {number} Estimated cost in USD
+ */
+export const estimateProviderCost = (config, code, maxTokens) => {
+  const pricing = getProviderPricing(config);
+
+  if (!pricing) {
+    return estimateCost(config.model, code, maxTokens);
+  }
+
+  // Roughly four characters per token
+  return priceTokens(pricing, Math.ceil(code.length / 4), maxTokens || 0);
+};
+
+/**
+ * Calculate the actual cost of a completed fix request
+ * @param {Object} config - Fix configuration
+ * @param {number} promptTokens - Input tokens used
+ * @param {number} completionTokens - Output tokens used
+ * @returns {number} Cost in USD
+ */
+export const calculateProviderCost = (config, promptTokens, completionTokens) => {
+  const pricing = getProviderPricing(config);
+
+  if (!pricing) {
+    return calculateCost(config.model, promptTokens, completionTokens);
+  }
+
+  return priceTokens(pricing, promptTokens, completionTokens);
+};
+
+// ============================================================================
+// SIDE EFFECTS - Model Clients (Isolated)
+// ============================================================================
+
+/**
+ * Read the API key for a provider from the environment
+ * @param {Object} provider - Resolved provider settings
+ * @returns {string|undefined} API key, or undefined to use the provider's default variable
+ */
+const readApiKey = (provider) => {
+  return provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : undefined;
+};
+
+/**
+ * Create the language model for a fix configuration
+ * @param {Object} config - Fix configuration
+ * @returns {Object} AI SDK language model
+ * @throws {Error} If the provider is unknown or misconfigured
+ */
+export const createLanguageModel = (config) => {
+  const provider = resolveProviderConfig(config);
+  const apiKey = readApiKey(provider);
+
+  if (provider.name === 'anthropic') {
+    return createAnthropic({ apiKey, baseURL: provider.baseURL })(provider.model);
+  }
+
+  if (provider.name === 'openai-compatible') {
+    // Local servers usually ignore the key, but the client refuses to send requests without one
+    return createOpenAI({
+      apiKey: apiKey || 'not-needed',
+      baseURL: provider.baseURL,
+      compatibility: 'compatible',
+    })(provider.model);
+  }
+
+  if (provider.baseURL || apiKey) {
+    return createOpenAI({ apiKey, baseURL: provider.baseURL })(provider.model);
+  }
+
+  return openai(provider.model);
+};
@@ -0,0 +1,269 @@
+/**
+ * Pull Requests - Functional Programming Implementation
+ *
+ * Delivers CI fixes as a pull request instead of a push to the checked-out
+ * branch. The fixes are committed on a bug-fixer/<run-id> branch, and the pull
+ * request describes the failing tests, the diff of each file, the model and
+ * the cost.
+ * Implements strict functional programming principles:
+ * - Pure functions for branch names, titles and bodies
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for the GitHub API
+ */
+
+import { readFileSync } from 'node:fs';
+import { Octokit } from '@octokit/rest';
+
+/**
+ * Labels added to every fix pull request unless configured otherwise
+ */
+export const DEFAULT_PR_LABELS = Object.freeze(['bug-fixer']);
+
+/**
+ * GitHub API used unless configured otherwise
+ */
+export const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+// ============================================================================
+// PURE FUNCTIONS - Pull Request Content
+// ============================================================================
+
+/**
+ * Name of the branch that carries the fixes of a run
+ * @param {string|number} runId - CI run identifier
+ * @returns {string} Branch name
+ */
+export const createFixBranchName = (runId) => `bug-fixer/${runId}`;
+
+/**
+ * Split an "owner/repo" slug
+ * @param {string|undefined} repository - Repository slug
+ * @returns {Object|null} Frozen object with owner and repo, or null if malformed
+ */
+export const parseRepository = (repository) => {
+  const match = repository?.match(/^([\w.-]+)\/([\w.-]+)$/);
+  return match ? Object.freeze({ owner: match[1], repo: match[2] }) : null;
+};
+
+/**
+ * Find what the fixes respond to: the pull request or commit whose tests failed
+ * @param {Object} context - GitHub context (see readGitHubContext)
+ * @returns {Object|null} Frozen origin with type, reference (e.g. "#12") and branch
+ */
+export const resolveFixOrigin = (context) => {
+  if (context.pullRequest) {
+    return Object.freeze({
+      type: 'pull_request',
+      number: context.pullRequest.number,
+      reference: `#${context.pullRequest.number}`,
+      branch: context.pullRequest.headRef,
+    });
+  }
+
+  if (context.sha) {
+    return Object.freeze({
+      type: 'commit',
+      sha: context.sha,
+      reference: context.sha,
+      branch: context.refName,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Strip the "./" prefix of repository paths
+ * @param {string} filename - File path
+ * @returns {string} Display path
+ */
+const displayPath = (filename) => filename.replace(/^\.\//, '');
+
+/**
+ * Total cost of fixes, preferring the actual cost over the estimate
+ * @param {Array<Object>} fixes - Fix results
+ * @returns {number} Cost in USD
+ */
+export const sumFixCost = (fixes) => {
+  return fixes.reduce((total, fix) => total + (fix.cost?.actual || fix.cost?.estimated || 0), 0);
+};
+
+/**
+ * Build the pull request title
+ * @param {Array<Object>} fixes - Successful fix results
+ * @returns {string} Title
+ */
+export const buildPullRequestTitle = (fixes) => {
+  const target = fixes.length === 1 ? displayPath(fixes[0].filename) : `${fixes.length} files`;
+  return `🤖 Fix failing tests in ${target}`;
+};
+
+/**
+ * Build the Markdown list of failing tests
+ * @param {Array<Object>} failures - Normalized failures
+ * @returns {Array<string>} Lines
+ */
+export const formatFailureList = (failures = []) => {
+  if (failures.length === 0) {
+    return ['No structured test report was available; see the CI log.'];
+  }
+
+  return failures.map((failure) => {
+    const file = failure.file ? ` (${failure.file})` : '';
+    const message = failure.message ? `: ${failure.message.split('\n')[0]}` : '';
+    return `- \`${failure.name}\`${file}${message}`;
+  });
+};
+
+/**
+ * Build the Markdown list of the model, cost and attempts of a run
+ * @param {Array<Object>} fixes - Fix results
+ * @returns {Array<string>} Lines
+ */
+export const formatRunDetails = (fixes) => {
+  const models = [...new Set(fixes.map((fix) => fix.model).filter(Boolean))];
+  const attempts = fixes.reduce((total, fix) => total + (fix.attempts?.length || 0), 0);
+
+  return [
+    `- Model: ${models.join(', ') || 'unknown'}`,
+    `- Cost: $${sumFixCost(fixes).toFixed(4)}`,
+    `- Attempts: ${attempts}`,
+  ];
+};
+
+/**
+ * Build the Markdown section of one fixed file
+ * @param {Object} fix - Successful fix result
+ * @returns {Array<string>} Lines
+ */
+const fixSectionLines = (fix) => {
+  return [`### \`${displayPath(fix.filename)}\``, '', '```diff', fix.patch.trim(), '```', ''];
+};
+
+/**
+ * Build the pull request body
+ * @param {Object} result - CI result (fixes and failures)
+ * @param {Object|null} origin - Result of resolveFixOrigin
+ * @returns {string} Markdown body
+ */
+export const buildPullRequestBody = (result, origin) => {
+  const fixed = result.fixes.filter((fix) => fix.success);
+  const unfixed = result.fixes.filter((fix) => !fix.success);
+  const source = origin
+    ? ` in ${origin.type === 'commit' ? 'commit ' : ''}${origin.reference}`
+    : '';
+
+  return [
+    `Automated fix for the tests that failed${source}.`,
+    '',
+    '## Failing tests',
+    '',
+    ...formatFailureList(result.failures),
+    '',
+    '## Changes',
+    '',
+    ...fixed.flatMap(fixSectionLines),
+    ...(unfixed.length > 0
+      ? [
+          '## Not fixed',
+          '',
+          ...unfixed.map((fix) => `- \`${displayPath(fix.filename)}\`: ${fix.error}`),
+          '',
+        ]
+      : []),
+    '## Details',
+    '',
+    ...formatRunDetails(result.fixes),
+  ].join('\n');
+};
+
+// ============================================================================
+// SIDE EFFECTS - GitHub API (Isolated)
+// ============================================================================
+
+/**
+ * Read the GitHub Actions context of the current run
+ * @param {Object} env - Environment variables
+ * @returns {Object} Frozen context with repository, runId, sha, refName and pullRequest
+ */
+export const readGitHubContext = (env = process.env) => {
+  let event = {};
+  try {
+    event = env.GITHUB_EVENT_PATH ? JSON.parse(readFileSync(env.GITHUB_EVENT_PATH, 'utf8')) : {};
+  } catch {
+    // Outside GitHub Actions there is no event payload
+  }
+
+  const pullRequest = event.pull_request;
+
+  return Object.freeze({
+    repository: env.GITHUB_REPOSITORY,
+    runId: env.GITHUB_RUN_ID,
+    sha: env.GITHUB_SHA,
+    refName: env.GITHUB_REF_NAME,
+    pullRequest: pullRequest
+      ? Object.freeze({
+          number: pullRequest.number,
+          headRef: pullRequest.head?.ref ?? env.GITHUB_HEAD_REF,
+          headSha: pullRequest.head?.sha,
+        })
+      : null,
+  });
+};
+
+/**
+ * Create a GitHub API client
+ * @param {Object} options - Client options
+ * @param {string} options.token - GitHub token
+ * @param {string} [options.baseUrl] - API URL (a mock server in tests)
+ * @returns {Object} Octokit client
+ */
+export const createGitHubClient = ({ token, baseUrl = DEFAULT_GITHUB_API_URL }) => {
+  return new Octokit({ auth: token, baseUrl });
+};
+
+/**
+ * Open a pull request, or update the one already open for the branch
+ *
+ * Retries of a run push to the same branch. The open pull request then gets
+ * the new body, which describes the latest fixes, and the labels.
+ * @param {Object} client - Octokit client
+ * @param {Object} request - Pull request details
+ * @param {string} request.owner - Repository owner
+ * @param {string} request.repo - Repository name
+ * @param {string} request.head - Branch with the fixes
+ * @param {string} request.base - Branch to merge into
+ * @param {string} request.title - Title
+ * @param {string} request.body - Markdown body
+ * @param {Array<string>} [request.labels] - Labels to add
+ * @returns {Promise<Object>} Frozen object with number, url and created
+ */
+export const openPullRequest = async (client, request) => {
+  const { owner, repo, head, base, title, body, labels = [] } = request;
+
+  const { data: open } = await client.pulls.list({
+    owner,
+    repo,
+    head: `${owner}:${head}`,
+    state: 'open',
+  });
+
+  const existing = open[0];
+  if (existing) {
+    await client.pulls.update({ owner, repo, pull_number: existing.number, body });
+  }
+
+  const { data: pullRequest } = existing
+    ? { data: existing }
+    : await client.pulls.create({ owner, repo, head, base, title, body });
+
+  if (labels.length > 0) {
+    await client.issues.addLabels({ owner, repo, issue_number: pullRequest.number, labels });
+  }
+
+  return Object.freeze({
+    number: pullRequest.number,
+    url: pullRequest.html_url,
+    created: !existing,
+  });
+};
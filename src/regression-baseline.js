@@ -0,0 +1,109 @@
+/**
+ * Regression Baseline - Functional Programming Implementation
+ *
+ * Records the outcome of every test (passed, failed, skipped) before fixing
+ * and compares it after each fix, so a fix that makes its target test pass
+ * while breaking or skipping others is caught even when the suite already had
+ * unrelated failures.
+ * Implements strict functional programming principles:
+ * - Pure functions for comparing outcomes
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for running the suite
+ */
+
+import { parseTestOutcomes, readReportFile, removeReportFile } from './test-reporters.js';
+import { runTests } from './test-runner.js';
+
+// ============================================================================
+// PURE FUNCTIONS - Outcome Comparison
+// ============================================================================
+
+/**
+ * Count the skipped tests in a set of outcomes
+ * @param {Object} outcomes - Test key → outcome
+ * @returns {number} Number of skipped tests
+ */
+export const countSkipped = (outcomes) => {
+  return Object.values(outcomes).filter((outcome) => outcome === 'skipped').length;
+};
+
+/**
+ * Compare test outcomes before and after a fix
+ * @param {Object} before - Baseline outcomes (test key → outcome)
+ * @param {Object} after - Outcomes after the fix
+ * @returns {Object} Frozen diff with broken, fixed, newlySkipped, missing, vanished (missing
+ * tests that passed before), skip counts and regressed
+ */
+export const compareOutcomes = (before, after) => {
+  const changed = (from, to) =>
+    Object.freeze(
+      Object.keys(after).filter((key) => from.includes(before[key]) && after[key] === to)
+    );
+
+  const broken = changed(['passed'], 'failed');
+  const missing = Object.keys(before).filter((key) => !(key in after));
+  // A fix that stops a test file from loading makes its tests disappear from the report
+  const vanished = missing.filter((key) => before[key] === 'passed');
+  const skippedBefore = countSkipped(before);
+  const skippedAfter = countSkipped(after);
+
+  return Object.freeze({
+    broken,
+    fixed: changed(['failed'], 'passed'),
+    newlySkipped: changed(['passed', 'failed'], 'skipped'),
+    missing: Object.freeze(missing),
+    vanished: Object.freeze(vanished),
+    skippedBefore,
+    skippedAfter,
+    regressed: broken.length > 0 || vanished.length > 0 || skippedAfter > skippedBefore,
+  });
+};
+
+/**
+ * Describe why a diff counts as a regression
+ * @param {Object} diff - Result of compareOutcomes
+ * @returns {string} Human-readable description
+ */
+export const describeRegression = (diff) => {
+  const reasons = [];
+
+  if (diff.broken.length > 0) {
+    reasons.push(
+      `${diff.broken.length} previously passing test(s) now fail: ${diff.broken.join(', ')}`
+    );
+  }
+
+  if (diff.vanished.length > 0) {
+    reasons.push(
+      `${diff.vanished.length} previously passing test(s) no longer run: ${diff.vanished.join(', ')}`
+    );
+  }
+
+  if (diff.skippedAfter > diff.skippedBefore) {
+    reasons.push(`skipped tests increased from ${diff.skippedBefore} to ${diff.skippedAfter}`);
+  }
+
+  return reasons.join('; ');
+};
+
+// ============================================================================
+// SIDE EFFECTS - Test Runs (Isolated)
+// ============================================================================
+
+/**
+ * Run the test suite and record per-test outcomes
+ * @param {string} command - Test command
+ * @param {Object} runOptions - runTests options
+ * @param {string} [reportFile] - Reporter output file written by the command
+ * @returns {Promise<Object>} Frozen runTests result with format and outcomes (null for console
+ * output, or when the command wrote no report)
+ */
+export const recordTestOutcomes = async (command, runOptions, reportFile) => {
+  await removeReportFile(reportFile);
+  const result = await runTests(command, runOptions);
+  const { format, outcomes } = parseTestOutcomes(
+    (await readReportFile(reportFile)) ?? result.output
+  );
+
+  return Object.freeze({ ...result, format, outcomes });
+};
@@ -0,0 +1,235 @@
+/**
+ * Review Suggestions - Functional Programming Implementation
+ *
+ * Delivers CI fixes as a pull request review instead of a commit. Each
+ * changed block of a fix becomes a review comment with a ```suggestion```
+ * block on the exact lines it replaces, so developers accept a fix with one
+ * click. GitHub only accepts comments on lines inside the pull request's
+ * diff; a fix that touches any other line is attached to the summary as a patch.
+ * Implements strict functional programming principles:
+ * - Pure functions for placing suggestions and building the summary
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for the GitHub API
+ */
+
+import { createUnifiedDiff, parseUnifiedDiff, toLines } from './patch.js';
+import { formatFailureList, formatRunDetails } from './pull-request.js';
+
+// ============================================================================
+// PURE FUNCTIONS - Diff Positions
+// ============================================================================
+
+/**
+ * Strip the "./" prefix of repository paths
+ * @param {string} filename - File path
+ * @returns {string} Repository path as GitHub reports it
+ */
+const repoPath = (filename) => filename.replace(/^\.\//, '');
+
+/**
+ * Find the lines of the new file a review comment may be placed on
+ * @param {string|undefined} patch - Pull request patch of one file (as listed by GitHub)
+ * @returns {Object} Frozen map of line number → { hunk, text } for context and added lines
+ */
+export const parseCommentableLines = (patch) => {
+  const parsed = patch ? parseUnifiedDiff(patch) : null;
+  if (!parsed?.success) {
+    return Object.freeze({});
+  }
+
+  const entries = parsed.hunks.flatMap((hunk, index) => {
+    const rightSide = hunk.lines.filter((line) => line.type !== '-');
+    return rightSide.map((line, offset) => [
+      hunk.newStart + offset,
+      { hunk: index, text: line.text },
+    ]);
+  });
+
+  return Object.freeze(Object.fromEntries(entries));
+};
+
+/**
+ * Split a fix into the smallest blocks of replaced lines
+ *
+ * Pure insertions are anchored to the line before them (or after them at the
+ * top of the file), since a suggestion has to replace at least one line.
+ * @param {string} originalCode - Code before the fix
+ * @param {string} fixedCode - Code after the fix
+ * @returns {Array<Object>} Frozen blocks with startLine, endLine (1-based, inclusive) and lines
+ */
+export const createChangeBlocks = (originalCode, fixedCode) => {
+  const diff = parseUnifiedDiff(createUnifiedDiff(originalCode, fixedCode, 'file', 0));
+  if (!diff.success) {
+    return Object.freeze([]);
+  }
+
+  const original = toLines(originalCode).lines;
+
+  return Object.freeze(
+    diff.hunks.map((hunk) => {
+      const added = hunk.lines.filter((line) => line.type === '+').map((line) => line.text);
+
+      if (hunk.oldLines > 0) {
+        const endLine = hunk.oldStart + hunk.oldLines - 1;
+        return Object.freeze({ startLine: hunk.oldStart, endLine, lines: Object.freeze(added) });
+      }
+
+      const anchor = Math.max(hunk.oldStart, 1);
+      const lines = hunk.oldStart > 0 ? [original[anchor - 1], ...added] : [...added, original[0]];
+      return Object.freeze({ startLine: anchor, endLine: anchor, lines: Object.freeze(lines) });
+    })
+  );
+};
+
+/**
+ * Check that a block lies within one hunk of the pull request diff, on the code that was fixed
+ * @param {Object} block - Change block
+ * @param {Object} commentable - Result of parseCommentableLines
+ * @param {Array<string>} original - Lines of the code that was fixed
+ * @returns {boolean} True if a suggestion can be placed on the block
+ */
+const isPlaceable = (block, commentable, original) => {
+  const hunk = commentable[block.startLine]?.hunk;
+
+  for (let line = block.startLine; line <= block.endLine; line++) {
+    const target = commentable[line];
+    if (!target || target.hunk !== hunk || target.text !== original[line - 1]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Build a review comment suggesting a block
+ * @param {string} path - Repository path
+ * @param {Object} block - Change block
+ * @returns {Object} Frozen review comment
+ */
+export const createSuggestionComment = (path, block) => {
+  const body = ['```suggestion', ...block.lines, '```'].join('\n');
+  const range =
+    block.startLine === block.endLine ? {} : { start_line: block.startLine, start_side: 'RIGHT' };
+
+  return Object.freeze({ path, line: block.endLine, side: 'RIGHT', ...range, body });
+};
+
+/**
+ * Turn a fix into review comments, or fall back to a patch
+ * @param {Object} fix - Successful fix result
+ * @param {string|undefined} prPatch - Pull request patch of the fixed file
+ * @returns {Object} Frozen placement with path, comments, and fallback when no suggestion can be placed
+ */
+export const placeSuggestions = (fix, prPatch) => {
+  const path = repoPath(fix.filename);
+  const commentable = parseCommentableLines(prPatch);
+  const original = toLines(fix.originalCode).lines;
+  const blocks = createChangeBlocks(fix.originalCode, fix.fixedCode);
+  const placeable =
+    blocks.length > 0 && blocks.every((block) => isPlaceable(block, commentable, original));
+
+  return Object.freeze({
+    path,
+    comments: Object.freeze(
+      placeable ? blocks.map((block) => createSuggestionComment(path, block)) : []
+    ),
+    fallback: !placeable,
+  });
+};
+
+/**
+ * Build the summary review comment
+ * @param {Object} result - CI result (fixes and failures)
+ * @param {Array<Object>} placements - Results of placeSuggestions, one per successful fix
+ * @returns {string} Markdown body
+ */
+export const buildReviewSummary = (result, placements) => {
+  const fixes = result.fixes.filter((fix) => fix.success);
+
+  const fileLines = placements.flatMap((placement, index) => {
+    if (!placement.fallback) {
+      return [`- \`${placement.path}\`: ${placement.comments.length} suggestion(s) below`];
+    }
+
+    return [
+      `- \`${placement.path}\`: changes lines outside this pull request's diff`,
+      '',
+      '  <details><summary>Patch</summary>',
+      '',
+      '  ```diff',
+      ...fixes[index].patch
+        .trim()
+        .split('\n')
+        .map((line) => `  ${line}`),
+      '  ```',
+      '',
+      '  </details>',
+    ];
+  });
+
+  return [
+    '🤖 Suggested fixes for the failing tests.',
+    '',
+    '## Failing tests',
+    '',
+    ...formatFailureList(result.failures),
+    '',
+    '## Fixes',
+    '',
+    ...fileLines,
+    '',
+    '## Details',
+    '',
+    ...formatRunDetails(result.fixes),
+  ].join('\n');
+};
+
+// ============================================================================
+// SIDE EFFECTS - GitHub API (Isolated)
+// ============================================================================
+
+/**
+ * Post the successful fixes of a CI run as a pull request review
+ * @param {Object} client - Octokit client
+ * @param {Object} request - Review details
+ * @param {string} request.owner - Repository owner
+ * @param {string} request.repo - Repository name
+ * @param {number} request.pullNumber - Pull request number
+ * @param {string} request.commitId - Head commit the fixes were made against
+ * @param {Object} request.result - CI result (fixes and failures)
+ * @returns {Promise<Object>} Frozen object with id, url, suggestions and attachments
+ */
+export const postReview = async (client, request) => {
+  const { owner, repo, pullNumber, commitId, result } = request;
+
+  const files = await client.paginate(client.pulls.listFiles, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const patches = Object.fromEntries(files.map((file) => [file.filename, file.patch]));
+
+  const placements = result.fixes
+    .filter((fix) => fix.success)
+    .map((fix) => placeSuggestions(fix, patches[repoPath(fix.filename)]));
+  const comments = placements.flatMap((placement) => placement.comments);
+
+  const { data: review } = await client.pulls.createReview({
+    owner,
+    repo,
+    pull_number: pullNumber,
+    commit_id: commitId,
+    event: 'COMMENT',
+    body: buildReviewSummary(result, placements),
+    comments,
+  });
+
+  return Object.freeze({
+    id: review.id,
+    url: review.html_url,
+    suggestions: comments.length,
+    attachments: placements.filter((placement) => placement.fallback).length,
+  });
+};
@@ -0,0 +1,170 @@
+/**
+ * Source Maps - Functional Programming Implementation
+ *
+ * Maps stack frames in built output (dist/, transpiled TypeScript) back to the
+ * original source file and line through adjacent .map files or inline source
+ * maps, so fixes are made to real sources rather than generated code.
+ * Implements strict functional programming principles:
+ * - Pure functions for locating and decoding source maps
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for reading generated files
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { SourceMap } from 'node:module';
+import { dirname, isAbsolute, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE_MAPPING_URL_PATTERN = /[#@]\s*sourceMappingURL=(\S+?)\s*(?:\*\/)?\s*$/gm;
+
+const INLINE_MAP_PREFIX = /^data:application\/json;(?:charset=[\w-]+;)?base64,/;
+
+// ============================================================================
+// PURE FUNCTIONS - Source Map Lookup
+// ============================================================================
+
+/**
+ * Extract the source map reference from generated code
+ * @param {string} code - Generated file contents
+ * @returns {string|null} Last sourceMappingURL value, or null
+ */
+export const extractSourceMappingURL = (code) => {
+  const matches = Array.from(code.matchAll(SOURCE_MAPPING_URL_PATTERN));
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+};
+
+/**
+ * Decode an inline (data: URL) source map
+ * @param {string} url - sourceMappingURL value
+ * @returns {Object|null} Source map payload, or null if the URL is not an inline map
+ */
+export const decodeInlineSourceMap = (url) => {
+  if (!INLINE_MAP_PREFIX.test(url)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(url.replace(INLINE_MAP_PREFIX, ''), 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Resolve a source listed in a source map to a file path
+ * @param {string} source - Entry of the map's sources
+ * @param {Object} payload - Source map payload (for sourceRoot)
+ * @param {string} mapDir - Directory the map's paths are relative to
+ * @returns {string} Absolute source path
+ */
+export const resolveMapSource = (source, payload, mapDir) => {
+  if (source.startsWith('file://')) {
+    return fileURLToPath(source);
+  }
+
+  if (isAbsolute(source)) {
+    return source;
+  }
+
+  return resolve(mapDir, payload.sourceRoot || '', source);
+};
+
+/**
+ * Map a 1-based generated position to its original position
+ * @param {Object} sourceMap - Loaded source map with payload, sourceMap and dir
+ * @param {number} line - 1-based generated line
+ * @param {number} column - 1-based generated column
+ * @returns {Object|null} Frozen original position with file, line and column, or null
+ */
+export const findOriginalPosition = (sourceMap, line, column) => {
+  const entry = sourceMap.sourceMap.findEntry(line - 1, Math.max(0, column - 1));
+
+  if (!entry?.originalSource) {
+    return null;
+  }
+
+  return Object.freeze({
+    file: resolveMapSource(entry.originalSource, sourceMap.payload, sourceMap.dir),
+    line: entry.originalLine + 1,
+    column: entry.originalColumn + 1,
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Generated Files (Isolated)
+// ============================================================================
+
+/**
+ * Load the source map of a generated file
+ *
+ * Inline maps and sourceMappingURL references are tried first, then an
+ * adjacent "<file>.map".
+ * @param {string} file - Absolute path of a possibly generated file
+ * @returns {Object|null} Frozen source map with payload, sourceMap and dir, or null
+ */
+export const loadSourceMap = (file) => {
+  if (!existsSync(file)) {
+    return null;
+  }
+
+  const url = extractSourceMappingURL(readFileSync(file, 'utf8'));
+  const inline = url ? decodeInlineSourceMap(url) : null;
+  const mapFile = url && !inline ? resolve(dirname(file), url) : `${file}.map`;
+
+  try {
+    const payload = inline ?? JSON.parse(readFileSync(mapFile, 'utf8'));
+    return Object.freeze({
+      payload,
+      sourceMap: new SourceMap(payload),
+      dir: inline ? dirname(file) : dirname(mapFile),
+    });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a frame mapper that resolves generated frames to their original source
+ *
+ * Source maps are loaded once per file. Frames in generated files whose
+ * position is not covered by the map resolve to null so that generated code
+ * is never chosen for a fix.
+ * @param {Object} options - Mapper options
+ * @param {string} [options.rootDir] - Directory relative frame paths are resolved against
+ * @returns {Object} Frozen mapper with mapFrame(frame) and isGenerated(file)
+ */
+export const createSourceMapResolver = (options = {}) => {
+  const rootDir = options.rootDir || process.cwd();
+  const cache = new Map();
+
+  const getSourceMap = (file) => {
+    const path = resolve(rootDir, file);
+
+    if (!cache.has(path)) {
+      cache.set(path, loadSourceMap(path));
+    }
+
+    return cache.get(path);
+  };
+
+  /**
+   * Map a stack frame to its original source
+   * @param {Object} frame - Parsed stack frame
+   * @returns {Object|null} Original frame (with generatedFile), the frame itself, or null
+   */
+  const mapFrame = (frame) => {
+    const sourceMap = getSourceMap(frame.file);
+
+    if (!sourceMap) {
+      return frame;
+    }
+
+    const original = findOriginalPosition(sourceMap, frame.line, frame.column);
+    return original ? Object.freeze({ ...frame, ...original, generatedFile: frame.file }) : null;
+  };
+
+  return Object.freeze({
+    mapFrame,
+    isGenerated: (file) => getSourceMap(file) !== null,
+  });
+};
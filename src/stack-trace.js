@@ -0,0 +1,228 @@
+/**
+ * Stack Trace Parsing - Functional Programming Implementation
+ *
+ * Parses V8, Vitest, Python, Go and Rust stack frames into file, line,
+ * column and function, and picks the frames that point at source files worth
+ * fixing.
+ * Implements strict functional programming principles:
+ * - Pure functions for frame parsing, path resolution and glob matching
+ * - Immutability with Object.freeze()
+ */
+
+import { isAbsolute, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { languageExcludeGlobs } from './languages.js';
+
+/**
+ * Paths (relative to the repository root) never treated as files to fix
+ */
+export const DEFAULT_EXCLUDE_GLOBS = Object.freeze([
+  '**/test/**',
+  '**/tests/**',
+  ...languageExcludeGlobs(),
+]);
+
+// "at fn (location)" or "at location"
+const V8_FRAME_PATTERN = /^\s*at\s+(?:(.+?)\s+\((.+)\)|(.+?))\s*$/;
+
+// Vitest code frames: "❯ fn src/file.ts:3:9" or "❯ src/file.ts:3:9"
+const VITEST_FRAME_PATTERN = /^\s*❯\s+(?:(\S+)\s+)?(\S+:\d+:\d+)\s*$/;
+
+const LOCATION_PATTERN = /^(.*):(\d+):(\d+)$/;
+
+// Frames of other languages; Rust backtraces ("at ./src/lib.rs:3:9") already match V8 frames
+const LANGUAGE_FRAME_PATTERNS = Object.freeze([
+  // Python traceback: File "app/cart.py", line 3, in total
+  /^\s*File "(?<file>[^"]+)", line (?<line>\d+)(?:, in (?<name>\S+))?/,
+  // pytest: app/cart.py:3: in total / app/cart.py:3: ValueError
+  /^\s*(?<file>[^\s:]+\.py):(?<line>\d+):(?:\s+in\s+(?<name>\S+))?/,
+  // Go: /repo/cart.go:9 +0x29 (panics) / cart_test.go:7: message (t.Errorf)
+  /^\s*(?<file>[^\s:]+\.go):(?<line>\d+)(?::|\s+\+0x[\da-f]+\s*$|\s*$)/,
+  // Rust: thread 'tests::total' panicked at src/lib.rs:16:9:
+  /\bpanicked at (?:'.*', )?(?<file>[^\s:]+):(?<line>\d+):(?<column>\d+)/,
+]);
+
+// ============================================================================
+// PURE FUNCTIONS - Frame Parsing
+// ============================================================================
+
+/**
+ * Check whether a frame location belongs to the runtime itself rather than a file
+ * @param {string} file - Frame file
+ * @returns {boolean} True for node:, internal/, native, eval and Python <string> frames
+ */
+export const isInternalFrameFile = (file) => {
+  return (
+    file.startsWith('node:') ||
+    file.startsWith('internal/') ||
+    file === 'native' ||
+    file.includes('<anonymous>') ||
+    /^<.*>$/.test(file)
+  );
+};
+
+/**
+ * Normalize a frame file: decode file:// URLs and drop bundler query strings
+ * @param {string} file - Frame file as printed in the stack
+ * @returns {string} File path
+ */
+export const normalizeFrameFile = (file) => {
+  if (!file.startsWith('file://')) {
+    return file.replace(/\?.*$/, '');
+  }
+
+  try {
+    return fileURLToPath(file.replace(/\?.*$/, ''));
+  } catch {
+    return file;
+  }
+};
+
+/**
+ * Build a frame
+ * @param {string|null|undefined} name - Function name
+ * @param {string} file - Frame file as printed in the stack
+ * @param {string} line - Line number
+ * @param {string} [column] - Column number (absent in Python and Go frames)
+ * @returns {Object} Frozen frame
+ */
+const createFrameAt = (name, file, line, column) => {
+  const normalized = normalizeFrameFile(file);
+
+  return Object.freeze({
+    function: name || null,
+    file: normalized,
+    line: Number(line),
+    column: column ? Number(column) : null,
+    internal: isInternalFrameFile(normalized),
+  });
+};
+
+/**
+ * Build a frame from a function name and a "file:line:column" location
+ * @param {string|undefined} name - Function name
+ * @param {string} location - Frame location
+ * @returns {Object|null} Frozen frame, or null if the location has no position
+ */
+const createFrame = (name, location) => {
+  const match = location.match(LOCATION_PATTERN);
+  return match ? createFrameAt(name, match[1], match[2], match[3]) : null;
+};
+
+/**
+ * Parse a stack frame of a language other than JavaScript
+ * @param {string} line - Stack trace line
+ * @returns {Object|null} Frozen frame, or null
+ */
+const parseLanguageFrame = (line) => {
+  for (const pattern of LANGUAGE_FRAME_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) {
+      const { name, file, line: number, column } = match.groups;
+      return createFrameAt(name, file, number, column);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a single stack trace line
+ * @param {string} line - Stack trace line
+ * @returns {Object|null} Frozen frame with function, file, line, column (null if unknown) and internal, or null
+ */
+export const parseStackFrame = (line) => {
+  const v8 = line.match(V8_FRAME_PATTERN);
+
+  if (v8) {
+    return v8[2] ? createFrame(v8[1], v8[2]) : createFrame(null, v8[3]);
+  }
+
+  const vitest = line.match(VITEST_FRAME_PATTERN);
+  return vitest ? createFrame(vitest[1], vitest[2]) : parseLanguageFrame(line);
+};
+
+/**
+ * Parse every stack frame in a block of text
+ * @param {string} text - Text containing stack traces
+ * @returns {Array<Object>} Frozen list of frames in order of appearance
+ */
+export const parseStackTrace = (text) => {
+  return Object.freeze(text.split('\n').map(parseStackFrame).filter(Boolean));
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Paths & Globs
+// ============================================================================
+
+/**
+ * Convert a glob into a regular expression
+ *
+ * Supports ** (any number of directories), * (within a path segment) and ?.
+ * @param {string} glob - Glob such as "**\/node_modules/**"
+ * @returns {RegExp} Anchored regular expression
+ */
+export const globToRegExp = (glob) => {
+  const source = glob
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Check whether a path matches any of the globs
+ * @param {string} path - Path relative to the repository root (forward slashes)
+ * @param {Array<string>} globs - Globs to match
+ * @returns {boolean} True if any glob matches
+ */
+export const matchesAnyGlob = (path, globs) => {
+  return globs.some((glob) => globToRegExp(glob).test(path));
+};
+
+/**
+ * Resolve a frame file to a path relative to the repository root
+ * @param {string} file - Frame file (absolute, or relative to the root)
+ * @param {string} rootDir - Repository root
+ * @returns {string|null} Path prefixed with "./", or null if it lies outside the root
+ */
+export const toRepoPath = (file, rootDir) => {
+  const path = relative(rootDir, resolve(rootDir, file));
+
+  if (!path || path.startsWith('..') || isAbsolute(path)) {
+    return null;
+  }
+
+  return `./${path.split(sep).join('/')}`;
+};
+
+/**
+ * Find the stack frames that point at source files inside the repository
+ * @param {string} text - Text containing stack traces
+ * @param {Object} options - Frame filtering options
+ * @param {string} [options.rootDir] - Repository root (defaults to the working directory)
+ * @param {Array<string>} [options.excludeGlobs] - Globs for files that are never fixed
+ * @param {Object} [options.sourceMapResolver] - Maps generated frames to their original source
+ * @returns {Array<Object>} Frozen list of frames with a repository-relative path
+ */
+export const findSourceFrames = (text, options = {}) => {
+  const rootDir = options.rootDir || process.cwd();
+  const excludeGlobs = options.excludeGlobs || DEFAULT_EXCLUDE_GLOBS;
+  const mapFrame = options.sourceMapResolver?.mapFrame ?? ((frame) => frame);
+
+  return Object.freeze(
+    parseStackTrace(text)
+      .filter((frame) => !frame.internal)
+      .map(mapFrame)
+      .filter(Boolean)
+      .map((frame) => Object.freeze({ ...frame, path: toRepoPath(frame.file, rootDir) }))
+      .filter((frame) => frame.path && !matchesAnyGlob(frame.path.slice(2), excludeGlobs))
+  );
+};
@@ -0,0 +1,865 @@
+/**
+ * Test Reporters - Functional Programming Implementation
+ *
+ * Parses structured test reporter output (vitest/jest JSON, mocha JSON,
+ * JUnit XML, TAP) and the console output of pytest, go test and cargo test
+ * into a normalized failure list, falling back to console text heuristics for
+ * unknown formats, and into per-test outcomes.
+ * Implements strict functional programming principles:
+ * - Pure functions for detection and parsing
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for reading report files
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile, rm } from 'node:fs/promises';
+import { isSourceFile } from './languages.js';
+
+/**
+ * Human-readable names of the supported report formats
+ */
+export const REPORT_FORMATS = Object.freeze({
+  'jest-json': 'Jest/Vitest JSON',
+  'mocha-json': 'Mocha JSON',
+  junit: 'JUnit XML',
+  tap: 'TAP',
+  pytest: 'pytest',
+  'go-test': 'Go',
+  'cargo-test': 'Cargo',
+  text: 'Console',
+});
+
+// Built at runtime to keep the escape character out of a regex literal
+const ANSI_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+// Console output of test runners for other languages, as [format, pattern]
+const CONSOLE_FORMAT_PATTERNS = Object.freeze([
+  ['pytest', /^={3,} (?:test session starts|FAILURES|ERRORS|short test summary info) ={3,}$/m],
+  ['go-test', /^(?:=== RUN\s|\s*--- (?:FAIL|PASS|SKIP): \S+ \(|(?:ok|FAIL)\t\S+)/m],
+  ['cargo-test', /^(?:running \d+ tests?|test result: (?:ok|FAILED)\.)/m],
+]);
+
+// JavaScript, Python, pytest/Go "file:line" and Rust panic frames
+const STACK_LINE_PATTERN =
+  /^\s*(?:at\s|❯\s|File "|[^\s:]+\.(?:py|go|rs):\d+|thread '[^']*' panicked at )/;
+
+/**
+ * Assertion message patterns with the capture group of the expected and received values
+ */
+const EXPECTED_RECEIVED_PATTERNS = Object.freeze([
+  // Jest/Vitest: "Expected: 5\nReceived: 4"
+  { pattern: /Expected[^:\n]*:\s*(.+)\n\s*Received[^:\n]*:\s*(.+)/, expected: 1, received: 2 },
+  // Chai/vitest style: "expected 4 to be 5"
+  {
+    pattern: /expected (.+?) to (?:be|equal|deeply equal|strictly equal|eql) (.+?)(?:\s+\/\/.*)?$/m,
+    expected: 2,
+    received: 1,
+  },
+  // pytest: "assert 4 == 5"
+  { pattern: /^assert (.+?) == (.+)$/m, expected: 2, received: 1 },
+  // Rust assert_eq!: "left: 4\n right: 5"
+  { pattern: /^\s*left: (.+)\n\s*right: (.+)$/m, expected: 2, received: 1 },
+  // Go conventions: "got 4, want 5" / "Total(2, 2) = 4, want 5"
+  { pattern: /(?:\bgot:?| =) (.+?),? want:? (.+)$/m, expected: 2, received: 1 },
+]);
+
+// ============================================================================
+// PURE FUNCTIONS - Normalization
+// ============================================================================
+
+/**
+ * Remove ANSI color codes from reporter output
+ * @param {string} text - Text that may contain color codes
+ * @returns {string} Plain text
+ */
+export const stripAnsi = (text = '') => text.replace(ANSI_PATTERN, '');
+
+/**
+ * Render an expected/received value as text
+ * @param {*} value - Value from a reporter
+ * @returns {string|null} Text, or null if absent
+ */
+const stringifyValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Split a failure message into the message and its stack frame lines
+ * @param {string} text - Failure text (message followed by stack)
+ * @returns {Object} Object with message and stack lines
+ */
+export const splitMessageAndStack = (text = '') => {
+  const lines = stripAnsi(text).split('\n');
+  const firstFrame = lines.findIndex((line) => STACK_LINE_PATTERN.test(line));
+  const messageLines = firstFrame === -1 ? lines : lines.slice(0, firstFrame);
+  const stack = lines.filter((line) => STACK_LINE_PATTERN.test(line)).map((line) => line.trim());
+
+  return { message: messageLines.join('\n').trim(), stack };
+};
+
+/**
+ * Extract expected and received values from an assertion message
+ * @param {string} message - Assertion message
+ * @returns {Object} Object with expected and received (null when not found)
+ */
+export const extractExpectedReceived = (message = '') => {
+  for (const { pattern, expected, received } of EXPECTED_RECEIVED_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) {
+      return { expected: match[expected].trim(), received: match[received].trim() };
+    }
+  }
+
+  return { expected: null, received: null };
+};
+
+/**
+ * Create a normalized test failure
+ * @param {Object} details - Failure details
+ * @param {string} details.name - Full test name
+ * @param {string|null} [details.file] - Test file
+ * @param {string} [details.text] - Failure message, possibly followed by a stack trace
+ * @param {*} [details.expected] - Expected value reported by the runner
+ * @param {*} [details.received] - Received value reported by the runner
+ * @param {string} [details.stack] - Separate stack trace
+ * @returns {Object} Frozen failure with name, file, message, expected, received and stack
+ */
+export const createFailure = ({ name, file = null, text = '', expected, received, stack }) => {
+  const split = splitMessageAndStack(text);
+  const stackLines = stack ? splitMessageAndStack(stack).stack : split.stack;
+  const fromMessage = extractExpectedReceived(split.message);
+
+  return Object.freeze({
+    name: name.trim(),
+    file: file || null,
+    message: split.message,
+    expected: stringifyValue(expected) ?? fromMessage.expected,
+    received: stringifyValue(received) ?? fromMessage.received,
+    stack: Object.freeze(stackLines),
+  });
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Format Parsers
+// ============================================================================
+
+/**
+ * Parse Jest or Vitest JSON reporter output
+ * @param {Object} report - Parsed JSON report
+ * @returns {Array<Object>} Failures
+ */
+export const parseJestJson = (report) => {
+  return report.testResults.flatMap((suite) => {
+    const failed = (suite.assertionResults || []).filter((test) => test.status === 'failed');
+
+    // A suite that fails to load has no assertion results, only a message
+    if (failed.length === 0 && suite.status === 'failed' && suite.message) {
+      return [
+        createFailure({ name: 'Test suite failed to run', file: suite.name, text: suite.message }),
+      ];
+    }
+
+    return failed.map((test) => {
+      const matcher = test.failureDetails?.find((detail) => detail?.matcherResult)?.matcherResult;
+
+      return createFailure({
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(' > '),
+        file: suite.name,
+        text: (test.failureMessages || []).join('\n'),
+        expected: matcher?.expected,
+        received: matcher?.actual,
+      });
+    });
+  });
+};
+
+/**
+ * Parse mocha JSON reporter output
+ * @param {Object} report - Parsed JSON report
+ * @returns {Array<Object>} Failures
+ */
+export const parseMochaJson = (report) => {
+  return report.failures.map((test) =>
+    createFailure({
+      name: test.fullTitle || test.title,
+      file: test.file,
+      text: test.err?.message || '',
+      expected: test.err?.expected,
+      received: test.err?.actual,
+      stack: test.err?.stack,
+    })
+  );
+};
+
+/**
+ * Decode XML entities and CDATA sections
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXml = (text = '') => {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Parse XML attributes
+ * @param {string} source - Attribute source of an element
+ * @returns {Object} Attribute values
+ */
+const parseXmlAttributes = (source = '') => {
+  return Object.fromEntries(
+    Array.from(source.matchAll(/([\w:-]+)="([^"]*)"/g), ([, key, value]) => [key, decodeXml(value)])
+  );
+};
+
+/**
+ * Check whether a JUnit name looks like a file path
+ * @param {string} name - Suite or class name
+ * @returns {boolean} True if it looks like a source file
+ */
+const looksLikeFile = (name = '') => isSourceFile(name);
+
+/**
+ * Parse a JUnit <testcase> element into a failure, if it failed
+ * @param {Object} attributes - Test case attributes
+ * @param {string} body - Test case body
+ * @param {Object} suite - Enclosing suite attributes
+ * @returns {Object|null} Failure, or null if the test passed
+ */
+const parseJUnitTestCase = (attributes, body, suite) => {
+  const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+  if (!failure) {
+    return null;
+  }
+
+  const failureAttributes = parseXmlAttributes(failure[2]);
+  const details = decodeXml(failure[3] || '').trim();
+  const file =
+    attributes.file ||
+    suite.file ||
+    [attributes.classname, suite.name].find((name) => looksLikeFile(name));
+
+  return createFailure({
+    name: attributes.name,
+    file,
+    text: details || failureAttributes.message || '',
+  });
+};
+
+/**
+ * Parse JUnit XML reporter output
+ * @param {string} xml - JUnit XML
+ * @returns {Array<Object>} Failures
+ */
+export const parseJUnitXml = (xml) => {
+  const failures = [];
+
+  for (const [, suiteSource, suiteBody] of xml.matchAll(
+    /<testsuite\b([^>]*)>([\s\S]*?)<\/testsuite>/g
+  )) {
+    const suite = parseXmlAttributes(suiteSource);
+
+    for (const [, caseSource, caseBody = ''] of suiteBody.matchAll(
+      /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g
+    )) {
+      const failure = parseJUnitTestCase(parseXmlAttributes(caseSource), caseBody, suite);
+      if (failure) failures.push(failure);
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Parse the YAML diagnostics block of a TAP test point
+ * @param {Array<string>} lines - Lines between "---" and "..."
+ * @returns {Object} Diagnostic values (strings)
+ */
+export const parseTapDiagnostics = (lines) => {
+  const values = {};
+  const indent = Math.min(...lines.filter((l) => l.trim()).map((l) => l.search(/\S/)));
+  let blockKey = null;
+
+  for (const line of lines) {
+    const depth = line.search(/\S/);
+
+    if (blockKey && (depth > indent || !line.trim())) {
+      values[blockKey] = `${values[blockKey]}${line.trim()}\n`;
+      continue;
+    }
+
+    blockKey = null;
+    const entry = line.match(/^\s*([\w-]+):\s*(.*)$/);
+    if (!entry || depth !== indent) continue;
+
+    const [, key, value] = entry;
+    if (/^[|>][-+]?$/.test(value)) {
+      blockKey = key;
+      values[key] = '';
+    } else {
+      values[key] = value.replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Collect the diagnostics lines that follow a TAP test point
+ * @param {Array<string>} lines - All TAP lines
+ * @param {number} index - Index of the test point line
+ * @returns {Array<string>} Diagnostics lines (empty if none)
+ */
+const collectTapBlock = (lines, index) => {
+  if (!/^\s*---\s*$/.test(lines[index + 1] || '')) {
+    return [];
+  }
+
+  const end = lines.findIndex((line, i) => i > index + 1 && /^\s*\.\.\.\s*$/.test(line));
+  return lines.slice(index + 2, end === -1 ? lines.length : end);
+};
+
+/**
+ * Parse TAP output (node:test, tape, node-tap)
+ * @param {string} tap - TAP output
+ * @returns {Array<Object>} Failures
+ */
+export const parseTap = (tap) => {
+  const lines = tap.split('\n');
+  const failures = [];
+
+  lines.forEach((line, index) => {
+    const point = line.match(/^\s*not ok \d+(?:\s*-)?\s*(.*?)\s*(#\s*(?:TODO|SKIP).*)?$/i);
+    if (!point || point[2]) return;
+
+    const diagnostics = parseTapDiagnostics(collectTapBlock(lines, index));
+
+    // node:test reports parent suites as failing when a subtest fails
+    if (diagnostics.failureType === 'subtestsFailed') return;
+
+    const location = diagnostics.location || diagnostics.at || '';
+    failures.push(
+      createFailure({
+        name: point[1],
+        file: location.replace(/^file:\/\//, '').replace(/(?::\d+){1,2}$/, '') || null,
+        text: diagnostics.error || diagnostics.message || '',
+        expected: diagnostics.expected ?? diagnostics.wanted,
+        received: diagnostics.actual ?? diagnostics.found,
+        stack: diagnostics.stack,
+      })
+    );
+  });
+
+  return failures;
+};
+
+/**
+ * Split "path::Class::test" pytest node IDs into file and display name
+ * @param {string} nodeId - pytest node ID
+ * @returns {Object} Object with file and name ("Class.test", as in pytest headers)
+ */
+const splitPytestNodeId = (nodeId) => {
+  const [file, ...parts] = nodeId.split('::');
+  return { file, name: parts.length > 0 ? parts.join('.') : file };
+};
+
+/**
+ * Collect the failure sections of pytest output ("____ test_name ____" blocks)
+ * @param {Array<string>} lines - Output lines
+ * @returns {Array<Object>} Sections with name and body lines
+ */
+const collectPytestSections = (lines) => {
+  const sections = [];
+  let inFailures = false;
+
+  for (const line of lines) {
+    if (/^={3,} .* ={3,}$/.test(line)) {
+      inFailures = /^=+ (?:FAILURES|ERRORS) =+$/.test(line);
+      continue;
+    }
+
+    const header = inFailures && line.match(/^_{3,} (.+?) _{3,}$/);
+    if (header) {
+      sections.push({ name: header[1], body: [] });
+    } else if (inFailures && sections.length > 0) {
+      sections[sections.length - 1].body.push(line);
+    }
+  }
+
+  return sections;
+};
+
+/**
+ * Parse pytest console output
+ *
+ * Failure sections provide the message ("E " lines) and the traceback
+ * locations; the short test summary provides the test file.
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Failures
+ */
+export const parsePytestOutput = (output) => {
+  const lines = stripAnsi(output).split('\n');
+  const summary = Array.from(
+    lines.join('\n').matchAll(/^(?:FAILED|ERROR) (\S+)(?: - (.*))?$/gm),
+    ([, nodeId, message = '']) => ({ ...splitPytestNodeId(nodeId), message })
+  );
+  const sections = collectPytestSections(lines);
+
+  if (sections.length === 0) {
+    return summary.map((entry) => createFailure({ ...entry, text: entry.message }));
+  }
+
+  return sections.map(({ name, body }) => {
+    const locations = body.filter((line) => /^[^\s:]+\.py:\d+:/.test(line));
+    const message = body
+      .filter((line) => /^E(?:\s|$)/.test(line))
+      .map((line) => line.replace(/^E {0,7}/, ''))
+      .join('\n');
+    const entry = summary.find((candidate) => candidate.name === name);
+
+    return createFailure({
+      name,
+      file: entry?.file ?? locations[0]?.replace(/:\d+:.*$/, '') ?? null,
+      text: message || entry?.message || '',
+      stack: locations.join('\n'),
+    });
+  });
+};
+
+/**
+ * Collect the output of each failing Go test
+ *
+ * Verbose output prints a test's log between "=== RUN" and "--- FAIL";
+ * plain output prints it after "--- FAIL".
+ * @param {Array<string>} lines - Output lines
+ * @returns {Map<string, Array<string>>} Failing test name → output lines
+ */
+const collectGoTestOutput = (lines) => {
+  const output = new Map();
+  const failed = [];
+  let current = null;
+
+  for (const line of lines) {
+    const run = line.match(/^=== (?:RUN|CONT)\s+(\S+)/);
+    const result = line.match(/^\s*--- (FAIL|PASS|SKIP): (\S+) \(/);
+    const failedTest = result?.[1] === 'FAIL' ? result[2] : null;
+
+    if (failedTest) failed.push(failedTest);
+
+    // Package summaries ("FAIL\texample.com/cart") end the output of the last test
+    if (run || result || /^(?:FAIL|ok|PASS)(?:\t|$)/.test(line)) {
+      current = run?.[1] ?? failedTest;
+    } else if (current) {
+      output.set(current, [...(output.get(current) || []), line]);
+    }
+  }
+
+  return new Map(failed.map((name) => [name, output.get(name) || []]));
+};
+
+/**
+ * Parse go test console output (plain or -v)
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Failures
+ */
+export const parseGoTestOutput = (output) => {
+  const tests = collectGoTestOutput(stripAnsi(output).split('\n'));
+  const names = [...tests.keys()];
+
+  return (
+    names
+      // A parent test fails whenever one of its subtests fails
+      .filter((name) => !names.some((other) => other.startsWith(`${name}/`)))
+      .map((name) => {
+        const lines = tests.get(name);
+        const goroutine = lines.findIndex((line) => /^goroutine \d+ \[/.test(line));
+        const messageLines = goroutine === -1 ? lines : lines.slice(0, goroutine);
+        const testFile = lines.join('\n').match(/([^\s:]+_test\.go):\d+/);
+
+        return createFailure({
+          name,
+          file: testFile?.[1] ?? null,
+          text: messageLines
+            .map((line) => line.trim().replace(/^[^\s:]+\.go:\d+:\s*/, ''))
+            .filter(Boolean)
+            .join('\n'),
+          stack: lines.filter((line) => /^\s*[^\s:]+\.go:\d+/.test(line)).join('\n'),
+        });
+      })
+  );
+};
+
+/**
+ * Parse cargo test console output
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Failures
+ */
+export const parseCargoTestOutput = (output) => {
+  const lines = stripAnsi(output).split('\n');
+  const sections = [];
+
+  for (const line of lines) {
+    const header = line.match(/^---- (.+?) stdout ----$/);
+    if (header) {
+      sections.push({ name: header[1], body: [] });
+    } else if (/^(?:failures:|test result:)/.test(line)) {
+      sections.push(null);
+    } else if (sections.at(-1)) {
+      sections.at(-1).body.push(line);
+    }
+  }
+
+  return sections.filter(Boolean).map(({ name, body }) => {
+    const panic = body.find((line) => /\bpanicked at\b/.test(line)) || '';
+    const inlineMessage = panic.match(/panicked at '(.*)', /)?.[1];
+    const backtrace = body.findIndex((line) => /^stack backtrace:/.test(line));
+    const message = (backtrace === -1 ? body : body.slice(0, backtrace)).filter(
+      (line) => line.trim() && line !== panic && !/^note: /.test(line)
+    );
+
+    return createFailure({
+      name,
+      file: panic.match(/panicked at (?:'.*', )?([^\s:]+):\d+:\d+/)?.[1] ?? null,
+      text: [inlineMessage, ...message].filter(Boolean).join('\n'),
+      stack: [panic, ...body.filter((line) => /^\s+at\s/.test(line))].join('\n'),
+    });
+  });
+};
+
+/**
+ * Parse console output of jest/vitest with text heuristics
+ * @param {string} output - Console output
+ * @returns {Array<Object>} Failures (one per failure block, or one for the whole output)
+ */
+export const parseTextOutput = (output) => {
+  const lines = stripAnsi(output).split('\n');
+  const blocks = [];
+  let currentFile = null;
+
+  for (const line of lines) {
+    const header = line.match(/^\s*(?:●|FAIL)\s+(.+?)\s*$/);
+
+    if (header && !/^Console$/.test(header[1])) {
+      // Jest prints "FAIL <file>" before the "● Suite › test" blocks of that file
+      const [first] = header[1].split(/\s+/);
+      currentFile = looksLikeFile(first) ? first : currentFile;
+      blocks.push({ header: header[1], file: currentFile, body: [] });
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].body.push(line);
+    }
+  }
+
+  const failures = blocks
+    .filter((block) => /\s[>›]\s/.test(block.header))
+    .map((block) => {
+      const [first, ...rest] = block.header.split(/\s+[>›]\s+/);
+      const inHeader = looksLikeFile(first);
+
+      return createFailure({
+        name: (inHeader ? rest : [first, ...rest]).join(' > '),
+        file: inHeader ? first : block.file,
+        text: block.body.join('\n'),
+      });
+    });
+
+  if (failures.length > 0) {
+    return failures;
+  }
+
+  const errorLines = lines.filter((line) => /Error|Expected|Received|^\s*at\s/.test(line));
+  return errorLines.length > 0
+    ? [createFailure({ name: 'Test run failed', text: errorLines.join('\n') })]
+    : [];
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Detection
+// ============================================================================
+
+/**
+ * Try to parse a report as JSON
+ * @param {string} content - Report content
+ * @returns {Object|null} Parsed object, or null
+ */
+const tryParseJson = (content) => {
+  if (!content.startsWith('{')) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Detect the format of test reporter output
+ * @param {string} content - Reporter output
+ * @returns {string} Format key (see REPORT_FORMATS)
+ */
+export const detectReportFormat = (content = '') => {
+  const trimmed = content.trim();
+  const json = tryParseJson(trimmed);
+
+  if (Array.isArray(json?.testResults)) return 'jest-json';
+  if (Array.isArray(json?.failures) && json.stats) return 'mocha-json';
+  if (/^(?:<\?xml[^>]*>\s*)?<testsuites?\b/.test(trimmed)) return 'junit';
+  if (/^(?:TAP version \d+|\d+\.\.\d+|(?:not )?ok \d+)/m.test(trimmed)) return 'tap';
+  return CONSOLE_FORMAT_PATTERNS.find(([, pattern]) => pattern.test(trimmed))?.[0] ?? 'text';
+};
+
+/**
+ * Parse test reporter output into a normalized failure list
+ * @param {string} content - Reporter output (any supported format)
+ * @returns {Object} Frozen report with format and failures
+ */
+export const parseTestReport = (content = '') => {
+  const format = detectReportFormat(content);
+  const trimmed = content.trim();
+
+  const parsers = {
+    'jest-json': () => parseJestJson(JSON.parse(trimmed)),
+    'mocha-json': () => parseMochaJson(JSON.parse(trimmed)),
+    junit: () => parseJUnitXml(trimmed),
+    tap: () => parseTap(content),
+    pytest: () => parsePytestOutput(content),
+    'go-test': () => parseGoTestOutput(content),
+    'cargo-test': () => parseCargoTestOutput(content),
+    text: () => parseTextOutput(content),
+  };
+
+  return Object.freeze({ format, failures: Object.freeze(parsers[format]()) });
+};
+
+/**
+ * Format failures as error context for a fix prompt
+ * @param {Array<Object>} failures - Normalized failures
+ * @returns {string} Readable failure summary
+ */
+export const formatFailures = (failures) => {
+  return failures
+    .map((failure) =>
+      [
+        `✕ ${failure.name}${failure.file ? ` (${failure.file})` : ''}`,
+        failure.message && `  ${failure.message.split('\n').join('\n  ')}`,
+        failure.expected !== null && `  Expected: ${failure.expected}`,
+        failure.received !== null && `  Received: ${failure.received}`,
+        ...failure.stack.map((frame) => `    ${frame}`),
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n\n');
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Test Outcomes
+// ============================================================================
+
+/**
+ * Key identifying a test across runs
+ * @param {string|null|undefined} file - Test file
+ * @param {string} name - Test name
+ * @returns {string} "file > name", or the name alone without a file
+ */
+export const outcomeKey = (file, name) => (file ? `${file} > ${name}` : name);
+
+/**
+ * Normalize a reporter status to passed, failed or skipped
+ * @param {string} status - Reporter status
+ * @returns {string} Normalized outcome
+ */
+const normalizeStatus = (status) => {
+  if (status === 'passed' || status === 'failed') {
+    return status;
+  }
+
+  // pending, skipped, todo, disabled
+  return 'skipped';
+};
+
+/**
+ * Collect per-test outcomes from Jest or Vitest JSON
+ * @param {Object} report - Parsed JSON report
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const jestOutcomes = (report) => {
+  return report.testResults.flatMap((suite) =>
+    (suite.assertionResults || []).map((test) => [
+      outcomeKey(
+        suite.name,
+        test.fullName || [...(test.ancestorTitles || []), test.title].join(' > ')
+      ),
+      normalizeStatus(test.status),
+    ])
+  );
+};
+
+/**
+ * Collect per-test outcomes from mocha JSON
+ * @param {Object} report - Parsed JSON report
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const mochaOutcomes = (report) => {
+  const entries = (tests, outcome) =>
+    (tests || []).map((test) => [outcomeKey(test.file, test.fullTitle || test.title), outcome]);
+
+  return [
+    ...entries(report.passes, 'passed'),
+    ...entries(report.pending, 'skipped'),
+    ...entries(report.failures, 'failed'),
+  ];
+};
+
+/**
+ * Collect per-test outcomes from JUnit XML
+ * @param {string} xml - JUnit XML
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const junitOutcomes = (xml) => {
+  return Array.from(
+    xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g),
+    ([, source, body = '']) => {
+      const attributes = parseXmlAttributes(source);
+      const outcome = /<(?:failure|error)\b/.test(body)
+        ? 'failed'
+        : /<skipped\b/.test(body)
+          ? 'skipped'
+          : 'passed';
+
+      return [outcomeKey(attributes.file || attributes.classname, attributes.name), outcome];
+    }
+  );
+};
+
+/**
+ * Collect per-test outcomes from TAP
+ * @param {string} tap - TAP output
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const tapOutcomes = (tap) => {
+  return Array.from(
+    tap.matchAll(/^\s*(not )?ok \d+(?:\s*-)?\s*(.*?)\s*(#\s*(?:TODO|SKIP).*)?$/gim),
+    ([, notOk, name, directive]) => {
+      if (directive) return [name, 'skipped'];
+      return [name, notOk ? 'failed' : 'passed'];
+    }
+  );
+};
+
+/**
+ * Collect per-test outcomes from verbose pytest output ("path::test PASSED")
+ * @param {string} output - Console output
+ * @returns {Array<Array<string>>|null} [key, outcome] pairs, or null without -v
+ */
+const pytestOutcomes = (output) => {
+  const outcomes = { PASSED: 'passed', XPASS: 'passed', FAILED: 'failed', ERROR: 'failed' };
+  const entries = Array.from(
+    stripAnsi(output).matchAll(/^(\S+::\S+) (PASSED|FAILED|SKIPPED|XFAIL|XPASS|ERROR)\b/gm),
+    ([, nodeId, status]) => {
+      const { file, name } = splitPytestNodeId(nodeId);
+      return [outcomeKey(file, name), outcomes[status] ?? 'skipped'];
+    }
+  );
+
+  return entries.length > 0 ? entries : null;
+};
+
+/**
+ * Collect per-test outcomes from go test output (passing tests need -v)
+ * @param {string} output - Console output
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const goTestOutcomes = (output) => {
+  const outcomes = { PASS: 'passed', FAIL: 'failed', SKIP: 'skipped' };
+  return Array.from(
+    stripAnsi(output).matchAll(/^\s*--- (FAIL|PASS|SKIP): (\S+) \(/gm),
+    ([, status, name]) => [name, outcomes[status]]
+  );
+};
+
+/**
+ * Collect per-test outcomes from cargo test output
+ * @param {string} output - Console output
+ * @returns {Array<Array<string>>} [key, outcome] pairs
+ */
+const cargoTestOutcomes = (output) => {
+  const outcomes = { ok: 'passed', FAILED: 'failed', ignored: 'skipped' };
+  return Array.from(
+    stripAnsi(output).matchAll(/^test (.+?) \.\.\. (ok|FAILED|ignored)\b/gm),
+    ([, name, status]) => [name, outcomes[status]]
+  );
+};
+
+/**
+ * Parse per-test outcomes (passed, failed, skipped) from reporter output
+ *
+ * Console output does not list passing tests reliably, so it yields no
+ * outcomes (nor does pytest output without -v).
+ * @param {string} content - Reporter output (any supported format)
+ * @returns {Object} Frozen result with format and outcomes (test key → outcome), or null outcomes
+ */
+export const parseTestOutcomes = (content = '') => {
+  const format = detectReportFormat(content);
+  const trimmed = content.trim();
+
+  const collectors = {
+    'jest-json': () => jestOutcomes(JSON.parse(trimmed)),
+    'mocha-json': () => mochaOutcomes(JSON.parse(trimmed)),
+    junit: () => junitOutcomes(trimmed),
+    tap: () => tapOutcomes(content),
+    pytest: () => pytestOutcomes(content),
+    'go-test': () => goTestOutcomes(content),
+    'cargo-test': () => cargoTestOutcomes(content),
+    text: () => null,
+  };
+
+  const entries = collectors[format]();
+
+  return Object.freeze({
+    format,
+    outcomes: entries ? Object.freeze(Object.fromEntries(entries)) : null,
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Report Files (Isolated)
+// ============================================================================
+
+/**
+ * Read a reporter output file
+ * @param {string|undefined} path - Report path
+ * @returns {Promise<string|null>} File contents, or null if not configured or missing
+ */
+export const readReportFile = async (path) => {
+  if (!path || !existsSync(path)) {
+    return null;
+  }
+
+  return await readFile(path, 'utf8');
+};
+
+/**
+ * Remove a reporter output file before a run
+ *
+ * A run that crashes before writing its report must not be read as the
+ * report an earlier run left behind.
+ * @param {string|undefined} path - Report path
+ * @returns {Promise<void>}
+ */
+export const removeReportFile = async (path) => {
+  if (path) {
+    await rm(path, { force: true });
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Test Runner - Functional Programming Implementation
+ *
+ * Runs test commands with a timeout, bounded output capture and optional
+ * live streaming, so a fix that hangs or floods the console cannot stall CI.
+ * Implements strict functional programming principles:
+ * - Pure functions for output capture and result shaping
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for process management
+ */
+
+import { spawn } from 'node:child_process';
+
+/**
+ * Default time a test command may run before it is killed (10 minutes)
+ */
+export const DEFAULT_TEST_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Default number of characters captured per stream (1 MB)
+ */
+export const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+
+// ============================================================================
+// PURE FUNCTIONS - Output Capture
+// ============================================================================
+
+/**
+ * Create an empty output capture
+ * @returns {Object} Frozen capture with text and dropped character count
+ */
+export const createCapture = () => Object.freeze({ text: '', dropped: 0 });
+
+/**
+ * Append a chunk to a capture, keeping only the last maxOutput characters
+ * @param {Object} capture - Current capture
+ * @param {string} chunk - Output chunk
+ * @param {number} maxOutput - Maximum characters to keep
+ * @returns {Object} Frozen updated capture
+ */
+export const appendToCapture = (capture, chunk, maxOutput = DEFAULT_MAX_OUTPUT) => {
+  const text = capture.text + chunk;
+  const overflow = Math.max(0, text.length - maxOutput);
+
+  return Object.freeze({
+    text: overflow > 0 ? text.slice(overflow) : text,
+    dropped: capture.dropped + overflow,
+  });
+};
+
+/**
+ * Render a capture, noting how much output was dropped
+ * @param {Object} capture - Output capture
+ * @returns {string} Captured text
+ */
+export const renderCapture = (capture) => {
+  if (capture.dropped === 0) {
+    return capture.text;
+  }
+
+  return `... (${capture.dropped} characters of output dropped)\n${capture.text}`;
+};
+
+/**
+ * Create the result of a finished test command
+ * @param {Object} outcome - Process outcome
+ * @param {number|null} outcome.exitCode - Exit code (null if killed)
+ * @param {boolean} outcome.timedOut - Whether the command was killed for running too long
+ * @param {number} outcome.timeout - Timeout that applied, in milliseconds
+ * @param {Object} outcome.stdout - stdout capture
+ * @param {Object} outcome.stderr - stderr capture
+ * @param {Error} [outcome.spawnError] - Error raised while starting the command
+ * @returns {Object} Frozen test result
+ */
+export const createTestRunResult = ({
+  exitCode,
+  timedOut,
+  timeout,
+  stdout,
+  stderr,
+  spawnError,
+}) => {
+  const output = renderCapture(stdout);
+  const truncated = stdout.dropped > 0 || stderr.dropped > 0;
+
+  if (exitCode === 0 && !timedOut && !spawnError) {
+    return Object.freeze({ success: true, output, timedOut: false, exitCode, truncated });
+  }
+
+  const reason = timedOut
+    ? `Test command timed out after ${timeout}ms and was killed`
+    : spawnError?.message;
+  const error = [reason, renderCapture(stderr)].filter(Boolean).join('\n');
+
+  return Object.freeze({
+    success: false,
+    output,
+    error: error || `Test command exited with code ${exitCode}`,
+    timedOut,
+    exitCode,
+    truncated,
+  });
+};
+
+// ============================================================================
+// SIDE EFFECTS - Process Management (Isolated)
+// ============================================================================
+
+/**
+ * Kill a child process and everything it started
+ * @param {ChildProcess} child - Process started with detached: true (POSIX)
+ */
+export const killProcessTree = (child) => {
+  if (!child.pid) {
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+
+  try {
+    // Negative pid targets the whole process group created by detached: true
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+};
+
+/**
+ * Run a test command
+ * @param {string} command - Test command to run (through the shell)
+ * @param {Object} options - Run options
+ * @param {string} [options.cwd] - Directory to run the tests in
+ * @param {number} [options.timeout] - Milliseconds before the process tree is killed
+ * @param {number} [options.maxOutput] - Maximum characters captured per stream
+ * @param {boolean} [options.stream] - Also write output to the console as it arrives
+ * @returns {Promise<Object>} Test result with success, output, error, timedOut and exitCode
+ */
+export const runTests = (command, options = {}) => {
+  const timeout = options.timeout || DEFAULT_TEST_TIMEOUT;
+  const maxOutput = options.maxOutput || DEFAULT_MAX_OUTPUT;
+
+  return new Promise((resolvePromise) => {
+    let stdout = createCapture();
+    let stderr = createCapture();
+    let timedOut = false;
+    let spawnError;
+
+    const child = spawn(command, {
+      cwd: options.cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child);
+    }, timeout);
+
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+
+    child.stdout.on('data', (chunk) => {
+      stdout = appendToCapture(stdout, chunk, maxOutput);
+      if (options.stream) process.stdout.write(chunk);
+    });
+
+    child.stderr.on('data', (chunk) => {
+      stderr = appendToCapture(stderr, chunk, maxOutput);
+      if (options.stream) process.stderr.write(chunk);
+    });
+
+    const settle = (exitCode) => {
+      clearTimeout(timer);
+      resolvePromise(
+        createTestRunResult({ exitCode, timedOut, timeout, stdout, stderr, spawnError })
+      );
+    };
+
+    // A command that cannot be started emits 'error' without a 'close'
+    child.on('error', (error) => {
+      spawnError = error;
+      if (!child.pid) settle(null);
+    });
+
+    child.on('close', settle);
+  });
+};
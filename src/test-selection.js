@@ -0,0 +1,261 @@
+/**
+ * Test Selection - Functional Programming Implementation
+ *
+ * Finds the tests related to a file being fixed so each attempt can run a
+ * targeted test command before (optionally) confirming with the full suite.
+ * Implements strict functional programming principles:
+ * - Pure functions for import analysis and command rendering
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for directory traversal
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { dirname, join, relative, resolve } from 'node:path';
+
+/**
+ * Default pattern for recognizing test files
+ */
+export const TEST_FILE_PATTERN = /(?:\.(?:test|spec)\.[cm]?[jt]sx?$)|(?:(?:^|\/)__tests__\/)/;
+
+/**
+ * Directories never searched for test files
+ */
+export const IGNORED_DIRECTORIES = Object.freeze([
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+]);
+
+// ============================================================================
+// PURE FUNCTIONS - Import Analysis
+// ============================================================================
+
+/**
+ * Extract module specifiers from import, export-from, require and dynamic import statements
+ * @param {string} code - Source code
+ * @returns {Array<string>} Frozen list of specifiers
+ */
+export const extractImportSpecifiers = (code) => {
+  const pattern =
+    /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|\bvi\.mock\s*\(\s*|\bjest\.mock\s*\(\s*)['"]([^'"]+)['"]/g;
+
+  return Object.freeze(Array.from(code.matchAll(pattern), (match) => match[1]));
+};
+
+/**
+ * Normalize a module path so extension-less and index imports compare equal
+ * @param {string} path - Absolute module path
+ * @returns {string} Normalized path
+ */
+const normalizeModulePath = (path) => path.replace(/\.[cm]?[jt]sx?$/, '').replace(/\/index$/, '');
+
+/**
+ * Check whether a test file imports the target file
+ * @param {string} testFile - Test file path (relative to rootDir)
+ * @param {string} code - Test file source
+ * @param {string} targetFile - File being fixed (relative to rootDir)
+ * @param {string} rootDir - Repository root
+ * @returns {boolean} True if the test imports the target
+ */
+export const importsTarget = (testFile, code, targetFile, rootDir = process.cwd()) => {
+  const target = normalizeModulePath(resolve(rootDir, targetFile));
+  const testDir = dirname(resolve(rootDir, testFile));
+
+  return extractImportSpecifiers(code)
+    .filter((specifier) => specifier.startsWith('.'))
+    .some((specifier) => normalizeModulePath(resolve(testDir, specifier)) === target);
+};
+
+/**
+ * Find test files that import the target file
+ * @param {string} targetFile - File being fixed
+ * @param {Array<Object>} testSources - Array of {file, code}
+ * @param {string} rootDir - Repository root
+ * @returns {Array<string>} Frozen list of related test files
+ */
+export const findRelatedTestFiles = (targetFile, testSources, rootDir = process.cwd()) => {
+  return Object.freeze(
+    testSources
+      .filter(({ file, code }) => importsTarget(file, code, targetFile, rootDir))
+      .map(({ file }) => file)
+  );
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Test Output Analysis
+// ============================================================================
+
+/**
+ * Take the innermost test name from a full "suite > test" name
+ * @param {string} fullName - Full test name
+ * @returns {string} Test name
+ */
+const lastNameSegment = (fullName) => {
+  const segments = fullName.split(/\s+[>›]\s+/);
+  return segments[segments.length - 1].trim();
+};
+
+/**
+ * Extract the names of failing tests from vitest/jest console output
+ * @param {string} output - Test output
+ * @returns {Array<string>} Frozen list of unique failing test names
+ */
+export const extractFailingTestNames = (output) => {
+  const names = new Set();
+
+  for (const line of output.split('\n')) {
+    const failLine = line.match(/^\s*FAIL\s+\S+\s+>\s+(.+)$/);
+    const marker = line.match(/^\s*[×✕✗]\s+(.+?)(?:\s+\(?\d+(?:\.\d+)?\s*m?s\)?)?\s*$/);
+    const bullet = line.match(/^\s*●\s+(.+?)\s*$/);
+    const fullName = failLine?.[1] || marker?.[1] || bullet?.[1];
+
+    if (fullName && !/^(?:Test suite failed to run|Console)$/.test(fullName)) {
+      names.add(lastNameSegment(fullName));
+    }
+  }
+
+  return Object.freeze(Array.from(names).filter(Boolean));
+};
+
+/**
+ * Extract the test files reported as failing in vitest/jest console output
+ * @param {string} output - Test output
+ * @returns {Array<string>} Frozen list of unique failing test files
+ */
+export const extractFailingTestFiles = (output) => {
+  const files = new Set();
+
+  for (const match of output.matchAll(/^\s*FAIL\s+(\S+\.[cm]?[jt]sx?)\b/gm)) {
+    files.add(match[1]);
+  }
+
+  return Object.freeze(Array.from(files));
+};
+
+// ============================================================================
+// PURE FUNCTIONS - Command Rendering
+// ============================================================================
+
+/**
+ * Quote an argument for a POSIX shell
+ * @param {string} arg - Argument to quote
+ * @returns {string} Quoted argument
+ */
+export const shellQuote = (arg) => {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a test name pattern (for vitest/jest -t) matching any of the given names
+ * @param {Array<string>} names - Test names
+ * @returns {string} Regular expression source
+ */
+export const buildTestNamePattern = (names) => names.map(escapeRegExp).join('|');
+
+/**
+ * Render a test command template with {files} and {testNamePattern} placeholders
+ * @param {string} template - Command template, e.g. "npx vitest run {files} -t {testNamePattern}"
+ * @param {Object} values - Placeholder values
+ * @param {Array<string>} values.files - Test files to run
+ * @param {string} values.testNamePattern - Test name pattern
+ * @returns {string|null} Rendered command, or null if a placeholder has no value
+ */
+export const renderTestCommand = (template, { files = [], testNamePattern = '' } = {}) => {
+  if (template.includes('{files}') && files.length === 0) {
+    return null;
+  }
+
+  if (template.includes('{testNamePattern}') && !testNamePattern) {
+    return null;
+  }
+
+  return template
+    .replaceAll('{files}', files.map(shellQuote).join(' '))
+    .replaceAll('{testNamePattern}', shellQuote(testNamePattern));
+};
+
+/**
+ * Plan the targeted test command for a file being fixed
+ * @param {Object} params - Planning inputs
+ * @param {string} params.template - Targeted command template
+ * @param {string} params.targetFile - File being fixed
+ * @param {string} params.errorMessage - Error context (CI output)
+ * @param {Array<Object>} params.testSources - Array of {file, code}
+ * @param {string} params.rootDir - Repository root
+ * @returns {Object|null} Frozen plan with command, files and testNamePattern, or null
+ */
+export const planTargetedTests = ({ template, targetFile, errorMessage, testSources, rootDir }) => {
+  const knownFiles = new Set(testSources.map(({ file }) => file));
+  const failingFiles = extractFailingTestFiles(errorMessage)
+    .map((file) => relative(rootDir, resolve(rootDir, file)))
+    .filter((file) => knownFiles.has(file));
+  const files = Array.from(
+    new Set([...findRelatedTestFiles(targetFile, testSources, rootDir), ...failingFiles])
+  );
+  const testNamePattern = buildTestNamePattern(extractFailingTestNames(errorMessage));
+  const command = renderTestCommand(template, { files, testNamePattern });
+
+  if (!command) {
+    return null;
+  }
+
+  return Object.freeze({ command, files: Object.freeze(files), testNamePattern });
+};
+
+// ============================================================================
+// SIDE EFFECTS - File Discovery (Isolated)
+// ============================================================================
+
+/**
+ * List test files under a directory
+ * @param {string} rootDir - Directory to search
+ * @param {RegExp} pattern - Test file pattern
+ * @returns {Promise<Array<string>>} Frozen list of test files relative to rootDir
+ */
+export const listTestFiles = async (rootDir = process.cwd(), pattern = TEST_FILE_PATTERN) => {
+  const files = [];
+
+  const walk = async (dir) => {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+
+      if (entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name)) {
+        await walk(path);
+      } else if (entry.isFile() && pattern.test(relative(rootDir, path))) {
+        files.push(relative(rootDir, path));
+      }
+    }
+  };
+
+  await walk(rootDir);
+  return Object.freeze(files.sort());
+};
+
+/**
+ * Read the sources of all test files under a directory
+ * @param {string} rootDir - Directory to search
+ * @returns {Promise<Array<Object>>} Frozen array of {file, code}
+ */
+export const readTestSources = async (rootDir = process.cwd()) => {
+  const files = await listTestFiles(rootDir);
+  const sources = await Promise.all(
+    files.map(async (file) => ({ file, code: await readFile(join(rootDir, file), 'utf8') }))
+  );
+
+  return Object.freeze(sources);
+};
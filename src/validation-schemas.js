@@ -14,6 +14,58 @@ import { z } from 'zod';
 // BUG FIXER SCHEMAS
 // ============================================================================
 
+/**
+ * Token usage schema
+ */
+export const TokenUsageSchema = z.object({
+  promptTokens: z.number().int().nonnegative(),
+  completionTokens: z.number().int().nonnegative(),
+  totalTokens: z.number().int().nonnegative(),
+});
+
+/**
+ * Test run schema (targeted or full suite)
+ */
+export const TestRunSchema = z.object({
+  scope: z.enum(['targeted', 'full']),
+  command: z.string(),
+  success: z.boolean(),
+  timedOut: z.boolean().optional(),
+});
+
+/**
+ * Fix attempt schema
+ */
+export const FixAttemptSchema = z.object({
+  attempt: z.number().int().positive(),
+  success: z.boolean(),
+  stage: z.enum(['patch', 'syntax', 'api', 'guard', 'preview', 'test']),
+  patch: z.string().optional(),
+  testOutput: z.string().optional(),
+  error: z.string().optional(),
+  timedOut: z.boolean().optional(),
+  rejectedReason: z.string().optional(),
+  testRuns: z.array(TestRunSchema).optional(),
+  usage: TokenUsageSchema.nullable(),
+  estimatedCost: z.number().nonnegative().optional(),
+  cost: z.number().nonnegative().optional(),
+  timestamp: z.string().datetime(),
+});
+
+/**
+ * Test outcome diff schema (regression baseline comparison)
+ */
+export const OutcomeDiffSchema = z.object({
+  broken: z.array(z.string()),
+  fixed: z.array(z.string()),
+  newlySkipped: z.array(z.string()),
+  missing: z.array(z.string()),
+  vanished: z.array(z.string()),
+  skippedBefore: z.number().int().nonnegative(),
+  skippedAfter: z.number().int().nonnegative(),
+  regressed: z.boolean(),
+});
+
 /**
  * Bug fix result schema
  */
@@ -23,11 +75,29 @@ export const BugFixResultSchema = z.object({
   timestamp: z.string().datetime(),
   originalCode: z.string().optional(),
   fixedCode: z.string().optional(),
+  patch: z.string().optional(),
   linesChanged: z.number().int().nonnegative().optional(),
   testOutput: z.string().optional(),
+  provider: z.string().optional(),
   model: z.string().optional(),
   error: z.string().optional(),
   testError: z.string().optional(),
+  rejectedReason: z.string().optional(),
+  attempts: z.array(FixAttemptSchema).optional(),
+  usage: TokenUsageSchema.optional(),
+  cost: z
+    .object({
+      estimated: z.number().nonnegative(),
+      actual: z.number().nonnegative(),
+    })
+    .optional(),
+  dryRun: z.boolean().optional(),
+  tested: z.boolean().optional(),
+  merged: z.boolean().optional(),
+  conflict: z.string().optional(),
+  reverted: z.boolean().optional(),
+  outcomeDiff: OutcomeDiffSchema.optional(),
+  testOutcomes: z.record(z.enum(['passed', 'failed', 'skipped'])).optional(),
 });
 
 /**
@@ -39,6 +109,50 @@ export const TestOutputSchema = z.object({
   errors: z.array(z.string()).optional(),
 });
 
+/**
+ * Normalized test failure schema
+ */
+export const TestFailureSchema = z.object({
+  name: z.string(),
+  file: z.string().nullable(),
+  message: z.string(),
+  expected: z.string().nullable(),
+  received: z.string().nullable(),
+  stack: z.array(z.string()),
+});
+
+/**
+ * Per-test coverage report schema (for spectrum-based fault localization)
+ */
+export const CoverageReportSchema = z.object({
+  tests: z.array(
+    z.object({
+      name: z.string().optional(),
+      passed: z.boolean(),
+      files: z.array(z.string()),
+    })
+  ),
+});
+
+/**
+ * Ranked fault localization suspect schema
+ */
+export const SuspectSchema = z.object({
+  file: z.string(),
+  score: z.number().nonnegative(),
+  stackScore: z.number().nonnegative(),
+  suspiciousness: z.number().nonnegative().nullable(),
+  failingTests: z.number().int().nonnegative(),
+  depth: z.number().int().nonnegative().nullable(),
+  functions: z.array(
+    z.object({
+      name: z.string(),
+      score: z.number().nonnegative(),
+      failingTests: z.number().int().nonnegative(),
+    })
+  ),
+});
+
 /**
  * CI result schema
  */
@@ -54,18 +168,63 @@ export const CIResultSchema = z.object({
   finalTestsPassed: z.boolean().optional(),
   attempts: z.number().int().positive().optional(),
   testOutput: z.string().optional(),
+  reportFormat: z
+    .enum(['jest-json', 'mocha-json', 'junit', 'tap', 'pytest', 'go-test', 'cargo-test', 'text'])
+    .optional(),
+  failures: z.array(TestFailureSchema).optional(),
+  flakyFailures: z.array(TestFailureSchema).optional(),
+  environmentFailures: z.array(TestFailureSchema).optional(),
+  suspects: z.array(SuspectSchema).optional(),
   error: z.string().optional(),
   commitError: z.string().optional(),
+  pullRequest: z
+    .object({
+      number: z.number().int().positive(),
+      url: z.string(),
+      created: z.boolean(),
+      branch: z.string(),
+      base: z.string(),
+    })
+    .optional(),
+  review: z
+    .object({
+      id: z.number().int().positive(),
+      url: z.string(),
+      suggestions: z.number().int().nonnegative(),
+      attachments: z.number().int().nonnegative(),
+    })
+    .optional(),
+  reviewError: z.string().optional(),
+  skipped: z.boolean().optional(),
+  skipReason: z.string().optional(),
 });
 
 /**
  * CLI arguments schema
  */
-export const CLIArgsSchema = z.object({
-  filename: z.string().min(1).optional(),
-  errorMessage: z.string().optional(),
-  hasFilename: z.boolean(),
-});
+export const CLIArgsSchema = z
+  .object({
+    filename: z.string().min(1).optional(),
+    errorMessage: z.string().optional(),
+    hasFilename: z.boolean(),
+    help: z.boolean().optional(),
+    configType: z.enum(['quick', 'thorough', 'security', 'performance']).optional(),
+    provider: z.enum(['openai', 'anthropic', 'openai-compatible']).optional(),
+    baseURL: z.string().url().optional(),
+    model: z.string().min(1).optional(),
+    maxTokens: z.number().int().positive().optional(),
+    temperature: z.number().min(0).max(2).optional(),
+    testCommand: z.string().min(1).optional(),
+    testTimeout: z.number().int().positive().optional(),
+    maxTestOutput: z.number().int().positive().optional(),
+    streamTestOutput: z.boolean().optional(),
+    errorFile: z.string().min(1).optional(),
+    cassettePath: z.string().min(1).optional(),
+    cassetteMode: z.enum(['record', 'replay']).optional(),
+    dryRun: z.boolean().optional(),
+    validateInScratch: z.boolean().optional(),
+  })
+  .strict();
 
 /**
  * Git operation result schema
@@ -78,6 +237,29 @@ export const GitOperationResultSchema = z.object({
   pushed: z.boolean().optional(),
 });
 
+/**
+ * Recorded AI interaction schema
+ */
+export const CassetteInteractionSchema = z.object({
+  key: z.string().length(64),
+  provider: z.string().optional(),
+  model: z.string().optional(),
+  prompt: z.string(),
+  response: z.object({
+    text: z.string(),
+    usage: z.record(z.number().nullable()).nullable().optional(),
+  }),
+  recordedAt: z.string().datetime(),
+});
+
+/**
+ * Cassette file schema
+ */
+export const CassetteSchema = z.object({
+  version: z.literal(1),
+  interactions: z.array(CassetteInteractionSchema),
+});
+
 // ============================================================================
 // VALIDATORS (using shared utilities)
 // ============================================================================
@@ -0,0 +1,101 @@
+/**
+ * Workspace Utilities - Functional Programming Implementation
+ *
+ * Scratch copies of the working tree so fixes can be tested without
+ * touching the original files.
+ * Implements strict functional programming principles:
+ * - Pure path resolution functions
+ * - Immutability with Object.freeze()
+ * - Isolated side effects for file system operations
+ */
+
+import { existsSync } from 'node:fs';
+import { cp, mkdtemp, rm, symlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { isAbsolute, join, relative, resolve } from 'node:path';
+
+/**
+ * Top-level entries that are never copied into a scratch workspace
+ */
+export const EXCLUDED_ENTRIES = Object.freeze(['.git', 'node_modules', 'coverage']);
+
+// ============================================================================
+// PURE FUNCTIONS - Path Resolution
+// ============================================================================
+
+/**
+ * Resolve a file path inside a workspace
+ * @param {string} filename - File path relative to the root directory
+ * @param {string|undefined} workspaceDir - Workspace directory (undefined for the real tree)
+ * @param {string} rootDir - Root directory of the real tree
+ * @returns {string} Path to the file inside the workspace
+ */
+export const resolveWorkspacePath = (filename, workspaceDir, rootDir = process.cwd()) => {
+  if (!workspaceDir) {
+    return filename;
+  }
+
+  const relativePath = relative(rootDir, resolve(rootDir, filename));
+  if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+    throw new Error(`File is outside the workspace root: ${filename}`);
+  }
+
+  return join(workspaceDir, relativePath);
+};
+
+/**
+ * Check whether a path should be copied into a scratch workspace
+ * @param {string} rootDir - Root directory being copied
+ * @param {string} source - Path considered for copying
+ * @returns {boolean} True if the path should be copied
+ */
+export const shouldCopyEntry = (rootDir, source) => {
+  const topLevel = relative(rootDir, source).split(/[\\/]/)[0];
+  return !EXCLUDED_ENTRIES.includes(topLevel);
+};
+
+// ============================================================================
+// SIDE EFFECTS - Workspace Lifecycle (Isolated)
+// ============================================================================
+
+/**
+ * Create a scratch copy of the working tree
+ * @param {string} rootDir - Directory to copy
+ * @returns {Promise<Object>} Frozen workspace with dir, rootDir and cleanup()
+ */
+export const createScratchWorkspace = async (rootDir = process.cwd()) => {
+  const dir = await mkdtemp(join(tmpdir(), 'bug-fixer-'));
+
+  await cp(rootDir, dir, {
+    recursive: true,
+    filter: (source) => shouldCopyEntry(rootDir, source),
+  });
+
+  // Share dependencies instead of copying them so tests can run immediately
+  const modulesDir = join(rootDir, 'node_modules');
+  if (existsSync(modulesDir)) {
+    await symlink(modulesDir, join(dir, 'node_modules'), 'dir');
+  }
+
+  return Object.freeze({
+    dir,
+    rootDir,
+    cleanup: () => rm(dir, { recursive: true, force: true }),
+  });
+};
+
+/**
+ * Run a function with a scratch workspace that is removed afterwards
+ * @param {string} rootDir - Directory to copy
+ * @param {Function} fn - Async function receiving the workspace
+ * @returns {Promise<*>} Result of fn
+ */
+export const withScratchWorkspace = async (rootDir, fn) => {
+  const workspace = await createScratchWorkspace(rootDir);
+
+  try {
+    return await fn(workspace);
+  } finally {
+    await workspace.cleanup();
+  }
+};
@@ -0,0 +1,615 @@
+/**
+ * Unit tests for fixBug orchestration (retry loop, dry runs)
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('@jordanbmowry/agent-configuration/logger', () => ({
+  createLogger: () => ({
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    logApiCall: vi.fn(),
+    logCostTracking: vi.fn(),
+  }),
+}));
+
+vi.mock('@jordanbmowry/agent-configuration/github-cost-tracker', () => ({
+  createGitHubCostTracker: () => ({ isAvailable: () => false }),
+}));
+
+vi.mock('@jordanbmowry/agent-configuration/cost-monitor', () => ({
+  isWithinLimits: vi.fn(() => ({ allowed: true })),
+}));
+
+vi.mock('../../src/providers.js', () => ({
+  calculateProviderCost: vi.fn(() => 0.0002),
+  createLanguageModel: vi.fn(() => 'mocked-model'),
+  estimateProviderCost: vi.fn(() => 0.001),
+}));
+
+vi.mock('ai', () => ({
+  generateText: vi.fn(),
+}));
+
+vi.mock('../../src/config-adapter.js', () => ({
+  buildBugFixPrompt: vi.fn((code, filename, errorMessage) => errorMessage),
+  buildPatchFixPrompt: vi.fn((code, filename, errorMessage) => errorMessage),
+  getConfig: vi.fn(() => ({ model: 'gpt-4o-mini', maxTokens: 2000, maxRetries: 1 })),
+  getPreset: vi.fn((type) => ({ name: type, model: 'gpt-4o', maxTokens: 4000 })),
+  shouldSkipBugFix: vi.fn(() => false),
+  isBugFixerEnabled: vi.fn(() => true),
+}));
+
+vi.mock('@jordanbmowry/agent-configuration/validation-utils', () => ({
+  createValidator: (schema) => (data) => {
+    const result = schema.safeParse(data);
+    return { success: result.success, errors: result.error?.issues };
+  },
+  createSafeParser: (schema) => (data) => schema.safeParse(data),
+}));
+
+vi.mock('../../src/cassette.js', () => ({
+  createCassette: vi.fn(),
+}));
+
+vi.mock('../../src/test-runner.js', () => ({
+  runTests: vi.fn(),
+}));
+
+vi.mock('node:fs', () => ({
+  existsSync: vi.fn(() => true),
+}));
+
+vi.mock('node:fs/promises', () => ({
+  readFile: vi.fn(async () => 'const total = a - b;\n'),
+  writeFile: vi.fn(async () => {}),
+}));
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { generateText } from 'ai';
+import {
+  buildFixOptions,
+  buildRetryContext,
+  createAttemptRecord,
+  createFixConfig,
+  findMergeConflict,
+  fixBug,
+  mergeParallelResults,
+  parseCliArgs,
+  runTestPlan,
+  sumCost,
+  sumUsage,
+} from '../../src/bug-fixer.js';
+import { createCassette } from '../../src/cassette.js';
+import { runTests } from '../../src/test-runner.js';
+
+const usage = { promptTokens: 100, completionTokens: 20 };
+
+describe('Bug Fixer - Orchestration', () => {
+  describe('buildRetryContext', () => {
+    it('should return the original error when there are no failed attempts', () => {
+      expect(buildRetryContext('TypeError: boom', [])).toBe('TypeError: boom');
+    });
+
+    it('should include rejected diffs and failure output', () => {
+      const attempts = [
+        createAttemptRecord(1, {
+          stage: 'test',
+          patch: '-a - b\n+a * b',
+          testOutput: 'expected 3 to be 5',
+        }),
+      ];
+
+      const context = buildRetryContext('TypeError: boom', attempts);
+
+      expect(context).toContain('TypeError: boom');
+      expect(context).toContain('Attempt 1 (tests failed)');
+      expect(context).toContain('+a * b');
+      expect(context).toContain('expected 3 to be 5');
+    });
+  });
+
+  describe('sumUsage', () => {
+    it('should total tokens across attempts', () => {
+      const attempts = [
+        createAttemptRecord(1, {
+          usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+        }),
+        createAttemptRecord(2, { usage: null }),
+        createAttemptRecord(3, {
+          usage: { promptTokens: 20, completionTokens: 5, totalTokens: 25 },
+        }),
+      ];
+
+      expect(sumUsage(attempts)).toEqual({
+        promptTokens: 30,
+        completionTokens: 10,
+        totalTokens: 40,
+      });
+    });
+  });
+
+  describe('fixBug', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should retry with test feedback until the tests pass', async () => {
+      generateText
+        .mockResolvedValueOnce({ text: 'const total = a * b;', usage })
+        .mockResolvedValueOnce({ text: 'const total = a + b;', usage });
+
+      runTests
+        .mockResolvedValueOnce({ success: false, output: 'expected 6 to be 5', timedOut: false })
+        .mockResolvedValueOnce({ success: true, output: 'all tests passed', timedOut: false });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 3,
+        testCommand: 'npm test',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.fixedCode).toBe('const total = a + b;');
+      expect(result.attempts).toHaveLength(2);
+      expect(result.attempts[0]).toMatchObject({ attempt: 1, success: false, stage: 'test' });
+      expect(result.attempts[1]).toMatchObject({ attempt: 2, success: true });
+      expect(result.usage.totalTokens).toBe(240);
+
+      const secondPrompt = generateText.mock.calls[1][0].prompt;
+      expect(secondPrompt).toContain('expected 6 to be 5');
+      expect(secondPrompt).toContain('+const total = a * b;');
+    });
+
+    it('should stop after maxRetries attempts and roll back', async () => {
+      generateText.mockResolvedValue({ text: 'const total = a * b;', usage });
+      runTests.mockResolvedValue({ success: false, output: '', error: 'Command failed' });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 2,
+        testCommand: 'npm test',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toHaveLength(2);
+      expect(generateText).toHaveBeenCalledTimes(2);
+      expect(writeFile).toHaveBeenLastCalledWith('math.js', 'const total = a - b;\n', 'utf8');
+    });
+
+    it('should judge fixes against the baseline instead of the exit code', async () => {
+      const tap = (...lines) => `TAP version 13\n${lines.join('\n')}\n1..3`;
+      generateText
+        .mockResolvedValueOnce({ text: 'const total = 0;', usage })
+        .mockResolvedValueOnce({ text: 'const total = a + b;', usage });
+      runTests
+        .mockResolvedValueOnce({
+          success: false,
+          output: tap('not ok 1 - adds items', 'ok 2 - computes the total', 'not ok 3 - rounds'),
+        })
+        .mockResolvedValueOnce({
+          success: false,
+          output: tap('ok 1 - adds items', 'ok 2 - computes the total', 'not ok 3 - rounds'),
+        });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 2,
+        testCommand: 'npm test',
+        baseline: {
+          outcomes: { 'adds items': 'passed', 'computes the total': 'failed', rounds: 'failed' },
+          targetTests: ['computes the total'],
+        },
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        fixedCode: 'const total = a + b;',
+        outcomeDiff: { fixed: ['computes the total'], regressed: false },
+        testOutcomes: { 'adds items': 'passed', 'computes the total': 'passed', rounds: 'failed' },
+      });
+      expect(result.attempts[0].error).toMatch(
+        /^Fix rejected: 1 previously passing test\(s\) now fail: adds items/
+      );
+    });
+
+    it('should feed rejected patches back into the next attempt', async () => {
+      generateText
+        .mockResolvedValueOnce({ text: '```diff\n@@ -1 +1 @@\n-nope\n+nope\n```', usage })
+        .mockResolvedValueOnce({
+          text: '```diff\n@@ -1 +1 @@\n-const total = a - b;\n+const total = a + b;\n```',
+          usage,
+        });
+      runTests.mockResolvedValue({ success: true, output: 'ok' });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 2,
+        outputMode: 'patch',
+        testCommand: 'npm test',
+      });
+
+      expect(result.success).toBe(true);
+      // The patch that was applied, not a diff regenerated from the fixed file
+      expect(result.patch).toBe('@@ -1 +1 @@\n-const total = a - b;\n+const total = a + b;\n');
+      expect(result.attempts[0]).toMatchObject({ stage: 'patch', success: false });
+      expect(generateText.mock.calls[1][0].prompt).toContain('patch could not be applied');
+    });
+
+    it('should reject degenerate fixes before applying them', async () => {
+      readFile.mockResolvedValueOnce('export const total = (a, b) => a - b;\n');
+      generateText.mockResolvedValue({
+        text: '// @ts-ignore\nconst total = (a, b) => a + b;',
+        usage,
+      });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 1,
+        testCommand: 'npm test',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.rejectedReason).toBe(
+        'Fix removes exported symbol(s): total; adds a lint or type-check suppression comment'
+      );
+      expect(result.attempts[0]).toMatchObject({ stage: 'guard', success: false });
+      expect(writeFile).not.toHaveBeenCalled();
+      expect(runTests).not.toHaveBeenCalled();
+    });
+
+    it('should re-prompt with the parser error instead of writing unparseable code', async () => {
+      generateText
+        .mockResolvedValueOnce({ text: 'Here is the fix:\nconst total = a + b;', usage })
+        .mockResolvedValueOnce({ text: 'const total = a + b;', usage });
+      runTests.mockResolvedValue({ success: true, output: 'ok' });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 2,
+        testCommand: 'npm test',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.attempts[0]).toMatchObject({ stage: 'syntax', success: false });
+      expect(writeFile).toHaveBeenCalledTimes(1);
+      expect(runTests).toHaveBeenCalledTimes(1);
+
+      const secondPrompt = generateText.mock.calls[1][0].prompt;
+      expect(secondPrompt).toContain('generated code does not parse');
+      expect(secondPrompt).toContain('Generated code for math.js does not parse:');
+    });
+
+    it('should reject changes to the export surface unless allowed', async () => {
+      readFile
+        .mockResolvedValueOnce('export const total = (a, b) => a - b;\n')
+        .mockResolvedValueOnce('export const total = (a, b) => a - b;\n');
+      generateText.mockResolvedValue({ text: 'export const total = (a) => a;', usage });
+      runTests.mockResolvedValue({ success: true, output: 'ok' });
+
+      const rejected = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 1,
+        testCommand: 'npm test',
+      });
+
+      expect(rejected.success).toBe(false);
+      expect(rejected.error).toBe(
+        'Fix changes the public API: changes total from 2 parameter(s) to 1 parameter(s)'
+      );
+      expect(rejected.attempts[0].stage).toBe('api');
+
+      const allowed = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 1,
+        testCommand: 'npm test',
+        allowApiChanges: true,
+      });
+
+      expect(allowed.success).toBe(true);
+    });
+
+    it('should let allowed API changes remove exports', async () => {
+      const original = 'export const total = (a, b) => a - b;\nexport const tax = (a) => a;\n';
+      readFile.mockResolvedValue(original);
+      generateText.mockResolvedValue({ text: 'export const total = (a, b) => a + b;', usage });
+      runTests.mockResolvedValue({ success: true, output: 'ok' });
+
+      const rejected = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 1,
+        testCommand: 'npm test',
+      });
+      expect(rejected.rejectedReason).toBe('Fix removes exported symbol(s): tax');
+
+      const allowed = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 1,
+        testCommand: 'npm test',
+        allowApiChanges: true,
+      });
+      expect(allowed.success).toBe(true);
+    });
+  });
+
+  describe('fixBug test timeouts', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      readFile.mockResolvedValue('const total = a - b;\n');
+    });
+
+    it('should pass timeout settings to the test runner and report timeouts', async () => {
+      generateText.mockResolvedValue({ text: 'while (true) {}', usage });
+      runTests.mockResolvedValue({
+        success: false,
+        output: '',
+        error: 'Test command timed out after 5000ms and was killed',
+        timedOut: true,
+      });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        maxRetries: 2,
+        testCommand: 'npm test',
+        testTimeout: 5000,
+        maxTestOutput: 1000,
+      });
+
+      expect(runTests).toHaveBeenCalledWith('npm test', {
+        cwd: undefined,
+        timeout: 5000,
+        maxOutput: 1000,
+        stream: false,
+      });
+      expect(result.error).toBe('Tests timed out after applying fix');
+      expect(result.attempts[0].timedOut).toBe(true);
+      expect(generateText.mock.calls[1][0].prompt).toContain('tests timed out');
+    });
+  });
+
+  describe('fixBug with a cassette', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      readFile.mockResolvedValue('const total = a - b;\n');
+    });
+
+    it('should replay recorded responses instead of calling the model', async () => {
+      const run = vi.fn(async () => ({ text: 'const total = a + b;', usage, replayed: true }));
+      createCassette.mockReturnValue({ path: 'fix.json', mode: 'replay', run });
+      runTests.mockResolvedValue({ success: true, output: 'ok' });
+
+      const result = await fixBug('math.js', 'expected -1 to be 5', {
+        testCommand: 'npm test',
+        cassettePath: 'fix.json',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.fixedCode).toBe('const total = a + b;');
+      expect(createCassette).toHaveBeenCalledWith('fix.json', 'replay');
+      expect(run).toHaveBeenCalledWith(
+        'expected -1 to be 5',
+        { provider: 'openai', model: 'gpt-4o-mini' },
+        expect.any(Function)
+      );
+      expect(generateText).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runTestPlan', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should confirm passing targeted tests with the full suite', async () => {
+      runTests.mockResolvedValue({ success: true, output: 'ok', timedOut: false });
+
+      const result = await runTestPlan({
+        testCommand: 'npm test',
+        targetedTestCommand: 'npx vitest run test/cart.test.js',
+        confirmWithFullSuite: true,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.testRuns.map((run) => run.scope)).toEqual(['targeted', 'full']);
+    });
+
+    it('should skip the full suite when the targeted tests fail', async () => {
+      runTests.mockResolvedValue({ success: false, output: '', timedOut: false });
+
+      const result = await runTestPlan({
+        testCommand: 'npm test',
+        targetedTestCommand: 'npx vitest run test/cart.test.js',
+        confirmWithFullSuite: true,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.testRuns).toEqual([
+        {
+          scope: 'targeted',
+          command: 'npx vitest run test/cart.test.js',
+          success: false,
+          timedOut: false,
+        },
+      ]);
+      expect(runTests).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sumCost', () => {
+    it('should total estimated and actual cost across attempts', () => {
+      const attempts = [
+        createAttemptRecord(1, { estimatedCost: 0.01, cost: 0.002 }),
+        createAttemptRecord(2, { estimatedCost: 0.01, cost: 0.003 }),
+      ];
+
+      const cost = sumCost(attempts);
+
+      expect(cost.estimated).toBeCloseTo(0.02);
+      expect(cost.actual).toBeCloseTo(0.005);
+    });
+  });
+
+  describe('fixBug dry run', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      readFile.mockResolvedValue('const total = a - b;\n');
+      generateText.mockResolvedValue({ text: 'const total = a + b;', usage });
+    });
+
+    it('should return the proposed diff and cost without writing or testing', async () => {
+      const result = await fixBug('math.js', 'expected -1 to be 5', { dryRun: true });
+
+      expect(result.success).toBe(true);
+      expect(result.dryRun).toBe(true);
+      expect(result.tested).toBe(false);
+      expect(result.patch).toContain('+const total = a + b;');
+      expect(result.cost).toEqual({ estimated: 0.001, actual: 0.0002 });
+      expect(result.attempts).toHaveLength(1);
+      expect(result.attempts[0].stage).toBe('preview');
+      expect(writeFile).not.toHaveBeenCalled();
+      expect(runTests).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parallel merge', () => {
+    const fixResult = (filename, fixedCode) => ({
+      success: true,
+      filename,
+      originalCode: 'const total = a - b;\n',
+      fixedCode,
+    });
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      readFile.mockResolvedValue('const total = a - b;\n');
+    });
+
+    it('should report no conflict for an unchanged file', () => {
+      const result = fixResult('math.js', 'const total = a + b;\n');
+
+      expect(findMergeConflict(result, result.originalCode, new Set())).toBeNull();
+    });
+
+    it('should detect files changed since the fix started', () => {
+      const result = fixResult('math.js', 'const total = a + b;\n');
+
+      expect(findMergeConflict(result, 'const total = 0;\n', new Set())).toContain(
+        'changed in the working tree'
+      );
+    });
+
+    it('should merge passing fixes and report conflicts on the same file', async () => {
+      const results = await mergeParallelResults([
+        fixResult('math.js', 'const total = a + b;\n'),
+        fixResult('./math.js', 'const total = b + a;\n'),
+        { success: false, filename: 'other.js', error: 'Tests failed after applying fix' },
+      ]);
+
+      expect(results.map((r) => r.merged)).toEqual([true, false, false]);
+      expect(results[1].conflict).toContain('another parallel fix');
+      expect(results[2].conflict).toBeUndefined();
+      expect(writeFile).toHaveBeenCalledTimes(1);
+      expect(writeFile).toHaveBeenCalledWith('math.js', 'const total = a + b;\n', 'utf8');
+    });
+  });
+
+  describe('createFixConfig', () => {
+    it('should let explicit options override the config file', () => {
+      const config = createFixConfig({ model: 'gpt-4.1', maxRetries: 3 });
+
+      expect(config.model).toBe('gpt-4.1');
+      expect(config.maxRetries).toBe(3);
+      expect(config.maxTokens).toBe(2000);
+    });
+
+    it('should apply the preset selected by configType', () => {
+      const config = createFixConfig({ configType: 'security', maxTokens: 1000 });
+
+      expect(config.model).toBe('gpt-4o');
+      expect(config.maxTokens).toBe(1000);
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    const argv = (...args) => ['node', 'bug-fixer.js', ...args];
+
+    it('should read positional filename and error message', () => {
+      const args = parseCliArgs(argv('src/a.js', 'boom'));
+
+      expect(args).toMatchObject({ filename: 'src/a.js', errorMessage: 'boom', hasFilename: true });
+      expect(args.errors).toEqual([]);
+    });
+
+    it('should parse options in both --flag=value and --flag value forms', () => {
+      const args = parseCliArgs(
+        argv(
+          '--config=thorough',
+          '--model',
+          'gpt-4o',
+          '--max-tokens=3000',
+          '--temperature',
+          '0.2',
+          '--test-command=pnpm vitest run',
+          '--error-file=-',
+          'src/a.js'
+        )
+      );
+
+      expect(args).toMatchObject({
+        filename: 'src/a.js',
+        configType: 'thorough',
+        model: 'gpt-4o',
+        maxTokens: 3000,
+        temperature: 0.2,
+        testCommand: 'pnpm vitest run',
+        errorFile: '-',
+      });
+      expect(args.errors).toEqual([]);
+    });
+
+    it('should read dry-run flags without treating them as positional arguments', () => {
+      const args = parseCliArgs(argv('--dry-run=validate', 'src/a.js', 'boom'));
+
+      expect(args).toMatchObject({
+        filename: 'src/a.js',
+        errorMessage: 'boom',
+        dryRun: true,
+        validateInScratch: true,
+      });
+    });
+
+    it('should reject unknown flags and invalid values', () => {
+      const args = parseCliArgs(
+        argv('--verbose', '--max-tokens=lots', '--config=yolo', '--temperature=5', 'src/a.js')
+      );
+
+      expect(args.errors).toEqual([
+        'Unknown option: --verbose',
+        '--max-tokens expects a number, got "lots"',
+        expect.stringContaining('--config'),
+        expect.stringContaining('--temperature'),
+      ]);
+    });
+
+    it('should report missing option values and extra arguments', () => {
+      const args = parseCliArgs(argv('src/a.js', 'boom', 'extra', '--model'));
+
+      expect(args.errors).toEqual(['Missing value for --model', 'Unexpected argument: extra']);
+    });
+
+    it('should recognize help flags', () => {
+      expect(parseCliArgs(argv('--help')).help).toBe(true);
+      expect(parseCliArgs(argv('-h')).help).toBe(true);
+    });
+
+    it('should treat everything after -- as positional', () => {
+      const args = parseCliArgs(argv('--', 'src/a.js', '--not-a-flag'));
+
+      expect(args.errorMessage).toBe('--not-a-flag');
+      expect(args.errors).toEqual([]);
+    });
+  });
+
+  describe('buildFixOptions', () => {
+    it('should only forward options that were set', () => {
+      const args = parseCliArgs(['node', 'bug-fixer.js', '--model=gpt-4o', 'src/a.js']);
+
+      expect(buildFixOptions(args)).toEqual({
+        model: 'gpt-4o',
+        dryRun: false,
+        validateInScratch: false,
+      });
+    });
+  });
+});
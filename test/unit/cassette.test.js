@@ -0,0 +1,97 @@
+/**
+ * Unit tests for AI record/replay cassettes
+ */
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('@jordanbmowry/agent-configuration/validation-utils', () => ({
+  createValidator: () => () => ({ success: true }),
+  createSafeParser: (schema) => (data) => schema.safeParse(data),
+}));
+
+import { createCassette, findInteraction, hashPrompt, readCassette } from '../../src/cassette.js';
+
+const usage = { promptTokens: 100, completionTokens: 20, totalTokens: 120 };
+const metadata = { provider: 'openai', model: 'gpt-4o-mini' };
+
+describe('AI Cassettes', () => {
+  let dir;
+  let path;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cassette-test-'));
+    path = join(dir, 'fixtures', 'fix.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('findInteraction', () => {
+    it('should serve identical prompts in order and then repeat the last one', () => {
+      const key = hashPrompt('prompt');
+      const interactions = [
+        { key, response: { text: 'first' } },
+        { key: hashPrompt('other'), response: { text: 'other' } },
+        { key, response: { text: 'second' } },
+      ];
+
+      expect(findInteraction(interactions, key, 0).response.text).toBe('first');
+      expect(findInteraction(interactions, key, 1).response.text).toBe('second');
+      expect(findInteraction(interactions, key, 5).response.text).toBe('second');
+      expect(findInteraction(interactions, hashPrompt('missing'))).toBeNull();
+    });
+  });
+
+  describe('createCassette', () => {
+    it('should record responses and replay them without calling the model', async () => {
+      const generate = vi.fn(async () => ({ text: 'const total = a + b;', usage }));
+
+      const recorder = createCassette(path, 'record');
+      const recorded = await recorder.run('fix this', metadata, generate);
+
+      expect(recorded).toEqual({ text: 'const total = a + b;', usage, replayed: false });
+      expect(readCassette(path)).toHaveLength(1);
+      expect(readCassette(path)[0]).toMatchObject({ key: hashPrompt('fix this'), ...metadata });
+
+      const player = createCassette(path, 'replay');
+      const replayed = await player.run('fix this', metadata, generate);
+
+      expect(replayed).toEqual({ text: 'const total = a + b;', usage, replayed: true });
+      expect(generate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when replaying a prompt that was never recorded', async () => {
+      const player = createCassette(path, 'replay');
+
+      await expect(player.run('unknown prompt', metadata, vi.fn())).rejects.toThrow(
+        'No recorded response in cassette'
+      );
+    });
+
+    it('should append to an existing cassette', async () => {
+      const recorder = createCassette(path, 'record');
+      await recorder.run('one', metadata, async () => ({ text: '1', usage }));
+      await recorder.run('two', metadata, async () => ({ text: '2', usage }));
+
+      const cassette = JSON.parse(await readFile(path, 'utf8'));
+
+      expect(cassette.version).toBe(1);
+      expect(cassette.interactions.map((interaction) => interaction.prompt)).toEqual([
+        'one',
+        'two',
+      ]);
+    });
+
+    it('should reject unknown modes and malformed cassettes', async () => {
+      expect(() => createCassette(path, 'rewind')).toThrow('Unknown cassette mode');
+
+      await writeFile(join(dir, 'bad.json'), JSON.stringify({ version: 2, interactions: [] }));
+
+      expect(() => createCassette(join(dir, 'bad.json'), 'replay')).toThrow('Invalid cassette');
+    });
+  });
+});
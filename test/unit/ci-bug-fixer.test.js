@@ -0,0 +1,431 @@
+/**
+ * Unit tests for CI test output parsing
+ */
+
+import { execSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@jordanbmowry/agent-configuration/logger', () => ({
+  createLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() }),
+}));
+
+vi.mock('@jordanbmowry/agent-configuration/validation-utils', () => ({
+  createValidator: () => () => ({ success: true }),
+  createSafeParser: (schema) => (data) => schema.safeParse(data),
+}));
+
+vi.mock('../../src/bug-fixer.js', () => ({
+  fileExists: vi.fn((file) =>
+    ['/repo/src/cart.js', '/repo/src/price.ts', '/repo/app/cart.py'].includes(file)
+  ),
+  fixBug: vi.fn(),
+  writeFileContent: vi.fn(),
+}));
+
+vi.mock('../../src/test-runner.js', () => ({
+  runTests: vi.fn(),
+}));
+
+import { fixBug, writeFileContent } from '../../src/bug-fixer.js';
+import {
+  checkAgainstBaseline,
+  collectFixedFiles,
+  commitFixes,
+  createCIConfig,
+  createCommitMessage,
+  createFileErrorContext,
+  createFixBaseline,
+  deliverFixes,
+  findUnexpectedChanges,
+  groupFailuresByFile,
+  identifyFilesToFix,
+  openFixPullRequest,
+  parseTestOutput,
+  reportCIRun,
+  runCIFix,
+  runCIFixWithRetries,
+} from '../../src/ci-bug-fixer.js';
+import { createFailure } from '../../src/test-reporters.js';
+import { runTests } from '../../src/test-runner.js';
+
+const options = { rootDir: '/repo' };
+
+const mochaReport = JSON.stringify({
+  stats: { failures: 1 },
+  failures: [
+    {
+      fullTitle: 'Cart computes the total',
+      file: 'test/cart.spec.js',
+      err: { message: 'expected -1 to equal 5', stack: 'at total (src/cart.js:3:9)' },
+    },
+  ],
+});
+
+describe('CI Bug Fixer - Test Output Parsing', () => {
+  it('should use structured reports for the error context and source file', () => {
+    const parsed = parseTestOutput('1 failing', mochaReport, options);
+
+    expect(parsed.format).toBe('mocha-json');
+    expect(parsed.file).toBe('./src/cart.js');
+    expect(parsed.failures).toHaveLength(1);
+    expect(parsed.error).toMatch(/^Mocha JSON test failures:/);
+    expect(parsed.error).toContain('✕ Cart computes the total');
+    expect(parsed.hasFailures).toBe(true);
+  });
+
+  it('should not fall back to a hard-coded file when no source file is found', () => {
+    const parsed = parseTestOutput('Error: something broke\n    at test/unit/a.test.js:1:1');
+
+    expect(parsed.format).toBe('text');
+    expect(parsed.file).toBeNull();
+    expect(parsed.error).toMatch(/^Console test failures:/);
+  });
+
+  it('should identify files from structured stack frames', () => {
+    const output = '1 failing';
+
+    expect(identifyFilesToFix(output, parseTestOutput(output, mochaReport), options)).toEqual([
+      './src/cart.js',
+    ]);
+  });
+
+  it('should resolve absolute, file:// and TypeScript frames against the repo root', () => {
+    const output = [
+      'TypeError: price is not a function',
+      '    at file:///repo/src/price.ts:4:11',
+      '    at Object.<anonymous> (/repo/test/unit/cart.test.js:8:3)',
+      '    at total (/repo/src/cart.js:3:9)',
+      '    at node:internal/process/task_queues:95:5',
+    ].join('\n');
+
+    expect(identifyFilesToFix(output, parseTestOutput(output, output, options), options)).toEqual([
+      './src/price.ts',
+      './src/cart.js',
+    ]);
+  });
+
+  it('should identify files from pytest tracebacks', () => {
+    const output = [
+      '=================================== FAILURES ===================================',
+      '______________________________ TestCart.test_boom ______________________________',
+      'tests/test_cart.py:11: in test_boom',
+      '    boom()',
+      'app/cart.py:5: in boom',
+      '    raise ValueError("boom")',
+      'E   ValueError: boom',
+      '=========================== short test summary info ============================',
+      'FAILED tests/test_cart.py::TestCart::test_boom - ValueError: boom',
+    ].join('\n');
+    const parsed = parseTestOutput(output, output, options);
+
+    expect(parsed.error).toMatch(/^pytest test failures:/);
+    expect(identifyFilesToFix(output, parsed, options)).toEqual(['./app/cart.py']);
+  });
+
+  it('should never pick generated files when a source map resolver is given', () => {
+    const output = 'Error: boom\n    at total (/repo/src/cart.js:3:9)\n    in src/price.ts';
+    const sourceMapResolver = {
+      mapFrame: (frame) => frame,
+      isGenerated: (path) => path === './src/cart.js',
+    };
+
+    expect(
+      identifyFilesToFix(output, parseTestOutput(output), { ...options, sourceMapResolver })
+    ).toEqual(['./src/price.ts']);
+  });
+
+  describe('per-file error context', () => {
+    const files = ['./src/cart.js', './src/price.ts'];
+    const failures = [
+      createFailure({
+        name: 'Cart total',
+        text: 'expected -1 to equal 5\n    at total (/repo/src/cart.js:3:9)\n    at total (/repo/src/cart.js:7:2)',
+      }),
+      createFailure({ name: 'Price', text: 'boom\n    at price (/repo/src/price.ts:12:1)' }),
+      createFailure({ name: 'Setup', text: 'timeout\n    at /repo/test/setup.js:1:1' }),
+    ];
+
+    it('should give each file only the failures that implicate it', () => {
+      const grouping = groupFailuresByFile(failures, files, options);
+
+      expect(grouping.byFile['./src/cart.js'].lines).toEqual([3, 7]);
+      expect(grouping.unattributed.map((failure) => failure.name)).toEqual(['Setup']);
+
+      const context = createFileErrorContext('./src/cart.js', grouping, 'full log');
+      expect(context).toMatch(
+        /^Test failures implicating \.\/src\/cart\.js \(focus on line\(s\) 3, 7\):/
+      );
+      expect(context).toContain('✕ Cart total');
+      expect(context).not.toContain('Price');
+    });
+
+    it('should fall back to unattributed failures, then the full output', () => {
+      const grouping = groupFailuresByFile(failures.slice(0, 2), ['./src/other.js'], options);
+
+      expect(createFileErrorContext('./src/other.js', grouping, 'full log')).toContain('✕ Price');
+      expect(
+        createFileErrorContext(
+          './src/other.js',
+          groupFailuresByFile([], files, options),
+          'full log'
+        )
+      ).toBe('full log');
+    });
+  });
+
+  describe('regression check', () => {
+    const config = { testCommand: 'node --test', regressionCheck: true };
+    const baseline = { 'adds items': 'passed', 'computes the total': 'failed' };
+    const fixResult = {
+      success: true,
+      filename: './src/cart.js',
+      originalCode: 'original',
+      fixedCode: 'fixed',
+    };
+
+    it('should accept a fix without regressions and advance the baseline', async () => {
+      vi.mocked(runTests).mockResolvedValueOnce({
+        success: true,
+        output: 'TAP version 13\nok 1 - adds items\nok 2 - computes the total\n1..2',
+      });
+
+      const checked = await checkAgainstBaseline(fixResult, baseline, config);
+
+      expect(checked.fixResult).toMatchObject({
+        success: true,
+        outcomeDiff: { fixed: ['computes the total'] },
+      });
+      expect(checked.baseline).toEqual({ 'adds items': 'passed', 'computes the total': 'passed' });
+    });
+
+    it('should not re-run the suite for a fix judged by fixBug', async () => {
+      const testOutcomes = { 'adds items': 'passed', 'computes the total': 'passed' };
+
+      const checked = await checkAgainstBaseline({ ...fixResult, testOutcomes }, baseline, config);
+
+      expect(checked.baseline).toBe(testOutcomes);
+      expect(runTests).not.toHaveBeenCalled();
+    });
+
+    it('should target the baseline failures implicating the file', () => {
+      const failure = (name, file) => ({ name, file, message: '', stack: [] });
+      const grouping = {
+        byFile: { './src/cart.js': { failures: [failure('computes the total', null)] } },
+        unattributed: [failure('adds items', null), failure('computes the total', null)],
+      };
+
+      expect(createFixBaseline('./src/cart.js', grouping, baseline)).toEqual({
+        outcomes: baseline,
+        targetTests: ['computes the total'],
+      });
+      // Files no failure implicates target the unattributed failures that failed before
+      expect(createFixBaseline('./src/tax.js', grouping, baseline).targetTests).toEqual([
+        'computes the total',
+      ]);
+      expect(createFixBaseline('./src/cart.js', grouping, null)).toBeUndefined();
+    });
+
+    it('should reject and revert a fix that breaks a passing test', async () => {
+      vi.mocked(runTests).mockResolvedValueOnce({
+        success: false,
+        output: 'TAP version 13\nnot ok 1 - adds items\nok 2 - computes the total\n1..2',
+      });
+
+      const checked = await checkAgainstBaseline(fixResult, baseline, config);
+
+      expect(checked.fixResult).toMatchObject({
+        success: false,
+        reverted: true,
+        error: 'Fix rejected: 1 previously passing test(s) now fail: adds items',
+        outcomeDiff: { broken: ['adds items'] },
+      });
+      expect(checked.baseline).toBe(baseline);
+      expect(writeFileContent).toHaveBeenCalledWith('./src/cart.js', 'original');
+    });
+  });
+
+  describe('pull request mode', () => {
+    it('should not touch git when the pull request cannot be opened', async () => {
+      const config = createCIConfig({ mode: 'pr', githubToken: 'token' });
+
+      const delivered = await openFixPullRequest({ fixes: [] }, config, {
+        repository: 'octo/shop',
+        pullRequest: null,
+      });
+
+      expect(config.githubApiUrl).toBe(process.env.GITHUB_API_URL || 'https://api.github.com');
+      expect(delivered).toEqual({
+        success: false,
+        committed: false,
+        error: 'Pull request mode needs a repository, a base branch and a GitHub token',
+      });
+    });
+
+    it('should post a review instead of committing in review mode', async () => {
+      const config = createCIConfig({ mode: 'review', githubToken: '', repository: 'octo/shop' });
+      const result = {
+        successful: 1,
+        fixes: [{ success: true, filename: './src/cart.js', originalCode: 'broken cart' }],
+      };
+
+      const delivered = await deliverFixes(result, config);
+
+      expect(delivered.committed).toBeUndefined();
+      expect(delivered.reviewError).toBe(
+        'Review mode needs a pull_request event, a repository and a GitHub token'
+      );
+      expect(writeFileContent).toHaveBeenCalledWith('./src/cart.js', 'broken cart');
+    });
+
+    it('should post one review per run instead of retrying', async () => {
+      vi.mocked(runTests).mockResolvedValue({
+        success: false,
+        output: 'Error: expected -1 to equal 5\n    at total (/repo/src/cart.js:3:9)',
+      });
+      vi.mocked(fixBug).mockResolvedValue({
+        success: true,
+        filename: './src/cart.js',
+        originalCode: 'broken cart',
+        fixedCode: 'fixed cart',
+      });
+
+      const result = await runCIFixWithRetries({
+        ...options,
+        mode: 'review',
+        githubToken: '',
+        testCommand: 'npm test',
+        regressionCheck: false,
+        loopGuard: false,
+        maxRetries: 3,
+      });
+
+      expect(result).toMatchObject({ successful: 1, attempts: 1, finalTestsPassed: false });
+      expect(result.reviewError).toBeDefined();
+      expect(fixBug).toHaveBeenCalledTimes(1);
+      expect(runTests).toHaveBeenCalledTimes(1);
+      expect(writeFileContent).toHaveBeenCalledWith('./src/cart.js', 'broken cart');
+    });
+  });
+
+  describe('GitHub Actions report', () => {
+    it('should annotate failures at their mapped source line', () => {
+      const rootDir = mkdtempSync(join(tmpdir(), 'ci-report-'));
+      // Generated lines 1-3 map to lines 1, 2 and 4 of src/cart.ts
+      const map = {
+        version: 3,
+        sources: ['../src/cart.ts'],
+        names: [],
+        mappings: 'AAAA;AACA;AAEA',
+      };
+      const commands = [];
+
+      try {
+        mkdirSync(join(rootDir, 'dist'));
+        mkdirSync(join(rootDir, 'src'));
+        writeFileSync(join(rootDir, 'src/cart.ts'), 'export const total = () => 0;\n');
+        writeFileSync(join(rootDir, 'dist/cart.js'), 'a;\nb;\nc;\n');
+        writeFileSync(join(rootDir, 'dist/cart.js.map'), JSON.stringify(map));
+
+        const failure = createFailure({
+          name: 'Cart computes the total',
+          text: [
+            'AssertionError: expected -1 to equal 5',
+            `    at expect (${rootDir}/node_modules/chai/index.js:10:3)`,
+            `    at total (${rootDir}/dist/cart.js:3:1)`,
+          ].join('\n'),
+        });
+
+        reportCIRun({ failures: [failure], fixes: [] }, createCIConfig({ rootDir }), {
+          env: { GITHUB_ACTIONS: 'true' },
+          write: (command) => commands.push(command),
+        });
+
+        expect(commands).toEqual([
+          '::error file=src/cart.ts,line=4,title=Test failed%3A Cart computes the total::AssertionError: expected -1 to equal 5',
+        ]);
+      } finally {
+        rmSync(rootDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('loop guard', () => {
+    it('should skip without running tests when HEAD was committed by another fixer run', async () => {
+      const cwd = process.cwd();
+      const repo = mkdtempSync(join(tmpdir(), 'ci-loop-'));
+      const config = createCIConfig({ commitMessage: 'Fix cart', runId: 'run-1' });
+
+      try {
+        execSync('git init -q', { cwd: repo });
+        execSync(
+          `git -c user.name=t -c user.email=t@t commit -q --allow-empty -m "${createCommitMessage({}, config)}"`,
+          { cwd: repo }
+        );
+        process.chdir(repo);
+
+        const result = await runCIFix({ testCommand: 'npm test', runId: 'run-2' });
+
+        expect(result).toMatchObject({ skipped: true, totalAttempted: 0 });
+        expect(result.skipReason).toMatch(/^Commit \w{7} was made by the bug fixer$/);
+        expect(runTests).not.toHaveBeenCalled();
+      } finally {
+        process.chdir(cwd);
+        rmSync(repo, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('committing fixes', () => {
+    const fixes = [
+      { success: true, filename: './src/cart.js', fixedCode: 'fixed cart' },
+      { success: false, filename: './src/tax.js', error: 'Tests failed' },
+    ];
+
+    it('should only accept staged files with the code the fixer wrote', () => {
+      const fixedFiles = collectFixedFiles(fixes, process.cwd());
+
+      expect(fixedFiles).toEqual({ 'src/cart.js': 'fixed cart' });
+      expect(findUnexpectedChanges(fixedFiles, { 'src/cart.js': 'fixed cart' })).toEqual([]);
+      expect(
+        findUnexpectedChanges(fixedFiles, { 'src/cart.js': 'edited cart', '.env': 'SECRET=1' })
+      ).toEqual([
+        'src/cart.js differs from the code the fixer wrote',
+        '.env is staged but was not changed by a fix',
+      ]);
+    });
+
+    it('should commit the fixed files and leave workspace artifacts alone', () => {
+      const cwd = process.cwd();
+      const repo = mkdtempSync(join(tmpdir(), 'ci-commit-'));
+      const git = (command) => execSync(command, { cwd: repo, encoding: 'utf8' });
+
+      try {
+        git('git init -q && mkdir src');
+        writeFileSync(join(repo, 'src/cart.js'), 'broken cart');
+        git('git add . && git -c user.name=t -c user.email=t@t commit -qm init');
+        writeFileSync(join(repo, 'src/cart.js'), 'fixed cart');
+        writeFileSync(join(repo, 'coverage.json'), '{}');
+        process.chdir(repo);
+
+        expect(commitFixes(fixes, 'Fix cart')).toMatchObject({ success: true });
+        expect(git('git show --name-only --format= HEAD')).toBe('src/cart.js\n');
+        expect(git('git status --porcelain')).toBe('?? coverage.json\n');
+
+        writeFileSync(join(repo, 'src/cart.js'), 'edited cart');
+        git('git add coverage.json');
+
+        const aborted = commitFixes(fixes, 'Fix cart again');
+        expect(aborted.success).toBe(false);
+        expect(aborted.error).toContain('coverage.json is staged but was not changed by a fix');
+        expect(aborted.error).toContain('src/cart.js differs from the code the fixer wrote');
+        expect(git('git log --format=%s')).toBe('Fix cart\ninit\n');
+      } finally {
+        process.chdir(cwd);
+        rmSync(repo, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for syntax and export surface validation of generated code
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  checkSyntax,
+  compareExportSurface,
+  extractExportSurface,
+  runExternalParser,
+  validateExportSurface,
+  validateSyntax,
+} from '../../src/code-validation.js';
+
+const original = [
+  'export const total = (a, b) => a + b;',
+  'export function discount(cart) { return cart.discount; }',
+  'const legacy = function (value) { return value; };',
+  'export { legacy as format };',
+  'export default class Cart {}',
+].join('\n');
+
+describe('Code Validation', () => {
+  it('should report syntax errors with their position', () => {
+    expect(checkSyntax(original, 'cart.js').success).toBe(true);
+    expect(checkSyntax('export const App = () => <div>{name}</div>;', 'app.jsx').success).toBe(
+      true
+    );
+    expect(checkSyntax('export const total = (a: number) => a;', 'cart.ts').success).toBe(true);
+
+    const truncated = checkSyntax('export function total(a, b) {\n  return a +', 'cart.js');
+    expect(truncated.success).toBe(false);
+    expect(truncated.errors[0]).toMatch(/^2:\d+ /);
+  });
+
+  it('should extract ESM and CommonJS exports with their arity', () => {
+    expect(extractExportSurface(original, 'cart.js')).toEqual([
+      { name: 'default', arity: null },
+      { name: 'discount', arity: 1 },
+      { name: 'format', arity: 1 },
+      { name: 'total', arity: 2 },
+    ]);
+
+    const commonJs = 'function total(a, b) {}\nmodule.exports = { total, round: (n) => n };';
+    expect(extractExportSurface(commonJs, 'cart.cjs')).toEqual([
+      { name: 'round', arity: 1 },
+      { name: 'total', arity: 2 },
+    ]);
+  });
+
+  it('should detect removed, added and re-shaped exports', () => {
+    const changed = original
+      .replace('(a, b) => a + b', '(a) => a')
+      .replace('export { legacy as format };', 'export const extra = 1;');
+
+    expect(
+      compareExportSurface(
+        extractExportSurface(original, 'cart.js'),
+        extractExportSurface(changed, 'cart.js')
+      )
+    ).toEqual({
+      removed: ['format'],
+      added: ['extra'],
+      arityChanged: [{ name: 'total', before: 2, after: 1 }],
+      changed: true,
+    });
+
+    const result = validateExportSurface(original, changed, 'cart.js');
+    expect(result).toMatchObject({ success: false, stage: 'api' });
+    expect(result.error).toContain('changes total from 2 parameter(s) to 1 parameter(s)');
+    expect(
+      validateExportSurface(original, changed, 'cart.js', { allowApiChanges: true }).success
+    ).toBe(true);
+  });
+
+  it('should reject prose around code but tolerate files the parser already rejects', () => {
+    const result = validateSyntax(original, `Here is the fixed file:\n\n${original}`, 'cart.js');
+
+    expect(result).toMatchObject({ success: false, stage: 'syntax' });
+    expect(result.error).toContain('Generated code for cart.js does not parse:');
+
+    const flow = 'const total = (a: number) => a;';
+    expect(validateSyntax(flow, flow.replace('a;', 'a + 1;'), 'cart.js').success).toBe(true);
+    expect(validateSyntax('x = (', 'still not code (', 'notes.py').success).toBe(true);
+  });
+
+  it('should check other languages with an external parser', () => {
+    const parser = {
+      command: process.execPath,
+      args: [
+        '-e',
+        "if (require('fs').readFileSync(0, 'utf8').includes('(:')) { console.log('1:7 invalid syntax'); process.exit(1); }",
+      ],
+    };
+
+    expect(runExternalParser('def total(a, b):', parser)).toEqual({ success: true, errors: [] });
+    expect(runExternalParser('def total(:', parser)).toEqual({
+      success: false,
+      errors: ['1:7 invalid syntax'],
+    });
+    expect(runExternalParser('x', { command: 'missing-parser-for-tests', args: [] })).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for generated commit messages
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  buildCommitMessage,
+  collectFixedTests,
+  renderCommitTemplate,
+  summarizeRootCause,
+} from '../../src/commit-message.js';
+import { createFailure } from '../../src/test-reporters.js';
+
+const frameOptions = { rootDir: '/repo' };
+
+const totalFailure = createFailure({
+  name: 'Cart computes the total',
+  file: 'test/cart.test.js',
+  text: 'AssertionError: expected -1 to equal 5\n    at total (/repo/src/cart.js:3:9)\n    at /repo/test/cart.test.js:8:5',
+});
+
+const taxFailure = createFailure({
+  name: 'Tax rounds to cents',
+  text: 'TypeError: rate is undefined\n    at /repo/src/tax.js:12:3',
+});
+
+const fix = (filename, extra = {}) => ({ success: true, filename, ...extra });
+
+describe('Commit Message - Parts', () => {
+  it('should locate the root cause of a failure in a fixed file', () => {
+    expect(summarizeRootCause(totalFailure, './src/cart.js', frameOptions)).toBe(
+      'src/cart.js:3 (total): expected 5, received -1'
+    );
+    expect(summarizeRootCause(taxFailure, './src/tax.js', frameOptions)).toBe(
+      'src/tax.js:12: TypeError: rate is undefined'
+    );
+    expect(summarizeRootCause(taxFailure, './src/cart.js', frameOptions)).toBeNull();
+  });
+
+  it('should prefer the tests the regression check saw fixed', () => {
+    const failures = [totalFailure, taxFailure];
+
+    expect(collectFixedTests([fix('./src/cart.js')], failures, frameOptions)).toEqual([
+      'Cart computes the total',
+    ]);
+    expect(
+      collectFixedTests(
+        [fix('./src/cart.js', { outcomeDiff: { fixed: ['cart > adds items'] } })],
+        failures,
+        frameOptions
+      )
+    ).toEqual(['cart > adds items']);
+  });
+
+  it('should leave unknown placeholders in templates', () => {
+    expect(renderCommitTemplate('{type}: {summary} {unknown}', { type: 'fix', summary: 'x' })).toBe(
+      'fix: x {unknown}'
+    );
+  });
+});
+
+describe('Commit Message - Assembly', () => {
+  it('should build a conventional commit from the fixes', () => {
+    const result = {
+      fixes: [fix('./src/cart.js'), { success: false, filename: './src/tax.js' }],
+      failures: [totalFailure, taxFailure],
+    };
+
+    expect(buildCommitMessage(result, { frameOptions })).toBe(
+      [
+        'fix(cart): resolve 1 failing test(s)',
+        '',
+        'Root cause:',
+        '- src/cart.js:3 (total): expected 5, received -1',
+        '',
+        'Files:',
+        '- src/cart.js',
+        '',
+        'Fixed tests:',
+        '- Cart computes the total',
+      ].join('\n')
+    );
+  });
+
+  it('should follow a configured template and type', () => {
+    const result = { fixes: [fix('./src/cart.js'), fix('./src/tax.js')], failures: [] };
+
+    expect(
+      buildCommitMessage(result, {
+        template: '{type}{scope}: {summary} [skip ci]\n\n{files}',
+        type: 'chore',
+        frameOptions,
+      })
+    ).toBe('chore: resolve test failures in 2 files [skip ci]\n\n- src/cart.js\n- src/tax.js');
+  });
+});
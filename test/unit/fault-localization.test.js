@@ -0,0 +1,95 @@
+/**
+ * Unit tests for spectrum-based fault localization
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@jordanbmowry/agent-configuration/validation-utils', () => ({
+  createValidator: () => () => ({ success: true }),
+  createSafeParser: (schema) => (data) => schema.safeParse(data),
+}));
+
+import {
+  ochiai,
+  rankSuspects,
+  summarizeCoverage,
+  tarantula,
+} from '../../src/fault-localization.js';
+import { createFailure } from '../../src/test-reporters.js';
+
+const options = { rootDir: '/repo' };
+const files = ['./src/format.js', './src/cart.js', './src/tax.js'];
+
+const failures = [
+  createFailure({
+    name: 'Cart total',
+    text: 'boom\n    at total (/repo/src/cart.js:3:9)\n    at render (/repo/src/format.js:8:1)',
+  }),
+  createFailure({
+    name: 'Cart discount',
+    text: 'boom\n    at discount (/repo/src/cart.js:12:3)\n    at total (/repo/src/cart.js:3:9)',
+  }),
+];
+
+describe('Fault Localization', () => {
+  it('should compute Ochiai and Tarantula suspiciousness', () => {
+    expect(ochiai(2, 0, 2)).toBe(1);
+    expect(ochiai(0, 3, 2)).toBe(0);
+    expect(ochiai(1, 3, 1)).toBeCloseTo(0.5);
+    expect(tarantula(2, 0, 2, 4)).toBe(1);
+    expect(tarantula(1, 2, 2, 4)).toBeCloseTo(0.5);
+    expect(tarantula(0, 0, 2, 4)).toBe(0);
+  });
+
+  it('should rank files by failing tests and stack depth', () => {
+    const suspects = rankSuspects(files, failures, options);
+
+    expect(suspects.map((suspect) => suspect.file)).toEqual([
+      './src/cart.js',
+      './src/format.js',
+      './src/tax.js',
+    ]);
+    expect(suspects[0]).toMatchObject({
+      score: 1,
+      failingTests: 2,
+      depth: 0,
+      suspiciousness: null,
+    });
+    expect(suspects[1]).toMatchObject({ score: 0.25, failingTests: 1, depth: 1 });
+    expect(suspects[2]).toMatchObject({ score: 0, failingTests: 0, depth: null });
+    expect(suspects[0].functions.map((fn) => fn.name)).toEqual(['total', 'discount']);
+  });
+
+  it('should blend in coverage suspiciousness when per-test coverage is available', () => {
+    const coverage = {
+      tests: [
+        { passed: false, files: ['src/tax.js', '/repo/src/cart.js'] },
+        { passed: false, files: ['src/tax.js'] },
+        { passed: true, files: ['src/cart.js', 'src/format.js'] },
+        { passed: true, files: ['src/cart.js'] },
+      ],
+    };
+
+    expect(summarizeCoverage(coverage, '/repo')).toMatchObject({
+      totalFailed: 2,
+      totalPassed: 2,
+      files: {
+        './src/cart.js': { failed: 1, passed: 2 },
+        './src/tax.js': { failed: 2, passed: 0 },
+      },
+    });
+
+    const suspects = rankSuspects(files, failures, { ...options, coverage });
+    const tax = suspects.find((suspect) => suspect.file === './src/tax.js');
+
+    expect(tax).toMatchObject({ stackScore: 0, suspiciousness: 1, score: 0.5 });
+    expect(suspects.map((suspect) => suspect.file)).toEqual([
+      './src/cart.js',
+      './src/tax.js',
+      './src/format.js',
+    ]);
+    expect(
+      rankSuspects(files, failures, { ...options, coverage, formula: 'tarantula' })[1].file
+    ).toBe('./src/tax.js');
+  });
+});
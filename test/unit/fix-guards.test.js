@@ -0,0 +1,94 @@
+/**
+ * Unit tests for fix guards
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  checkFixGuards,
+  countDeletedLines,
+  extractExportedSymbols,
+  resolveFixGuards,
+} from '../../src/fix-guards.js';
+
+const original = Array.from(
+  { length: 20 },
+  (_, index) => `export const fn${index} = (value) => value + ${index};\n`
+).join('');
+
+describe('Fix Guards', () => {
+  it('should extract ESM and CommonJS exports', () => {
+    const code = [
+      'export async function load() {}',
+      'export default class Cart {}',
+      'const a = 1, b = 2;',
+      'export { a, b as total };',
+      'module.exports.legacy = a;',
+      'exports.other = b;',
+    ].join('\n');
+
+    expect(extractExportedSymbols(code)).toEqual([
+      'a',
+      'default',
+      'legacy',
+      'load',
+      'other',
+      'total',
+    ]);
+  });
+
+  it('should accept a focused fix', () => {
+    const fixed = original.replace('value + 3', 'value - 3');
+
+    expect(checkFixGuards(original, fixed)).toEqual({
+      passed: true,
+      violations: [],
+      rejectedReason: undefined,
+    });
+  });
+
+  it('should count deleted lines that start with dashes', () => {
+    const script = ['-- migrate users', 'SELECT 1;', '--verbose', '---', 'SELECT 2;', ''].join(
+      '\n'
+    );
+
+    expect(countDeletedLines(script, 'SELECT 1;\nSELECT 2;\n')).toBe(3);
+    expect(countDeletedLines(script, script)).toBe(0);
+  });
+
+  it('should reject fixes that delete most of the file and drop exports', () => {
+    const fixed = original
+      .split('\n')
+      .slice(0, 5)
+      .map((line) => `${line}\n`)
+      .join('');
+    const result = checkFixGuards(original, fixed);
+
+    expect(result.passed).toBe(false);
+    expect(result.violations[0]).toBe('deletes 75% of the original lines (limit 50%)');
+    expect(result.violations[1]).toMatch(/^removes exported symbol\(s\): fn10, fn11/);
+  });
+
+  it('should reject new suppression comments and process.exit calls', () => {
+    const fixed = `// eslint-disable-next-line\n${original}process.exit(0);\n`;
+
+    expect(checkFixGuards(original, fixed).violations).toEqual([
+      'adds a lint or type-check suppression comment',
+      'adds a process.exit() call',
+    ]);
+    expect(checkFixGuards(fixed, fixed).passed).toBe(true);
+
+    const python = 'def total(a, b):\n    return a - b\n';
+    expect(
+      checkFixGuards(python, 'def total(a, b):  # type: ignore\n    sys.exit(0)\n').violations
+    ).toEqual(['adds a lint or type-check suppression comment', 'adds a process.exit() call']);
+  });
+
+  it('should honor configured and disabled guards', () => {
+    const fixed = `${original}process.exit(1);\n`;
+
+    expect(
+      checkFixGuards(original, fixed, resolveFixGuards({ forbidProcessExit: false })).passed
+    ).toBe(true);
+    expect(checkFixGuards(original, '', resolveFixGuards(false)).passed).toBe(true);
+  });
+});
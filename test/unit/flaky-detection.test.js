@@ -0,0 +1,171 @@
+/**
+ * Unit tests for flaky failure detection
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/test-runner.js', () => ({
+  runTests: vi.fn(),
+}));
+
+import {
+  buildRerunCommand,
+  classifyFailures,
+  confirmFailures,
+  isEnvironmentFailure,
+} from '../../src/flaky-detection.js';
+import { createFailure, parseTestReport } from '../../src/test-reporters.js';
+import { runTests } from '../../src/test-runner.js';
+
+const total = createFailure({
+  name: 'Cart total',
+  file: 'test/cart.test.js',
+  text: 'expected -1 to equal 5',
+});
+const discount = createFailure({
+  name: 'Cart discount',
+  file: 'test/cart.test.js',
+  text: 'expected 0 to equal 1',
+});
+const api = createFailure({
+  name: 'Cart sync',
+  file: 'test/sync.test.js',
+  text: 'connect ECONNREFUSED 127.0.0.1:5432',
+});
+
+const tapOutput = (failing) =>
+  ['TAP version 13', ...failing.map((name, index) => `not ok ${index + 1} - ${name}`)].join('\n');
+
+describe('Flaky Failure Detection', () => {
+  beforeEach(() => {
+    vi.mocked(runTests).mockReset();
+  });
+
+  it('should recognize environment-related failures', () => {
+    expect(isEnvironmentFailure(api)).toBe(true);
+    expect(
+      isEnvironmentFailure(createFailure({ name: 'a', text: 'Test timed out in 5000ms.' }))
+    ).toBe(true);
+    expect(isEnvironmentFailure(total)).toBe(false);
+    expect(
+      isEnvironmentFailure(createFailure({ name: 'a', text: 'expected the timeout to be 30' }))
+    ).toBe(false);
+  });
+
+  it('should classify a bug thrown from a timer as deterministic when it always fails', () => {
+    const timer = createFailure({
+      name: 'Cart expires',
+      file: 'test/cart.test.js',
+      text: [
+        'TypeError: Cannot read properties of undefined (reading "items")',
+        '    at Timeout._onTimeout (/repo/src/cart.js:12:5)',
+        '    at listOnTimeout (node:internal/timers:573:17)',
+      ].join('\n'),
+    });
+    const runs = [
+      { success: false, failures: [timer] },
+      { success: false, failures: [timer] },
+    ];
+
+    expect(isEnvironmentFailure(timer)).toBe(false);
+    expect(classifyFailures([timer], runs).deterministic).toEqual([timer]);
+
+    // Even a runner timeout is a bug when it happens every time
+    const slow = createFailure({
+      name: 'Cart loads',
+      text: 'Exceeded timeout of 5000 ms for a test.',
+    });
+    expect(classifyFailures([slow], [{ success: false, failures: [slow] }]).deterministic).toEqual([
+      slow,
+    ]);
+  });
+
+  it('should classify failures from their re-runs', () => {
+    const runs = [
+      { success: false, failures: [total, api] },
+      { success: false, failures: [total, discount] },
+    ];
+
+    const result = classifyFailures([total, discount, api], runs);
+
+    expect(result.deterministic).toEqual([total]);
+    expect(result.flaky).toEqual([discount]);
+    expect(result.environment).toEqual([api]);
+    expect(result.classifications[1]).toMatchObject({ reproduced: 1, runs: 2 });
+
+    // A crashed re-run reproduces everything; a passing one reproduces nothing
+    expect(classifyFailures([total], [{ success: false, failures: [] }]).deterministic).toEqual([
+      total,
+    ]);
+    expect(classifyFailures([total], [{ success: true, failures: [] }]).flaky).toEqual([total]);
+  });
+
+  it('should re-run only the failing tests when a template is configured', () => {
+    const config = {
+      testCommand: 'npm test',
+      rerunTestCommand: 'npx vitest run {files} -t {testNamePattern}',
+    };
+
+    expect(buildRerunCommand([total, api], config)).toBe(
+      "npx vitest run test/cart.test.js test/sync.test.js -t 'Cart total|Cart sync'"
+    );
+    expect(buildRerunCommand([total], { testCommand: 'npm test' })).toBe('npm test');
+  });
+
+  it('should re-run the tests the configured number of times', async () => {
+    vi.mocked(runTests)
+      .mockResolvedValueOnce({ success: false, output: tapOutput(['Cart total']) })
+      .mockResolvedValueOnce({ success: false, output: tapOutput(['Cart total', 'Cart discount']) })
+      .mockResolvedValueOnce({ success: false, output: tapOutput(['Cart total']) });
+
+    const result = await confirmFailures(
+      [total, discount],
+      { testCommand: 'npm test', flakyReruns: 3 },
+      { timeout: 1000 }
+    );
+
+    expect(runTests).toHaveBeenCalledTimes(3);
+    expect(runTests).toHaveBeenCalledWith('npm test', { timeout: 1000 });
+    expect(result.command).toBe('npm test');
+    expect(result.deterministic).toEqual([total]);
+    expect(result.flaky).toEqual([discount]);
+  });
+
+  it('should confirm a failure from a JSON report with a console re-run', async () => {
+    const report = JSON.stringify({
+      testResults: [
+        {
+          name: '/repo/test/cart.test.js',
+          assertionResults: [
+            {
+              fullName: 'Cart computes the total',
+              ancestorTitles: ['Cart'],
+              title: 'computes the total',
+              status: 'failed',
+              failureMessages: ['expected -1 to equal 5'],
+            },
+          ],
+        },
+      ],
+    });
+    const [failure] = parseTestReport(report).failures;
+    vi.mocked(runTests).mockResolvedValue({
+      success: false,
+      output: [
+        'FAIL test/cart.test.js',
+        '  ● Cart › computes the total',
+        '',
+        '    expected -1 to equal 5',
+      ].join('\n'),
+    });
+
+    const result = await confirmFailures(
+      [failure],
+      { testCommand: 'npm test', rerunTestCommand: 'npx jest {files}', flakyReruns: 2 },
+      {}
+    );
+
+    expect(failure.name).toBe('Cart computes the total');
+    expect(result.deterministic).toEqual([failure]);
+  });
+});
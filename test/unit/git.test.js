@@ -0,0 +1,80 @@
+/**
+ * Unit tests for git operations
+ */
+
+import { execFileSync } from 'node:child_process';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  commitChanges,
+  configureGit,
+  createBranch,
+  isValidBranchName,
+  pushBranch,
+  runGit,
+  stageChanges,
+} from '../../src/git.js';
+
+describe('Git - Branch Names', () => {
+  it('should reject names git would read as options or refuse', () => {
+    expect(isValidBranchName('bug-fixer/1234')).toBe(true);
+    expect(isValidBranchName('-f')).toBe(false);
+    expect(isValidBranchName('bug-fixer/../main')).toBe(false);
+    expect(isValidBranchName('bug fixer')).toBe(false);
+    expect(isValidBranchName('x;rm -rf /')).toBe(false);
+  });
+});
+
+describe('Git - Commands', () => {
+  const cwd = process.cwd();
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'git-ops-'));
+    execFileSync('git', ['init', '-q', '--bare', 'remote.git'], { cwd: dir });
+    execFileSync('git', ['clone', '-q', 'remote.git', 'work'], { cwd: dir, stdio: 'pipe' });
+    process.chdir(join(dir, 'work'));
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should pass names, messages and paths to git verbatim', () => {
+    const message = 'fix: handle "quotes" and $(touch pwned) `touch pwned`';
+    writeFileSync('a $(touch pwned).js', 'fixed');
+
+    expect(configureGit('Bot "$(touch pwned)"', 'bot@example.com')).toMatchObject({
+      success: true,
+    });
+    expect(stageChanges(['a $(touch pwned).js'])).toMatchObject({ success: true });
+    expect(commitChanges(message)).toMatchObject({ success: true });
+
+    expect(runGit(['config', 'user.name']).trim()).toBe('Bot "$(touch pwned)"');
+    expect(runGit(['log', '--format=%B']).trim()).toBe(message);
+    expect(runGit(['show', '--name-only', '--format=', 'HEAD'])).toBe('a $(touch pwned).js\n');
+    expect(existsSync('pwned')).toBe(false);
+  });
+
+  it('should create and push a branch, and report git errors', () => {
+    configureGit();
+    writeFileSync('a.js', 'fixed');
+    stageChanges(['a.js']);
+    commitChanges('init');
+
+    expect(createBranch('bug-fixer/1234')).toMatchObject({ success: true });
+    expect(pushBranch('bug-fixer/1234')).toMatchObject({ success: true });
+    expect(runGit(['ls-remote', '--heads', 'origin']).trim()).toMatch(
+      /refs\/heads\/bug-fixer\/1234$/
+    );
+    expect(runGit(['rev-parse', '--abbrev-ref', '@{upstream}']).trim()).toBe(
+      'origin/bug-fixer/1234'
+    );
+
+    expect(createBranch('-f')).toEqual({ success: false, error: 'Invalid branch name: -f' });
+    expect(stageChanges(['missing.js']).error).toMatch(/^git add failed: .*missing\.js/);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for GitHub Actions reporting
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+import {
+  buildStepSummary,
+  createFailureAnnotations,
+  createFixAnnotations,
+  createStepOutputs,
+  formatWorkflowCommand,
+  reportToGitHubActions,
+} from '../../src/github-actions.js';
+import { createUnifiedDiff } from '../../src/patch.js';
+import { createFailure } from '../../src/test-reporters.js';
+
+const failure = createFailure({
+  name: 'Cart computes the total',
+  file: 'test/cart.test.js',
+  text: 'AssertionError: expected -1 to equal 5\n    at total (/repo/src/cart.js:3:9)',
+});
+
+const original = 'export const total = (a, b) => {\n  return a;\n};\n';
+const fixedCode = 'export const total = (a, b) => {\n  return a + b;\n};\n';
+
+const result = {
+  totalAttempted: 2,
+  successful: 1,
+  failed: 1,
+  failures: [failure],
+  fixes: [
+    {
+      success: true,
+      filename: './src/cart.js',
+      originalCode: original,
+      fixedCode,
+      patch: createUnifiedDiff(original, fixedCode, 'src/cart.js'),
+      linesChanged: 1,
+      attempts: [{ attempt: 1 }, { attempt: 2 }],
+      cost: { estimated: 0.003, actual: 0.002 },
+    },
+    {
+      success: false,
+      filename: './src/tax.js',
+      error: 'Fix rejected: a | b',
+      attempts: [{ attempt: 1 }],
+      cost: { estimated: 0.001, actual: 0 },
+    },
+  ],
+  committed: true,
+  finalTestsPassed: true,
+  attempts: 2,
+};
+
+describe('GitHub Actions - Workflow Commands', () => {
+  it('should escape messages and property values', () => {
+    expect(
+      formatWorkflowCommand('error', { file: 'a,b.js', line: 3, col: undefined }, '50%\nfailed')
+    ).toBe('::error file=a%2Cb.js,line=3::50%25%0Afailed');
+    expect(formatWorkflowCommand('notice', {}, 'done')).toBe('::notice::done');
+  });
+
+  it('should annotate failures at their source line and fixes at their first change', () => {
+    expect(createFailureAnnotations([failure], { rootDir: '/repo' })).toEqual([
+      '::error file=src/cart.js,line=3,title=Test failed%3A Cart computes the total::AssertionError: expected -1 to equal 5',
+    ]);
+    expect(createFixAnnotations(result.fixes)).toEqual([
+      '::notice file=src/cart.js,line=2,title=Fixed by bug fixer::1 line(s) changed after 2 attempt(s)',
+      '::warning file=src/tax.js,title=Bug fixer could not fix this file::Fix rejected: a | b',
+    ]);
+  });
+
+  it('should describe failed fixes without an error', () => {
+    const title = 'title=Bug fixer could not fix this file';
+
+    expect(
+      createFixAnnotations([
+        { success: false, filename: './src/tax.js' },
+        { success: false, filename: './src/tax.js', reason: 'Skipped: 100% flaky\r\nretry later' },
+      ])
+    ).toEqual([
+      `::warning file=src/tax.js,${title}::Fix failed`,
+      `::warning file=src/tax.js,${title}::Skipped: 100%25 flaky%0D%0Aretry later`,
+    ]);
+  });
+});
+
+describe('GitHub Actions - Summary and Outputs', () => {
+  it('should summarize per-file outcomes, diffs, attempts and cost', () => {
+    const summary = buildStepSummary(result);
+
+    expect(summary).toContain('- Files fixed: 1 of 2');
+    expect(summary).toContain('- Runs: 2');
+    expect(summary).toContain('- Cost: $0.0030');
+    expect(summary).toContain('| `src/cart.js` | ✅ Fixed | 2 | $0.0020 |');
+    expect(summary).toContain('| `src/tax.js` | ❌ Fix rejected: a \\| b | 1 | $0.0010 |');
+    expect(summary).toContain('```diff\n--- a/src/cart.js');
+    expect(createStepOutputs(result)).toEqual({ fixed: 'true', committed: 'true', attempts: '2' });
+    expect(buildStepSummary({ skipped: true, skipReason: 'Cooling down' })).toContain(
+      '- Skipped: Cooling down'
+    );
+  });
+
+  it('should write annotations, the summary and outputs only inside GitHub Actions', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'actions-'));
+    const env = {
+      GITHUB_ACTIONS: 'true',
+      GITHUB_STEP_SUMMARY: join(dir, 'summary.md'),
+      GITHUB_OUTPUT: join(dir, 'output'),
+    };
+    const commands = [];
+
+    try {
+      expect(reportToGitHubActions(result, { env: {}, write: (line) => commands.push(line) })).toBe(
+        false
+      );
+      expect(commands).toEqual([]);
+
+      expect(
+        reportToGitHubActions(result, {
+          env,
+          frameOptions: { rootDir: '/repo' },
+          write: (line) => commands.push(line),
+        })
+      ).toBe(true);
+      expect(commands).toHaveLength(3);
+      expect(readFileSync(env.GITHUB_STEP_SUMMARY, 'utf8')).toMatch(/^## 🤖 Bug Fixer/);
+      expect(readFileSync(env.GITHUB_OUTPUT, 'utf8')).toBe(
+        'fixed=true\ncommitted=true\nattempts=2\n'
+      );
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -39,6 +39,7 @@ vi.mock('../../src/config-adapter.js', () => ({
 
 // Mock cost monitor
 vi.mock('@jordanbmowry/agent-configuration/cost-monitor', () => ({
+  calculateCost: vi.fn(() => 0.0002),
   estimateCost: vi.fn(() => 0.001),
   isWithinLimits: vi.fn(() => ({ allowed: true })),
 }));
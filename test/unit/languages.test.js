@@ -0,0 +1,54 @@
+/**
+ * Unit tests for language profiles
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  defaultTestCommand,
+  detectProjectLanguage,
+  getLanguageProfile,
+  stripCodeFence,
+} from '../../src/languages.js';
+
+describe('Language Profiles', () => {
+  it('should find the profile of a file by extension', () => {
+    expect(getLanguageProfile('src/cart.tsx').name).toBe('typescript');
+    expect(getLanguageProfile('app/cart.py').name).toBe('python');
+    expect(getLanguageProfile('cart.go').name).toBe('go');
+    expect(getLanguageProfile('src/lib.rs').name).toBe('rust');
+    expect(getLanguageProfile('README.md')).toBeNull();
+  });
+
+  it("should strip untagged fences and fences tagged with the file's language", () => {
+    expect(stripCodeFence('```python\ndef total():\n    pass\n```', 'cart.py')).toBe(
+      'def total():\n    pass'
+    );
+    expect(stripCodeFence('```\nfn main() {}\n```', 'main.rs')).toBe('fn main() {}');
+    expect(stripCodeFence('```js\nconst a = 1;\n```')).toBe('const a = 1;');
+    expect(stripCodeFence('```go\npackage cart\n```', 'cart.py')).toBe('```go\npackage cart\n```');
+  });
+
+  describe('project detection', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = mkdtempSync(join(tmpdir(), 'languages-test-'));
+    });
+
+    afterEach(() => {
+      rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should pick the default test command from marker files', () => {
+      expect(detectProjectLanguage(rootDir)).toBeNull();
+      expect(defaultTestCommand(rootDir)).toBe('npm test');
+
+      writeFileSync(join(rootDir, 'go.mod'), 'module example.com/cart\n');
+      expect(defaultTestCommand(rootDir)).toBe('go test ./...');
+      expect(defaultTestCommand(rootDir, 'rust')).toBe('cargo test');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the fix loop guard
+ */
+
+import { execSync } from 'node:child_process';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+import {
+  addFixerTrailer,
+  checkLoopGuard,
+  createStateKey,
+  evaluateLoopGuard,
+  isFixerCommit,
+  readFixerTrailer,
+  readLoopState,
+  recordAttempt,
+  resolveLoopGuard,
+  writeLoopState,
+} from '../../src/loop-guard.js';
+
+const guard = resolveLoopGuard({ maxAttempts: 2, cooldownMinutes: 10 }, {});
+const now = Date.parse('2026-10-19T12:00:00Z');
+const minutesAgo = (minutes) => new Date(now - minutes * 60000).toISOString();
+
+describe('Loop Guard - Fixer Commits', () => {
+  it('should mark commits with the run that made them', () => {
+    const message = addFixerTrailer('fix(cart): resolve 1 failing test(s)\n', 42);
+
+    expect(message).toBe('fix(cart): resolve 1 failing test(s)\n\nBug-Fixer-Run: 42');
+    expect(readFixerTrailer(message)).toBe('42');
+    expect(readFixerTrailer('Bug-Fixer-Run is mentioned in passing')).toBeNull();
+  });
+
+  it('should only treat commits of other fixer runs as a loop', () => {
+    const fixerIdentity = { authorName: 'Auto Bug Fixer', authorEmail: 'action@github.com' };
+
+    expect(isFixerCommit({ message: 'fix\n\nBug-Fixer-Run: 41' }, 42)).toBe(true);
+    expect(isFixerCommit({ message: 'fix\n\nBug-Fixer-Run: 42' }, 42)).toBe(false);
+    expect(isFixerCommit({ ...fixerIdentity, message: 'Fix cart' }, 42)).toBe(true);
+    expect(
+      isFixerCommit({ authorName: 'Ada', authorEmail: 'ada@example.com', message: '' }, 42)
+    ).toBe(false);
+    expect(isFixerCommit(null, 42)).toBe(false);
+  });
+
+  it('should count attempts per pull request or branch', () => {
+    expect(createStateKey({ pullRequest: { number: 12 }, refName: '12/merge' })).toBe('pr-12');
+    expect(createStateKey({ pullRequest: null, refName: 'main' })).toBe('branch-main');
+    expect(createStateKey({})).toBe('local');
+    expect(resolveLoopGuard(false)).toBeNull();
+  });
+
+  it('should keep state in git notes by default inside GitHub Actions', () => {
+    const actions = { GITHUB_ACTIONS: 'true' };
+
+    expect(resolveLoopGuard({ store: undefined }, {}).store).toBe('file');
+    expect(resolveLoopGuard({}, actions).store).toBe('git-notes');
+    expect(resolveLoopGuard(undefined, actions).notesRef).toBe('refs/notes/bug-fixer');
+    expect(resolveLoopGuard({ store: 'file', stateFile: '.cache/state.json' }, actions).store).toBe(
+      'file'
+    );
+  });
+});
+
+describe('Loop Guard - Attempts and Cooldown', () => {
+  const decide = (entry, extra = {}) =>
+    evaluateLoopGuard({ guard, key: 'pr-12', runId: 'run-3', entry, now, ...extra });
+
+  it('should skip commits made by the fixer before looking at attempts', () => {
+    expect(decide(undefined, { fixerCommit: { sha: 'abcdef1234' } })).toEqual({
+      allowed: false,
+      reason: 'Commit abcdef1 was made by the bug fixer',
+    });
+    expect(decide(undefined)).toEqual({ allowed: true });
+  });
+
+  it('should cap runs and wait out the cooldown, but let a run retry', () => {
+    expect(decide({ runs: ['run-1', 'run-2'], lastAttemptAt: minutesAgo(60) })).toEqual({
+      allowed: false,
+      reason: 'Attempt limit reached for pr-12 (2 of 2)',
+    });
+    expect(decide({ runs: ['run-1'], lastAttemptAt: minutesAgo(4) })).toEqual({
+      allowed: false,
+      reason:
+        'Cooling down: the last attempt for pr-12 was 4 minute(s) ago (cooldown 10 minute(s))',
+    });
+    expect(decide({ runs: ['run-1'], lastAttemptAt: minutesAgo(10) })).toEqual({ allowed: true });
+    expect(decide({ runs: ['run-1', 'run-3'], lastAttemptAt: minutesAgo(0) })).toEqual({
+      allowed: true,
+    });
+  });
+
+  it('should record each run once', () => {
+    const state = recordAttempt({}, 'pr-12', 7, now);
+
+    expect(state).toEqual({ 'pr-12': { runs: ['7'], lastAttemptAt: '2026-10-19T12:00:00.000Z' } });
+    expect(recordAttempt(state, 'pr-12', 7, now + 60000)).toBe(state);
+    expect(recordAttempt(state, 'pr-12', 8, now)['pr-12'].runs).toEqual(['7', '8']);
+  });
+});
+
+describe('Loop Guard - Repository State', () => {
+  const inRepo = (test) => {
+    const cwd = process.cwd();
+    const dir = mkdtempSync(join(tmpdir(), 'loop-guard-'));
+    const git = (command, repo = 'repo') =>
+      execSync(command, { cwd: join(dir, repo), encoding: 'utf8' });
+
+    try {
+      execSync('git init -q --bare remote.git && git init -q repo', { cwd: dir });
+      git('git remote add origin ../remote.git');
+      git('git -c user.name=Ada -c user.email=ada@example.com commit -q --allow-empty -m init');
+      process.chdir(join(dir, 'repo'));
+      test({ dir, git });
+    } finally {
+      process.chdir(cwd);
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  it('should skip a run on a commit from another fixer run', () => {
+    inRepo(({ git }) => {
+      const run = { key: 'local', runId: 'run-2', refs: ['HEAD', undefined], now };
+
+      expect(checkLoopGuard(guard, run).allowed).toBe(true);
+
+      git(
+        `git -c user.name=t -c user.email=t@t commit -q --allow-empty -m "${addFixerTrailer('fix', 'run-1')}"`
+      );
+      expect(checkLoopGuard(guard, run).reason).toMatch(/^Commit \w{7} was made by the bug fixer$/);
+      expect(checkLoopGuard(guard, { ...run, runId: 'run-1' }).allowed).toBe(true);
+    });
+  });
+
+  it('should keep state in the git directory by default', () => {
+    inRepo(({ dir }) => {
+      const state = recordAttempt({}, 'local', 'run-1', now);
+
+      expect(readLoopState(guard)).toEqual({});
+      expect(writeLoopState(guard, state).success).toBe(true);
+      expect(existsSync(join(dir, 'repo/.git/bug-fixer-state.json'))).toBe(true);
+      expect(checkLoopGuard(guard, { key: 'local', runId: 'run-2', refs: [], now })).toMatchObject({
+        allowed: false,
+        state,
+      });
+    });
+  });
+
+  it('should share state through git notes on the remote', () => {
+    inRepo(({ dir, git }) => {
+      const notes = resolveLoopGuard({ ...guard, store: 'git-notes' });
+      const state = recordAttempt({}, 'pr-12', 'run-1', now);
+
+      expect(writeLoopState(notes, state).success).toBe(true);
+
+      execSync('git clone -q remote.git clone', { cwd: dir });
+      process.chdir(join(dir, 'clone'));
+      expect(readLoopState(notes)).toEqual(state);
+      expect(git('git ls-remote ../remote.git refs/notes/bug-fixer', 'clone')).toContain(
+        'refs/notes/bug-fixer'
+      );
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for patch parsing, application and generation
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  applyPatch,
+  colorizeDiff,
+  createUnifiedDiff,
+  extractPatch,
+  parseUnifiedDiff,
+} from '../../src/patch.js';
+
+const source = [
+  'export const add = (a, b) => {',
+  '  return a - b;',
+  '};',
+  '',
+  'export const multiply = (a, b) => {',
+  '  return a * b;',
+  '};',
+  '',
+].join('\n');
+
+const fixPatch = [
+  '--- a/math.js',
+  '+++ b/math.js',
+  '@@ -1,3 +1,3 @@',
+  ' export const add = (a, b) => {',
+  '-  return a - b;',
+  '+  return a + b;',
+  ' };',
+  '',
+].join('\n');
+
+describe('Patch Utilities', () => {
+  describe('extractPatch', () => {
+    it('should strip diff markdown fences', () => {
+      const patch = extractPatch(`Here is the fix:\n\`\`\`diff\n${fixPatch}\`\`\`\n`);
+
+      expect(patch).toBe(fixPatch);
+    });
+
+    it('should return unfenced patches unchanged apart from a trailing newline', () => {
+      expect(extractPatch(fixPatch.trim())).toBe(fixPatch);
+    });
+  });
+
+  describe('parseUnifiedDiff', () => {
+    it('should parse hunks with headers', () => {
+      const parsed = parseUnifiedDiff(fixPatch);
+
+      expect(parsed.success).toBe(true);
+      expect(parsed.hunks).toHaveLength(1);
+      expect(parsed.hunks[0]).toMatchObject({ oldStart: 1, oldLines: 3, newStart: 1, newLines: 3 });
+      expect(Object.isFrozen(parsed)).toBe(true);
+    });
+
+    it('should reject patches without hunks', () => {
+      const parsed = parseUnifiedDiff('const fixed = true;\n');
+
+      expect(parsed.success).toBe(false);
+      expect(parsed.error).toContain('no hunks');
+    });
+
+    it('should reject truncated hunks', () => {
+      const truncated = fixPatch.split('\n').slice(0, 5).join('\n');
+      const parsed = parseUnifiedDiff(truncated);
+
+      expect(parsed.success).toBe(false);
+      expect(parsed.error).toContain('truncated');
+    });
+
+    it('should reject hunks longer than their header declares', () => {
+      const parsed = parseUnifiedDiff(`${fixPatch}+extra line\n`);
+
+      expect(parsed.success).toBe(false);
+      expect(parsed.error).toContain('Unexpected content');
+    });
+  });
+
+  describe('applyPatch', () => {
+    it('should apply a matching patch', () => {
+      const result = applyPatch(source, fixPatch);
+
+      expect(result.success).toBe(true);
+      expect(result.code).toContain('return a + b;');
+      expect(result.code).toContain('return a * b;');
+      expect(result.code.endsWith('\n')).toBe(true);
+    });
+
+    it('should locate context when line numbers are off', () => {
+      const shifted = fixPatch.replace('@@ -1,3 +1,3 @@', '@@ -12,3 +12,3 @@');
+      const result = applyPatch(`// header\n\n${source}`, shifted);
+
+      expect(result.success).toBe(true);
+      expect(result.code).toContain('return a + b;');
+    });
+
+    it('should tolerate trailing whitespace differences in context', () => {
+      const result = applyPatch(source.replace('};\n', '};  \n'), fixPatch);
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject hunks whose context does not match', () => {
+      const result = applyPatch(source.replace('a - b', 'a / b'), fixPatch);
+
+      expect(result.success).toBe(false);
+      expect(result.failedHunk).toBe(1);
+      expect(result.error).toContain('does not apply');
+    });
+
+    it('should apply multiple hunks in order', () => {
+      const patch = [
+        '@@ -2 +2 @@',
+        '-  return a - b;',
+        '+  return a + b;',
+        '@@ -6 +6 @@',
+        '-  return a * b;',
+        '+  return b * a;',
+        '',
+      ].join('\n');
+      const result = applyPatch(source, patch);
+
+      expect(result.success).toBe(true);
+      expect(result.code).toContain('return a + b;');
+      expect(result.code).toContain('return b * a;');
+    });
+  });
+
+  describe('createUnifiedDiff', () => {
+    it('should return an empty string for identical code', () => {
+      expect(createUnifiedDiff(source, source, 'math.js')).toBe('');
+    });
+
+    it('should produce a diff that applies back to the original', () => {
+      const fixed = source.replace('a - b', 'a + b').replace('a * b', 'a * b * 1');
+      const diff = createUnifiedDiff(source, fixed, 'math.js');
+
+      expect(diff).toContain('--- a/math.js');
+      expect(diff).toContain('-  return a - b;');
+      expect(diff).toContain('+  return a + b;');
+      expect(applyPatch(source, diff)).toEqual({ success: true, code: fixed });
+    });
+
+    it('should round-trip changes to the trailing newline', () => {
+      const fixed = source.trimEnd();
+      const diff = createUnifiedDiff(source, fixed, 'math.js');
+
+      expect(diff).toContain('\\ No newline at end of file');
+      expect(applyPatch(source, diff).code).toBe(fixed);
+    });
+
+    it('should diff a large rewrite as one replaced block instead of a quadratic table', () => {
+      const lines = Array.from({ length: 5000 }, (_, index) => `  value${index} = ${index};`);
+      const original = ['function setup() {', ...lines, '}', ''].join('\n');
+      const fixed = original.replace(/ = /g, ' =  ');
+
+      const diff = createUnifiedDiff(original, fixed, 'setup.js');
+      const { hunks } = parseUnifiedDiff(diff);
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0].lines.filter((line) => line.type === '-')).toHaveLength(5000);
+      expect(hunks[0].lines[5001]).toEqual({ type: '+', text: '  value0 =  0;' });
+      expect(applyPatch(original, diff)).toEqual({ success: true, code: fixed });
+    });
+  });
+
+  describe('colorizeDiff', () => {
+    it('should color added, removed and hunk header lines', () => {
+      const colored = colorizeDiff(fixPatch);
+
+      expect(colored).toContain('\u001b[32m+  return a + b;\u001b[0m');
+      expect(colored).toContain('\u001b[31m-  return a - b;\u001b[0m');
+      expect(colored).toContain('\u001b[36m@@ -1,3 +1,3 @@\u001b[0m');
+    });
+
+    it('should leave the diff untouched when disabled', () => {
+      expect(colorizeDiff(fixPatch, false)).toBe(fixPatch);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for AI provider selection and pricing
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@jordanbmowry/agent-configuration/cost-monitor', () => ({
+  calculateCost: vi.fn(() => 0.0002),
+  estimateCost: vi.fn(() => 0.001),
+}));
+
+import { calculateCost } from '@jordanbmowry/agent-configuration/cost-monitor';
+import {
+  calculateProviderCost,
+  createLanguageModel,
+  estimateProviderCost,
+  getProviderPricing,
+  resolveProviderConfig,
+} from '../../src/providers.js';
+
+describe('AI Providers', () => {
+  describe('resolveProviderConfig', () => {
+    it('should default to OpenAI', () => {
+      expect(resolveProviderConfig({ model: 'gpt-4o-mini' }).name).toBe('openai');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => resolveProviderConfig({ provider: 'mystery', model: 'x' })).toThrow(
+        'Unknown AI provider: mystery'
+      );
+    });
+
+    it('should require a base URL for OpenAI-compatible endpoints', () => {
+      expect(() => resolveProviderConfig({ provider: 'openai-compatible', model: 'x' })).toThrow(
+        'requires a baseURL'
+      );
+    });
+  });
+
+  describe('getProviderPricing', () => {
+    it('should match Anthropic models by prefix', () => {
+      const pricing = getProviderPricing({
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-latest',
+      });
+
+      expect(pricing).toEqual({ input: 0.8, output: 4 });
+    });
+
+    it('should treat OpenAI-compatible endpoints as free unless priced', () => {
+      const config = { provider: 'openai-compatible', baseURL: 'http://localhost:8080/v1' };
+
+      expect(getProviderPricing(config)).toEqual({ input: 0, output: 0 });
+      expect(getProviderPricing({ ...config, pricing: { input: 1, output: 2 } })).toEqual({
+        input: 1,
+        output: 2,
+      });
+    });
+
+    it('should leave OpenAI pricing to the shared cost monitor', () => {
+      expect(getProviderPricing({ provider: 'openai', model: 'gpt-4o' })).toBeNull();
+    });
+  });
+
+  describe('cost checks', () => {
+    it('should price Anthropic usage per million tokens', () => {
+      const config = { provider: 'anthropic', model: 'claude-sonnet-4-20250514' };
+
+      expect(calculateProviderCost(config, 1_000_000, 100_000)).toBeCloseTo(4.5);
+      expect(estimateProviderCost(config, 'x'.repeat(4000), 1000)).toBeCloseTo(0.018);
+      expect(calculateCost).not.toHaveBeenCalled();
+    });
+
+    it('should use the shared cost monitor for OpenAI', () => {
+      const cost = calculateProviderCost({ model: 'gpt-4o-mini' }, 100, 20);
+
+      expect(cost).toBe(0.0002);
+      expect(calculateCost).toHaveBeenCalledWith('gpt-4o-mini', 100, 20);
+    });
+  });
+
+  describe('createLanguageModel', () => {
+    it('should create models for each provider', () => {
+      const local = createLanguageModel({
+        provider: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+      });
+      const anthropic = createLanguageModel({ provider: 'anthropic', model: 'claude-3-5-haiku' });
+
+      expect(local.modelId).toBe('llama3.1');
+      expect(local.provider).toMatch(/^openai/);
+      expect(anthropic.modelId).toBe('claude-3-5-haiku');
+      expect(anthropic.provider).toMatch(/^anthropic/);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for fix pull requests
+ */
+
+import { createServer } from 'node:http';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  buildPullRequestBody,
+  buildPullRequestTitle,
+  createFixBranchName,
+  createGitHubClient,
+  openPullRequest,
+  parseRepository,
+  resolveFixOrigin,
+} from '../../src/pull-request.js';
+
+const fix = {
+  success: true,
+  filename: './src/cart.js',
+  patch: '--- a/src/cart.js\n+++ b/src/cart.js\n@@ -1 +1 @@\n-return a - b;\n+return a + b;\n',
+  model: 'gpt-4o-mini',
+  cost: { estimated: 0.002, actual: 0.0015 },
+  attempts: [{ attempt: 1 }, { attempt: 2 }],
+};
+
+const failures = [
+  { name: 'Cart computes the total', file: 'test/cart.test.js', message: 'expected -1 to be 5' },
+];
+
+describe('Pull Request - Content', () => {
+  it('should name the branch after the run and parse the repository', () => {
+    expect(createFixBranchName(1234)).toBe('bug-fixer/1234');
+    expect(parseRepository('octo/shop')).toEqual({ owner: 'octo', repo: 'shop' });
+    expect(parseRepository('not a repo')).toBeNull();
+  });
+
+  it('should link the originating pull request or commit', () => {
+    const fromPullRequest = resolveFixOrigin({
+      sha: 'abc123',
+      pullRequest: { number: 12, headRef: 'feature/cart' },
+    });
+    const fromCommit = resolveFixOrigin({ sha: 'abc123', refName: 'main', pullRequest: null });
+
+    expect(fromPullRequest).toMatchObject({ reference: '#12', branch: 'feature/cart' });
+    expect(fromCommit).toMatchObject({ type: 'commit', reference: 'abc123', branch: 'main' });
+    expect(resolveFixOrigin({})).toBeNull();
+  });
+
+  it('should describe the failing tests, diffs, model and cost', () => {
+    const unfixed = { success: false, filename: './src/tax.js', error: 'Tests failed', cost: {} };
+    const body = buildPullRequestBody({ fixes: [fix, unfixed], failures }, { reference: '#12' });
+
+    expect(buildPullRequestTitle([fix])).toBe('🤖 Fix failing tests in src/cart.js');
+    expect(body).toContain('failed in #12.');
+    expect(body).toContain('- `Cart computes the total` (test/cart.test.js): expected -1 to be 5');
+    expect(body).toContain('### `src/cart.js`\n\n```diff\n--- a/src/cart.js');
+    expect(body).toContain('- `src/tax.js`: Tests failed');
+    expect(body).toContain('- Model: gpt-4o-mini');
+    expect(body).toContain('- Cost: $0.0015');
+    expect(body).toContain('- Attempts: 2');
+  });
+});
+
+describe('Pull Request - GitHub API', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let openPulls;
+
+  beforeEach(async () => {
+    requests = [];
+    openPulls = [];
+    server = createServer((request, response) => {
+      let data = '';
+      request.on('data', (chunk) => {
+        data += chunk;
+      });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, body: data && JSON.parse(data) });
+        const created = request.method === 'POST' && request.url.endsWith('/pulls');
+        response.writeHead(created ? 201 : 200, { 'content-type': 'application/json' });
+        response.end(
+          JSON.stringify(
+            request.method === 'GET'
+              ? openPulls
+              : { number: 13, html_url: 'http://github.test/octo/shop/pull/13' }
+          )
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const pullRequest = {
+    owner: 'octo',
+    repo: 'shop',
+    head: 'bug-fixer/1234',
+    base: 'feature/cart',
+    title: 'Fix',
+    body: 'Body',
+    labels: ['bug-fixer'],
+  };
+
+  it('should open a labelled pull request against a configurable API', async () => {
+    const client = createGitHubClient({ token: 'token', baseUrl });
+
+    const opened = await openPullRequest(client, pullRequest);
+
+    expect(opened).toEqual({
+      number: 13,
+      url: 'http://github.test/octo/shop/pull/13',
+      created: true,
+    });
+    expect(requests.map(({ method, url }) => `${method} ${url}`)).toEqual([
+      'GET /repos/octo/shop/pulls?head=octo%3Abug-fixer%2F1234&state=open',
+      'POST /repos/octo/shop/pulls',
+      'POST /repos/octo/shop/issues/13/labels',
+    ]);
+    expect(requests[1].body).toEqual({
+      head: 'bug-fixer/1234',
+      base: 'feature/cart',
+      title: 'Fix',
+      body: 'Body',
+    });
+    expect(requests[2].body).toEqual({ labels: ['bug-fixer'] });
+  });
+
+  it('should update the pull request already open for the branch', async () => {
+    openPulls = [{ number: 7, html_url: 'http://github.test/octo/shop/pull/7' }];
+
+    const opened = await openPullRequest(
+      createGitHubClient({ token: 'token', baseUrl }),
+      pullRequest
+    );
+
+    expect(opened).toEqual({
+      number: 7,
+      url: 'http://github.test/octo/shop/pull/7',
+      created: false,
+    });
+    expect(requests.map(({ method, url }) => `${method} ${url}`)).toEqual([
+      'GET /repos/octo/shop/pulls?head=octo%3Abug-fixer%2F1234&state=open',
+      'PATCH /repos/octo/shop/pulls/7',
+      'POST /repos/octo/shop/issues/7/labels',
+    ]);
+    expect(requests[1].body).toEqual({ body: 'Body' });
+    expect(requests[2].body).toEqual({ labels: ['bug-fixer'] });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the regression baseline
+ */
+
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { describe, expect, it } from 'vitest';
+import {
+  compareOutcomes,
+  describeRegression,
+  recordTestOutcomes,
+} from '../../src/regression-baseline.js';
+
+const before = { a: 'passed', b: 'failed', c: 'passed', d: 'skipped', e: 'passed' };
+
+describe('Regression Baseline', () => {
+  it('should accept a fix that only turns failing tests green', () => {
+    const diff = compareOutcomes(before, { ...before, b: 'passed' });
+
+    expect(diff).toMatchObject({ broken: [], fixed: ['b'], regressed: false });
+  });
+
+  it('should reject a fix that breaks previously passing tests', () => {
+    const diff = compareOutcomes(before, { ...before, b: 'passed', c: 'failed' });
+
+    expect(diff).toMatchObject({ broken: ['c'], fixed: ['b'], regressed: true });
+    expect(describeRegression(diff)).toBe('1 previously passing test(s) now fail: c');
+  });
+
+  it('should reject a fix that increases skipped tests', () => {
+    const { e, ...rest } = before;
+    const diff = compareOutcomes(before, { ...rest, a: 'skipped', b: 'passed' });
+
+    expect(diff).toMatchObject({
+      newlySkipped: ['a'],
+      missing: ['e'],
+      skippedBefore: 1,
+      skippedAfter: 2,
+      regressed: true,
+    });
+    expect(describeRegression(diff)).toBe(
+      '1 previously passing test(s) no longer run: e; skipped tests increased from 1 to 2'
+    );
+  });
+
+  it('should reject a fix that makes a passing suite disappear', () => {
+    const outcomes = {
+      'test/cart.test.js > adds items': 'passed',
+      'test/cart.test.js > computes the total': 'failed',
+      'test/tax.test.js > rounds': 'passed',
+    };
+    const diff = compareOutcomes(outcomes, { 'test/cart.test.js > computes the total': 'passed' });
+
+    expect(diff).toMatchObject({
+      broken: [],
+      vanished: ['test/cart.test.js > adds items', 'test/tax.test.js > rounds'],
+      regressed: true,
+    });
+
+    // Tests that failed before may disappear without counting against the fix
+    expect(compareOutcomes({ a: 'passed', b: 'failed' }, { a: 'passed' }).regressed).toBe(false);
+  });
+
+  it('should not read a report left behind by an earlier run', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'baseline-'));
+    const reportFile = join(dir, 'report.tap');
+
+    try {
+      writeFileSync(reportFile, 'TAP version 13\nok 1 - adds items\n');
+
+      const crashed = await recordTestOutcomes('node -e "process.exit(1)"', {}, reportFile);
+
+      expect(crashed).toMatchObject({ success: false, format: 'text', outcomes: null });
+      expect(existsSync(reportFile)).toBe(false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for review suggestions
+ */
+
+import { createServer } from 'node:http';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createUnifiedDiff } from '../../src/patch.js';
+import { createGitHubClient } from '../../src/pull-request.js';
+import {
+  buildReviewSummary,
+  createChangeBlocks,
+  parseCommentableLines,
+  placeSuggestions,
+  postReview,
+} from '../../src/review.js';
+
+const cart = [
+  'export const total = (items) => {',
+  '  let sum = 0;',
+  '  for (const item of items) {',
+  '    sum -= item.price;',
+  '  }',
+  '  return sum;',
+  '};',
+  '',
+].join('\n');
+
+// The pull request changed the loop body of an existing file
+const cartPatch = [
+  '@@ -2,4 +2,4 @@ export const total = (items) => {',
+  '   let sum = 0;',
+  '   for (const item of items) {',
+  '-    sum += item.price;',
+  '+    sum -= item.price;',
+  '   }',
+].join('\n');
+
+const fixFor = (filename, originalCode, fixedCode) => ({
+  success: true,
+  filename,
+  originalCode,
+  fixedCode,
+  patch: createUnifiedDiff(originalCode, fixedCode, filename.slice(2)),
+  model: 'gpt-4o-mini',
+  cost: { actual: 0.001 },
+  attempts: [{ attempt: 1 }],
+});
+
+const cartFix = fixFor('./src/cart.js', cart, cart.replace('sum -=', 'sum +='));
+
+describe('Review - Suggestion Placement', () => {
+  it('should only allow comments on lines inside the pull request diff', () => {
+    const commentable = parseCommentableLines(cartPatch);
+
+    expect(Object.keys(commentable)).toEqual(['2', '3', '4', '5']);
+    expect(commentable[4]).toEqual({ hunk: 0, text: '    sum -= item.price;' });
+    expect(parseCommentableLines(undefined)).toEqual({});
+  });
+
+  it('should split fixes into replaced blocks and anchor insertions', () => {
+    const fixed = cart.replace('  let sum = 0;\n', '  let sum = 0;\n  let count = 0;\n');
+
+    expect(createChangeBlocks(cart, cart.replace('sum -=', 'sum +='))).toEqual([
+      { startLine: 4, endLine: 4, lines: ['    sum += item.price;'] },
+    ]);
+    expect(createChangeBlocks(cart, fixed)).toEqual([
+      { startLine: 2, endLine: 2, lines: ['  let sum = 0;', '  let count = 0;'] },
+    ]);
+    expect(createChangeBlocks('a\nb\n', 'x\na\nb\n')).toEqual([
+      { startLine: 1, endLine: 1, lines: ['x', 'a'] },
+    ]);
+  });
+
+  it('should suggest the exact changed lines, spanning several lines when needed', () => {
+    const multiline = fixFor(
+      './src/cart.js',
+      cart,
+      cart.replace(
+        '  for (const item of items) {\n    sum -= item.price;',
+        '  for (const { price } of items) {\n    sum += price;'
+      )
+    );
+
+    expect(placeSuggestions(cartFix, cartPatch)).toEqual({
+      path: 'src/cart.js',
+      comments: [
+        {
+          path: 'src/cart.js',
+          line: 4,
+          side: 'RIGHT',
+          body: '```suggestion\n    sum += item.price;\n```',
+        },
+      ],
+      fallback: false,
+    });
+    expect(placeSuggestions(multiline, cartPatch).comments[0]).toMatchObject({
+      start_line: 3,
+      start_side: 'RIGHT',
+      line: 4,
+    });
+  });
+
+  it('should fall back to a patch for lines outside the diff or code that moved on', () => {
+    const outside = fixFor('./src/cart.js', cart, cart.replace('return sum;', 'return sum || 0;'));
+    const stale = fixFor('./src/cart.js', cart.replace('sum -=', 'sum *='), cart);
+
+    expect(placeSuggestions(outside, cartPatch)).toMatchObject({ comments: [], fallback: true });
+    expect(placeSuggestions(stale, cartPatch).fallback).toBe(true);
+    expect(placeSuggestions(cartFix, undefined).fallback).toBe(true);
+  });
+
+  it('should summarize suggestions and attach patches that could not be suggested', () => {
+    const taxFix = fixFor('./src/tax.js', 'rate\n', 'rate * 2\n');
+    const result = { fixes: [cartFix, taxFix], failures: [] };
+    const summary = buildReviewSummary(result, [
+      placeSuggestions(cartFix, cartPatch),
+      placeSuggestions(taxFix, undefined),
+    ]);
+
+    expect(summary).toContain('- `src/cart.js`: 1 suggestion(s) below');
+    expect(summary).toContain("- `src/tax.js`: changes lines outside this pull request's diff");
+    expect(summary).toContain('  ```diff\n  --- a/src/tax.js\n  +++ b/src/tax.js');
+    expect(summary).toContain('- Cost: $0.0020');
+  });
+});
+
+describe('Review - GitHub API', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeEach(async () => {
+    requests = [];
+    server = createServer((request, response) => {
+      let data = '';
+      request.on('data', (chunk) => {
+        data += chunk;
+      });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, body: data && JSON.parse(data) });
+        response.writeHead(200, { 'content-type': 'application/json' });
+        response.end(
+          JSON.stringify(
+            request.method === 'GET'
+              ? [{ filename: 'src/cart.js', patch: cartPatch }]
+              : { id: 99, html_url: 'http://github.test/octo/shop/pull/12#review-99' }
+          )
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should post one review with suggestions and a summary', async () => {
+    const taxFix = fixFor('./src/tax.js', 'rate\n', 'rate * 2\n');
+
+    const review = await postReview(createGitHubClient({ token: 'token', baseUrl }), {
+      owner: 'octo',
+      repo: 'shop',
+      pullNumber: 12,
+      commitId: 'abc123',
+      result: {
+        fixes: [cartFix, taxFix, { success: false, filename: './src/x.js' }],
+        failures: [],
+      },
+    });
+
+    expect(review).toEqual({
+      id: 99,
+      url: 'http://github.test/octo/shop/pull/12#review-99',
+      suggestions: 1,
+      attachments: 1,
+    });
+    expect(requests.map(({ method, url }) => `${method} ${url}`)).toEqual([
+      'GET /repos/octo/shop/pulls/12/files?per_page=100',
+      'POST /repos/octo/shop/pulls/12/reviews',
+    ]);
+    expect(requests[1].body).toMatchObject({
+      commit_id: 'abc123',
+      event: 'COMMENT',
+      comments: [{ path: 'src/cart.js', line: 4, side: 'RIGHT' }],
+    });
+    expect(requests[1].body.body).toContain('<details><summary>Patch</summary>');
+  });
+});
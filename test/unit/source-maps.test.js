@@ -0,0 +1,89 @@
+/**
+ * Unit tests for source map aware failure localization
+ */
+
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  createSourceMapResolver,
+  decodeInlineSourceMap,
+  extractSourceMappingURL,
+} from '../../src/source-maps.js';
+import { findSourceFrames } from '../../src/stack-trace.js';
+
+// Generated lines 1-3 map to lines 1, 2 and 4 of the first source
+const payload = { version: 3, sources: ['../src/cart.ts'], names: [], mappings: 'AAAA;AACA;AAEA' };
+
+const inlineMap = (map) =>
+  `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+
+describe('Source Maps', () => {
+  let rootDir;
+
+  beforeEach(async () => {
+    rootDir = await mkdtemp(join(tmpdir(), 'source-maps-test-'));
+    await mkdir(join(rootDir, 'dist'));
+    await mkdir(join(rootDir, 'src'));
+    await writeFile(join(rootDir, 'src', 'cart.ts'), 'export const total = () => 0;\n');
+  });
+
+  afterEach(async () => {
+    await rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should extract sourceMappingURL comments and decode inline maps', () => {
+    expect(extractSourceMappingURL('a();\n//# sourceMappingURL=a.js.map\n')).toBe('a.js.map');
+    expect(extractSourceMappingURL('/*# sourceMappingURL=b.css.map */')).toBe('b.css.map');
+    expect(extractSourceMappingURL('a();')).toBeNull();
+    expect(decodeInlineSourceMap(inlineMap(payload).replace('//# sourceMappingURL=', ''))).toEqual(
+      payload
+    );
+    expect(decodeInlineSourceMap('a.js.map')).toBeNull();
+  });
+
+  it('should map frames through referenced and adjacent .map files', async () => {
+    await writeFile(
+      join(rootDir, 'dist', 'cart.js'),
+      'a;\nb;\nc;\n//# sourceMappingURL=cart.js.map\n'
+    );
+    await writeFile(join(rootDir, 'dist', 'cart.js.map'), JSON.stringify(payload));
+    await writeFile(join(rootDir, 'dist', 'other.js'), 'a;\n');
+    await writeFile(join(rootDir, 'dist', 'other.js.map'), JSON.stringify(payload));
+
+    const { mapFrame } = createSourceMapResolver({ rootDir });
+    const frame = { function: 'total', file: 'dist/cart.js', line: 3, column: 1, internal: false };
+
+    expect(mapFrame(frame)).toMatchObject({
+      file: join(rootDir, 'src', 'cart.ts'),
+      line: 4,
+      generatedFile: 'dist/cart.js',
+    });
+    expect(mapFrame({ ...frame, file: join(rootDir, 'dist', 'other.js') })).toMatchObject({
+      file: join(rootDir, 'src', 'cart.ts'),
+      line: 4,
+    });
+    expect(mapFrame({ ...frame, file: 'src/cart.ts' })).toEqual({ ...frame, file: 'src/cart.ts' });
+  });
+
+  it('should resolve generated frames to the original source and never to build output', async () => {
+    await writeFile(join(rootDir, 'dist', 'cart.js'), `a;\nb;\nc;\n${inlineMap(payload)}\n`);
+    await writeFile(
+      join(rootDir, 'dist', 'empty.js'),
+      `a;\n${inlineMap({ ...payload, mappings: '' })}\n`
+    );
+
+    const sourceMapResolver = createSourceMapResolver({ rootDir });
+    const stack = [
+      `    at render (${join(rootDir, 'dist', 'empty.js')}:1:1)`,
+      `    at total (${join(rootDir, 'dist', 'cart.js')}:2:1)`,
+    ].join('\n');
+
+    expect(findSourceFrames(stack, { rootDir, sourceMapResolver })).toEqual([
+      expect.objectContaining({ path: './src/cart.ts', line: 2 }),
+    ]);
+    expect(sourceMapResolver.isGenerated('./dist/cart.js')).toBe(true);
+    expect(sourceMapResolver.isGenerated('./src/cart.ts')).toBe(false);
+  });
+});
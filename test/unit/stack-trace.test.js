@@ -0,0 +1,127 @@
+/**
+ * Unit tests for stack trace parsing
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  findSourceFrames,
+  globToRegExp,
+  parseStackFrame,
+  parseStackTrace,
+  toRepoPath,
+} from '../../src/stack-trace.js';
+
+const rootDir = '/repo';
+
+describe('Stack Trace Parsing', () => {
+  it('should parse named, anonymous and file:// frames', () => {
+    expect(parseStackFrame('    at total (/repo/src/cart.js:3:9)')).toEqual({
+      function: 'total',
+      file: '/repo/src/cart.js',
+      line: 3,
+      column: 9,
+      internal: false,
+    });
+    expect(parseStackFrame('    at /repo/src/cart.cjs:10:2')).toMatchObject({
+      function: null,
+      file: '/repo/src/cart.cjs',
+      line: 10,
+    });
+    expect(parseStackFrame('    at async load (file:///repo/src/load.mjs:7:15)')).toMatchObject({
+      function: 'async load',
+      file: '/repo/src/load.mjs',
+    });
+    expect(parseStackFrame('    at new Cart (src/cart.ts:4:11)')).toMatchObject({
+      function: 'new Cart',
+      file: 'src/cart.ts',
+    });
+    expect(parseStackFrame(' ❯ src/view.tsx:12:5')).toMatchObject({
+      file: 'src/view.tsx',
+      line: 12,
+      column: 5,
+    });
+  });
+
+  it('should parse Python, pytest, Go and Rust frames', () => {
+    expect(parseStackFrame('  File "/repo/app/cart.py", line 5, in total')).toEqual({
+      function: 'total',
+      file: '/repo/app/cart.py',
+      line: 5,
+      column: null,
+      internal: false,
+    });
+    expect(parseStackFrame('app/cart.py:5: in total')).toMatchObject({
+      function: 'total',
+      file: 'app/cart.py',
+      line: 5,
+    });
+    expect(parseStackFrame('\t/repo/cart.go:9 +0x29')).toMatchObject({
+      file: '/repo/cart.go',
+      line: 9,
+    });
+    expect(parseStackFrame("thread 'tests::total' panicked at src/lib.rs:16:9:")).toMatchObject({
+      file: 'src/lib.rs',
+      line: 16,
+      column: 9,
+    });
+    expect(parseStackFrame('  File "<string>", line 1, in <module>')?.internal).toBe(true);
+  });
+
+  it('should flag Node internals and skip frames without a position', () => {
+    const frames = parseStackTrace(
+      [
+        'Error: boom',
+        '    at Module._compile (node:internal/modules/cjs/loader:1256:14)',
+        '    at async Promise.all (index 0)',
+        '    at process.processTicksAndRejections (internal/process/task_queues.js:95:5)',
+      ].join('\n')
+    );
+
+    expect(frames).toHaveLength(2);
+    expect(frames.every((frame) => frame.internal)).toBe(true);
+  });
+
+  it('should resolve paths against the repository root', () => {
+    expect(toRepoPath('/repo/src/cart.js', rootDir)).toBe('./src/cart.js');
+    expect(toRepoPath('src/cart.js', rootDir)).toBe('./src/cart.js');
+    expect(toRepoPath('/elsewhere/lib.js', rootDir)).toBeNull();
+  });
+
+  it('should match globs', () => {
+    expect(globToRegExp('**/node_modules/**').test('node_modules/zod/index.js')).toBe(true);
+    expect(globToRegExp('**/*.test.*').test('test/unit/cart.test.ts')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/cart.js')).toBe(false);
+  });
+
+  it('should keep only repository source frames', () => {
+    const stack = [
+      '    at expect (/repo/node_modules/vitest/dist/index.js:1:1)',
+      '    at Object.<anonymous> (/repo/test/unit/cart.test.js:8:3)',
+      '    at node:internal/process/task_queues:95:5',
+      '    at /usr/lib/node/lib.js:1:1',
+      '    at total (file:///repo/src/cart.mjs:3:9)',
+      '    at render (/repo/generated/view.js:1:1)',
+    ].join('\n');
+
+    const paths = findSourceFrames(stack, {
+      rootDir,
+      excludeGlobs: ['**/test/**', 'generated/**'],
+    }).map((frame) => frame.path);
+
+    expect(paths).toEqual(['./node_modules/vitest/dist/index.js', './src/cart.mjs']);
+    expect(findSourceFrames(stack, { rootDir }).map((frame) => frame.path)).toEqual([
+      './src/cart.mjs',
+      './generated/view.js',
+    ]);
+
+    const polyglot = [
+      'tests/test_cart.py:4: in test_total',
+      '/repo/.venv/lib/site.py:1: in load',
+      '\t/repo/pkg/cart_test.go:16 +0x29',
+      '\t/repo/pkg/cart.go:9',
+    ].join('\n');
+    expect(findSourceFrames(polyglot, { rootDir }).map((frame) => frame.path)).toEqual([
+      './pkg/cart.go',
+    ]);
+  });
+});
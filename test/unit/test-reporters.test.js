@@ -0,0 +1,349 @@
+/**
+ * Unit tests for structured test reporter parsing
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  detectReportFormat,
+  extractExpectedReceived,
+  formatFailures,
+  parseTestOutcomes,
+  parseTestReport,
+} from '../../src/test-reporters.js';
+
+const jestReport = JSON.stringify({
+  numFailedTests: 1,
+  testResults: [
+    {
+      name: '/repo/test/cart.test.js',
+      status: 'failed',
+      assertionResults: [
+        { fullName: 'Cart adds items', status: 'passed', failureMessages: [] },
+        {
+          fullName: 'Cart computes the total',
+          status: 'failed',
+          failureMessages: [
+            '\u001b[31mError: expect(received).toBe(expected)\n\nExpected: 5\nReceived: -1\n    at Object.<anonymous> (/repo/src/cart.js:3:9)\n    at /repo/test/cart.test.js:8:5',
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+const mochaReport = JSON.stringify({
+  stats: { failures: 1 },
+  failures: [
+    {
+      title: 'computes the total',
+      fullTitle: 'Cart computes the total',
+      file: '/repo/test/cart.spec.js',
+      err: {
+        message: 'expected -1 to equal 5',
+        expected: 5,
+        actual: -1,
+        stack: 'AssertionError: expected -1 to equal 5\n    at total (src/cart.js:3:9)',
+      },
+    },
+  ],
+});
+
+const junitReport = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="test/cart.test.js" tests="2" failures="1">
+    <testcase classname="test/cart.test.js" name="Cart &gt; adds items" time="0.01"/>
+    <testcase classname="test/cart.test.js" name="Cart &gt; computes the total" time="0.01">
+      <failure message="expected -1 to be 5"><![CDATA[AssertionError: expected -1 to be 5 // Object.is equality
+ ❯ src/cart.js:3:9]]></failure>
+    </testcase>
+  </testsuite>
+</testsuites>`;
+
+const tapReport = `TAP version 13
+# Subtest: cart
+    not ok 1 - computes the total
+      ---
+      duration_ms: 1.2
+      location: 'file:///repo/test/cart.test.js:5:3'
+      failureType: 'testCodeFailure'
+      error: 'Expected values to be strictly equal'
+      expected: 5
+      actual: -1
+      stack: |-
+        at total (/repo/src/cart.js:3:9)
+        at TestContext.<anonymous> (/repo/test/cart.test.js:6:5)
+      ...
+    1..1
+not ok 1 - cart
+  ---
+  failureType: 'subtestsFailed'
+  error: '1 subtest failed'
+  ...
+1..1`;
+
+const pytestOutput = `============================= test session starts ==============================
+collected 3 items
+
+tests/test_cart.py::test_total FAILED                                    [ 33%]
+tests/test_cart.py::test_ok PASSED                                       [ 66%]
+tests/test_cart.py::TestCart::test_boom FAILED                           [100%]
+
+=================================== FAILURES ===================================
+__________________________________ test_total __________________________________
+tests/test_cart.py:4: in test_total
+    assert total(2, 3) == 5
+E   assert -1 == 5
+______________________________ TestCart.test_boom ______________________________
+tests/test_cart.py:11: in test_boom
+    boom()
+app/cart.py:5: in boom
+    raise ValueError("boom")
+E   ValueError: boom
+=========================== short test summary info ============================
+FAILED tests/test_cart.py::test_total - assert -1 == 5
+FAILED tests/test_cart.py::TestCart::test_boom - ValueError: boom
+========================= 2 failed, 1 passed in 0.02s ==========================`;
+
+const goOutput = `=== RUN   TestTotal
+    cart_test.go:7: Total(2, 3) = -1, want 5
+--- FAIL: TestTotal (0.00s)
+=== RUN   TestOk
+--- PASS: TestOk (0.00s)
+=== RUN   TestBoom
+--- FAIL: TestBoom (0.00s)
+panic: assignment to entry in nil map [recovered]
+
+goroutine 9 [running]:
+example.com/cart.Boom(...)
+	/repo/cart.go:9
+example.com/cart.TestBoom(0xc000007860?)
+	/repo/cart_test.go:16 +0x29
+FAIL	example.com/cart	0.004s
+FAIL`;
+
+const cargoOutput = `running 3 tests
+test tests::boom_panics ... FAILED
+test tests::ok ... ok
+test tests::skipped ... ignored
+
+failures:
+
+---- tests::boom_panics stdout ----
+
+thread 'tests::boom_panics' panicked at src/lib.rs:16:9:
+assertion \`left == right\` failed
+  left: -1
+ right: 5
+note: run with \`RUST_BACKTRACE=1\` environment variable to display a backtrace
+
+
+failures:
+    tests::boom_panics
+
+test result: FAILED. 1 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.00s`;
+
+describe('Test Reporters', () => {
+  describe('detectReportFormat', () => {
+    it('should recognize each supported format', () => {
+      expect(detectReportFormat(jestReport)).toBe('jest-json');
+      expect(detectReportFormat(mochaReport)).toBe('mocha-json');
+      expect(detectReportFormat(junitReport)).toBe('junit');
+      expect(detectReportFormat(tapReport)).toBe('tap');
+      expect(detectReportFormat(pytestOutput)).toBe('pytest');
+      expect(detectReportFormat(goOutput)).toBe('go-test');
+      expect(detectReportFormat(cargoOutput)).toBe('cargo-test');
+      expect(detectReportFormat('FAIL test/cart.test.js')).toBe('text');
+    });
+  });
+
+  describe('parseTestReport', () => {
+    it('should parse jest/vitest JSON failures', () => {
+      const { failures } = parseTestReport(jestReport);
+
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toEqual({
+        name: 'Cart computes the total',
+        file: '/repo/test/cart.test.js',
+        message: 'Error: expect(received).toBe(expected)\n\nExpected: 5\nReceived: -1',
+        expected: '5',
+        received: '-1',
+        stack: ['at Object.<anonymous> (/repo/src/cart.js:3:9)', 'at /repo/test/cart.test.js:8:5'],
+      });
+    });
+
+    it('should parse mocha JSON failures', () => {
+      const [failure] = parseTestReport(mochaReport).failures;
+
+      expect(failure).toMatchObject({
+        name: 'Cart computes the total',
+        file: '/repo/test/cart.spec.js',
+        expected: '5',
+        received: '-1',
+        stack: ['at total (src/cart.js:3:9)'],
+      });
+    });
+
+    it('should parse JUnit XML failures', () => {
+      const { failures } = parseTestReport(junitReport);
+
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toMatchObject({
+        name: 'Cart > computes the total',
+        file: 'test/cart.test.js',
+        expected: '5',
+        received: '-1',
+        stack: ['❯ src/cart.js:3:9'],
+      });
+    });
+
+    it('should parse TAP failures and skip failing parent suites', () => {
+      const { failures } = parseTestReport(tapReport);
+
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toMatchObject({
+        name: 'computes the total',
+        file: '/repo/test/cart.test.js',
+        message: 'Expected values to be strictly equal',
+        expected: '5',
+        received: '-1',
+      });
+      expect(failures[0].stack[0]).toBe('at total (/repo/src/cart.js:3:9)');
+    });
+
+    it('should parse pytest failures with their traceback locations', () => {
+      const { failures } = parseTestReport(pytestOutput);
+
+      expect(failures).toHaveLength(2);
+      expect(failures[0]).toMatchObject({
+        name: 'test_total',
+        file: 'tests/test_cart.py',
+        message: 'assert -1 == 5',
+        expected: '5',
+        received: '-1',
+      });
+      expect(failures[1]).toMatchObject({
+        name: 'TestCart.test_boom',
+        message: 'ValueError: boom',
+        stack: ['tests/test_cart.py:11: in test_boom', 'app/cart.py:5: in boom'],
+      });
+    });
+
+    it('should parse go test failures and panics', () => {
+      const { failures } = parseTestReport(goOutput);
+
+      expect(failures).toHaveLength(2);
+      expect(failures[0]).toMatchObject({
+        name: 'TestTotal',
+        file: 'cart_test.go',
+        message: 'Total(2, 3) = -1, want 5',
+        expected: '5',
+        received: '-1',
+      });
+      expect(failures[1]).toMatchObject({
+        name: 'TestBoom',
+        message: 'panic: assignment to entry in nil map [recovered]',
+        stack: ['/repo/cart.go:9', '/repo/cart_test.go:16 +0x29'],
+      });
+    });
+
+    it('should parse cargo test panics', () => {
+      const [failure] = parseTestReport(cargoOutput).failures;
+
+      expect(failure).toEqual({
+        name: 'tests::boom_panics',
+        file: 'src/lib.rs',
+        message: 'assertion `left == right` failed\n  left: -1\n right: 5',
+        expected: '5',
+        received: '-1',
+        stack: ["thread 'tests::boom_panics' panicked at src/lib.rs:16:9:"],
+      });
+    });
+
+    it('should fall back to text heuristics for console output', () => {
+      const output = [
+        'FAIL test/cart.test.js',
+        '  ● Cart › computes the total',
+        '',
+        '    expect(received).toBe(expected)',
+        '',
+        '    Expected: 5',
+        '    Received: -1',
+        '',
+        '      at Object.<anonymous> (src/cart.js:3:9)',
+      ].join('\n');
+
+      const report = parseTestReport(output);
+
+      expect(report.format).toBe('text');
+      expect(report.failures[0]).toMatchObject({
+        name: 'Cart > computes the total',
+        file: 'test/cart.test.js',
+        expected: '5',
+        received: '-1',
+        stack: ['at Object.<anonymous> (src/cart.js:3:9)'],
+      });
+    });
+  });
+
+  describe('extractExpectedReceived', () => {
+    it('should read chai-style assertion messages', () => {
+      expect(extractExpectedReceived('AssertionError: expected 4 to deeply equal 5')).toEqual({
+        expected: '5',
+        received: '4',
+      });
+    });
+  });
+
+  describe('formatFailures', () => {
+    it('should render failures for a fix prompt', () => {
+      const text = formatFailures(parseTestReport(mochaReport).failures);
+
+      expect(text).toContain('✕ Cart computes the total (/repo/test/cart.spec.js)');
+      expect(text).toContain('Expected: 5');
+      expect(text).toContain('Received: -1');
+      expect(text).toContain('    at total (src/cart.js:3:9)');
+    });
+  });
+
+  describe('parseTestOutcomes', () => {
+    it('should record passed, failed and skipped tests per format', () => {
+      expect(parseTestOutcomes(jestReport).outcomes).toEqual({
+        '/repo/test/cart.test.js > Cart adds items': 'passed',
+        '/repo/test/cart.test.js > Cart computes the total': 'failed',
+      });
+      expect(parseTestOutcomes(junitReport).outcomes).toEqual({
+        'test/cart.test.js > Cart > adds items': 'passed',
+        'test/cart.test.js > Cart > computes the total': 'failed',
+      });
+      expect(
+        parseTestOutcomes('TAP version 13\nok 1 - a\nnot ok 2 - b\nok 3 - c # SKIP later\n1..3')
+          .outcomes
+      ).toEqual({ a: 'passed', b: 'failed', c: 'skipped' });
+    });
+
+    it('should record outcomes from pytest, go test and cargo test output', () => {
+      expect(parseTestOutcomes(pytestOutput).outcomes).toEqual({
+        'tests/test_cart.py > test_total': 'failed',
+        'tests/test_cart.py > test_ok': 'passed',
+        'tests/test_cart.py > TestCart.test_boom': 'failed',
+      });
+      expect(parseTestOutcomes(goOutput).outcomes).toEqual({
+        TestTotal: 'failed',
+        TestOk: 'passed',
+        TestBoom: 'failed',
+      });
+      expect(parseTestOutcomes(cargoOutput).outcomes).toEqual({
+        'tests::boom_panics': 'failed',
+        'tests::ok': 'passed',
+        'tests::skipped': 'skipped',
+      });
+    });
+
+    it('should return no outcomes for console output', () => {
+      expect(parseTestOutcomes('FAIL test/cart.test.js')).toEqual({
+        format: 'text',
+        outcomes: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the test command runner
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  appendToCapture,
+  createCapture,
+  createTestRunResult,
+  renderCapture,
+  runTests,
+} from '../../src/test-runner.js';
+
+const node = (script) => `"${process.execPath}" -e "${script}"`;
+
+describe('Test Runner', () => {
+  describe('appendToCapture', () => {
+    it('should keep only the last maxOutput characters', () => {
+      const capture = ['abc', 'def', 'ghi'].reduce(
+        (current, chunk) => appendToCapture(current, chunk, 5),
+        createCapture()
+      );
+
+      expect(capture).toEqual({ text: 'efghi', dropped: 4 });
+      expect(renderCapture(capture)).toBe('... (4 characters of output dropped)\nefghi');
+    });
+  });
+
+  describe('createTestRunResult', () => {
+    it('should flag timeouts separately from failures', () => {
+      const result = createTestRunResult({
+        exitCode: null,
+        timedOut: true,
+        timeout: 100,
+        stdout: createCapture(),
+        stderr: createCapture(),
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.timedOut).toBe(true);
+      expect(result.error).toContain('timed out after 100ms');
+    });
+  });
+
+  describe('runTests', () => {
+    it('should capture output of a passing command', async () => {
+      const result = await runTests(node("console.log('ok')"));
+
+      expect(result).toMatchObject({ success: true, output: 'ok\n', timedOut: false, exitCode: 0 });
+    });
+
+    it('should report failing commands with stderr as the error', async () => {
+      const result = await runTests(node("console.error('boom'); process.exit(3)"));
+
+      expect(result).toMatchObject({ success: false, timedOut: false, exitCode: 3 });
+      expect(result.error).toBe('boom\n');
+    });
+
+    it('should kill the process tree when the timeout is exceeded', async () => {
+      const started = Date.now();
+      // The grandchild inherits the pipes, so close only fires once the whole tree is gone
+      const script = [
+        "const { spawn } = require('node:child_process');",
+        "spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'inherit' });",
+        'setInterval(() => {}, 1000);',
+      ].join(' ');
+      const result = await runTests(node(script), { timeout: 300 });
+
+      expect(result.success).toBe(false);
+      expect(result.timedOut).toBe(true);
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    it('should bound captured output instead of failing on large output', async () => {
+      const result = await runTests(node("process.stdout.write('x'.repeat(100000) + 'end')"), {
+        maxOutput: 10,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.truncated).toBe(true);
+      expect(result.output.endsWith('xxxxxxxend')).toBe(true);
+    });
+  });
+});
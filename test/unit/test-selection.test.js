@@ -0,0 +1,136 @@
+/**
+ * Unit tests for related test selection
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  extractFailingTestFiles,
+  extractFailingTestNames,
+  extractImportSpecifiers,
+  findRelatedTestFiles,
+  planTargetedTests,
+  renderTestCommand,
+  shellQuote,
+} from '../../src/test-selection.js';
+
+const rootDir = '/repo';
+
+const testSources = [
+  { file: 'test/unit/cart.test.js', code: "import { total } from '../../src/cart.js';" },
+  { file: 'src/__tests__/cart.spec.ts', code: "const cart = require('../cart');" },
+  { file: 'test/unit/price.test.js', code: "import { price } from '../../src/price.js';" },
+];
+
+describe('Test Selection', () => {
+  describe('extractImportSpecifiers', () => {
+    it('should find static, dynamic, require and mock specifiers', () => {
+      const code = [
+        "import a from './a.js';",
+        "export { b } from '../b';",
+        "const c = await import('./c.mjs');",
+        "const d = require('./d');",
+        "vi.mock('./e.js', () => ({}));",
+      ].join('\n');
+
+      expect(extractImportSpecifiers(code)).toEqual(['./a.js', '../b', './c.mjs', './d', './e.js']);
+    });
+  });
+
+  describe('findRelatedTestFiles', () => {
+    it('should match imports with and without extensions', () => {
+      expect(findRelatedTestFiles('src/cart.js', testSources, rootDir)).toEqual([
+        'test/unit/cart.test.js',
+        'src/__tests__/cart.spec.ts',
+      ]);
+    });
+
+    it('should match index imports of a directory', () => {
+      const sources = [{ file: 'test/a.test.js', code: "import x from '../src/utils';" }];
+
+      expect(findRelatedTestFiles('src/utils/index.js', sources, rootDir)).toEqual([
+        'test/a.test.js',
+      ]);
+    });
+  });
+
+  describe('extractFailingTestNames', () => {
+    it('should read vitest failures', () => {
+      const output = [
+        ' FAIL  test/unit/cart.test.js > Cart > computes the total',
+        ' × test/unit/cart.test.js > Cart > applies discounts 4ms',
+      ].join('\n');
+
+      expect(extractFailingTestNames(output)).toEqual(['computes the total', 'applies discounts']);
+    });
+
+    it('should read jest failures', () => {
+      const output = [
+        '  ✕ computes the total (5 ms)',
+        '  ● Cart › computes the total',
+        '  ● Test suite failed to run',
+      ].join('\n');
+
+      expect(extractFailingTestNames(output)).toEqual(['computes the total']);
+    });
+  });
+
+  describe('extractFailingTestFiles', () => {
+    it('should read failing test files', () => {
+      const output = ' FAIL  test/unit/cart.test.js > Cart > total\nFAIL src/x.spec.ts\n';
+
+      expect(extractFailingTestFiles(output)).toEqual(['test/unit/cart.test.js', 'src/x.spec.ts']);
+    });
+  });
+
+  describe('renderTestCommand', () => {
+    it('should substitute quoted files and test name pattern', () => {
+      const command = renderTestCommand('npx vitest run {files} -t {testNamePattern}', {
+        files: ['test/a.test.js', 'test/my file.test.js'],
+        testNamePattern: 'adds|sums',
+      });
+
+      expect(command).toBe("npx vitest run test/a.test.js 'test/my file.test.js' -t 'adds|sums'");
+    });
+
+    it('should return null when a used placeholder has no value', () => {
+      expect(renderTestCommand('npx jest {files}', { files: [] })).toBeNull();
+      expect(renderTestCommand('npx jest -t {testNamePattern}', { files: ['a'] })).toBeNull();
+    });
+
+    it('should quote single quotes safely', () => {
+      expect(shellQuote("it's")).toBe(`'it'\\''s'`);
+    });
+  });
+
+  describe('planTargetedTests', () => {
+    it('should combine importing tests with failing tests from CI output', () => {
+      const plan = planTargetedTests({
+        template: 'npx vitest run {files} -t {testNamePattern}',
+        targetFile: 'src/cart.js',
+        errorMessage: ' FAIL  test/unit/price.test.js > price > rounds (1.5)',
+        testSources,
+        rootDir,
+      });
+
+      expect(plan.files).toEqual([
+        'test/unit/cart.test.js',
+        'src/__tests__/cart.spec.ts',
+        'test/unit/price.test.js',
+      ]);
+      expect(plan.testNamePattern).toBe('rounds \\(1\\.5\\)');
+      expect(plan.command).toContain("-t 'rounds \\(1\\.5\\)'");
+    });
+
+    it('should return null when no related tests are found', () => {
+      const plan = planTargetedTests({
+        template: 'npx vitest run {files}',
+        targetFile: 'src/unused.js',
+        errorMessage: '',
+        testSources,
+        rootDir,
+      });
+
+      expect(plan).toBeNull();
+    });
+  });
+});
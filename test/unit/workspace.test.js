@@ -0,0 +1,70 @@
+/**
+ * Unit tests for scratch workspaces
+ */
+
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  resolveWorkspacePath,
+  shouldCopyEntry,
+  withScratchWorkspace,
+} from '../../src/workspace.js';
+
+describe('Workspace', () => {
+  describe('resolveWorkspacePath', () => {
+    it('should return the filename unchanged without a workspace', () => {
+      expect(resolveWorkspacePath('src/a.js', undefined, '/repo')).toBe('src/a.js');
+    });
+
+    it('should map files into the workspace directory', () => {
+      expect(resolveWorkspacePath('./src/a.js', '/tmp/ws', '/repo')).toBe('/tmp/ws/src/a.js');
+      expect(resolveWorkspacePath('/repo/src/a.js', '/tmp/ws', '/repo')).toBe('/tmp/ws/src/a.js');
+    });
+
+    it('should reject files outside the root directory', () => {
+      expect(() => resolveWorkspacePath('../other/a.js', '/tmp/ws', '/repo')).toThrow(
+        'outside the workspace root'
+      );
+    });
+  });
+
+  describe('shouldCopyEntry', () => {
+    it('should skip git metadata and dependencies at the top level', () => {
+      expect(shouldCopyEntry('/repo', '/repo/.git')).toBe(false);
+      expect(shouldCopyEntry('/repo', '/repo/node_modules/vitest')).toBe(false);
+      expect(shouldCopyEntry('/repo', '/repo/src/node_modules.js')).toBe(true);
+    });
+  });
+
+  describe('withScratchWorkspace', () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = mkdtempSync(join(tmpdir(), 'workspace-test-'));
+      mkdirSync(join(rootDir, 'src'));
+      mkdirSync(join(rootDir, '.git'));
+      writeFileSync(join(rootDir, 'src', 'a.js'), 'original');
+    });
+
+    afterEach(() => {
+      rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should copy the tree, isolate writes and clean up afterwards', async () => {
+      let workspaceDir;
+
+      await withScratchWorkspace(rootDir, async (workspace) => {
+        workspaceDir = workspace.dir;
+        expect(readFileSync(join(workspace.dir, 'src', 'a.js'), 'utf8')).toBe('original');
+        expect(existsSync(join(workspace.dir, '.git'))).toBe(false);
+
+        writeFileSync(join(workspace.dir, 'src', 'a.js'), 'changed');
+      });
+
+      expect(readFileSync(join(rootDir, 'src', 'a.js'), 'utf8')).toBe('original');
+      expect(existsSync(workspaceDir)).toBe(false);
+    });
+  });
+});